@@ -0,0 +1,345 @@
+/*
+Class that plays the betting of a single no-limit round of poker on top of a dealt PokerRound. Players post
+antes and blinds from their stacks, then act in turn on each of the game's streets until all but one player has
+folded or the last street's betting is complete. The pot is then split into a main pot and side pots and each is
+awarded to the best of the players eligible for it (see potUtils).
+
+Players sit clockwise in order of playerIndex. The small blind sits after the button and the big blind after
+that, except heads-up, where the button posts the small blind. The player after the big blind acts first on the
+first street, and the first player after the button on every later street.
+*/
+
+'use strict';
+const XError = require('xerror');
+const potUtils = require('./pot-utils');
+
+class BettingRound {
+
+	// stacks is an array with each player's chips at the start of the round. Options can contain:
+	// - smallBlind, bigBlind: the blinds. bigBlind defaults to 2 and smallBlind to half of it.
+	// - ante: posted by every player before the blinds, defaults to 0
+	// - button: the playerIndex of the button, defaults to the round's button (see PokerRound)
+	constructor(pokerRound, stacks, options) {
+		if (!options) options = {};
+		let numPlayers = pokerRound.numPlayers;
+		if (numPlayers < 2) throw new XError(XError.INVALID_ARGUMENT, 'Betting requires at least two players');
+		if (!Array.isArray(stacks) || stacks.length !== numPlayers) {
+			throw new XError(XError.INVALID_ARGUMENT, 'A stack is required for every player');
+		}
+		if (stacks.some((stack) => !(stack > 0))) {
+			throw new XError(XError.INVALID_ARGUMENT, 'Every player must start with chips');
+		}
+		this.pokerRound = pokerRound;
+		this.numPlayers = numPlayers;
+		this.streets = pokerRound.pokerTable.streets;
+		this.bigBlind = (typeof options.bigBlind === 'number') ? options.bigBlind : 2;
+		this.smallBlind = (typeof options.smallBlind === 'number') ? options.smallBlind : this.bigBlind / 2;
+		this.ante = options.ante || 0;
+		if (!(this.bigBlind > 0) || !(this.smallBlind >= 0) || !(this.ante >= 0)) {
+			throw new XError(XError.INVALID_ARGUMENT, 'Invalid blinds or ante');
+		}
+		this.button = (typeof options.button === 'number') ? options.button : pokerRound.button;
+		if (this.button < 0 || this.button >= numPlayers) {
+			throw new XError(XError.INVALID_ARGUMENT, 'Button is out of bounds');
+		}
+		this.smallBlindIndex = (numPlayers === 2) ? this.button : this._getNextIndex(this.button);
+		this.bigBlindIndex = this._getNextIndex(this.smallBlindIndex);
+
+		this.stacks = stacks.slice();
+		// Total chips each player has put in this round, and the chips put in on the current street
+		this.contributions = stacks.map(() => 0);
+		this.streetBets = stacks.map(() => 0);
+		this.folded = stacks.map(() => false);
+		// Every action taken, including posted antes and blinds, in the form
+		// { playerIndex: 0, type: 'raise', amount: 6, street: 'preflop' }
+		this.actions = [];
+		this.streetIndex = 0;
+		this.complete = false;
+		// The playerIndex of the player to act, or null if nobody can
+		this.actingPlayer = null;
+		this._startStreet();
+
+		for (let i = 0; i < numPlayers; i++) {
+			if (this.ante) this._post(i, 'ante', this.ante, true);
+		}
+		this._post(this.smallBlindIndex, 'small-blind', this.smallBlind);
+		this._post(this.bigBlindIndex, 'big-blind', this.bigBlind);
+		this.currentBet = this.bigBlind;
+		this._advance(this.bigBlindIndex);
+	}
+
+	// Get the playerIndex of the next player clockwise.
+	_getNextIndex(playerIndex) {
+		return (playerIndex + 1) % this.numPlayers;
+	}
+
+	// Reset the betting state for the start of a street.
+	_startStreet() {
+		this.streetBets = this.streetBets.map(() => 0);
+		this.currentBet = 0;
+		this.minRaise = this.bigBlind;
+		// Incremented by every full bet or raise, which reopens the betting for players who have already acted
+		this.raiseCount = 0;
+		// The raiseCount when each player last acted on this street, or -1 if they haven't
+		this.lastActedRaiseCount = this.streetBets.map(() => -1);
+	}
+
+	// Move chips from a player's stack into the pot. Antes are dead and don't count toward the street's bets.
+	// Players who can't cover the amount put in their whole stack.
+	_post(playerIndex, type, amount, dead) {
+		amount = Math.min(amount, this.stacks[playerIndex]);
+		this.stacks[playerIndex] -= amount;
+		this.contributions[playerIndex] += amount;
+		if (!dead) this.streetBets[playerIndex] += amount;
+		this.actions.push({ playerIndex: playerIndex, type: type, amount: amount, street: this.getStreet() });
+	}
+
+	// Returns true if a player still has decisions to make this round.
+	_canAct(playerIndex) {
+		return !this.folded[playerIndex] && this.stacks[playerIndex] > 0;
+	}
+
+	// Returns true if a player has to act before the street's betting is complete.
+	_needsToAct(playerIndex) {
+		if (!this._canAct(playerIndex)) return false;
+		return this.lastActedRaiseCount[playerIndex] === -1 || this.streetBets[playerIndex] < this.currentBet;
+	}
+
+	// Returns true if any player other than the given one can still act, so there is someone to bet against.
+	_othersCanAct(playerIndex) {
+		for (let i = 0; i < this.numPlayers; i++) {
+			if (i !== playerIndex && this._canAct(i)) return true;
+		}
+		return false;
+	}
+
+	// Find the next player to act after the given player, moving on to later streets as each street's betting
+	// completes.
+	_advance(lastPlayerIndex) {
+		if (this.getActivePlayers().length === 1) {
+			this._finish();
+			return;
+		}
+		for (let i = 1; i <= this.numPlayers; i++) {
+			let playerIndex = (lastPlayerIndex + i) % this.numPlayers;
+			// A player who is the only one left with chips has nothing to do unless they are facing a bet
+			let facingBet = this.streetBets[playerIndex] < this.currentBet;
+			if (this._needsToAct(playerIndex) && (facingBet || this._othersCanAct(playerIndex))) {
+				this.actingPlayer = playerIndex;
+				return;
+			}
+		}
+		// The street's betting is complete
+		if (this.streetIndex === this.streets.length - 1) {
+			this._finish();
+			return;
+		}
+		this.streetIndex++;
+		this._startStreet();
+		this._advance(this.button);
+	}
+
+	// End the round, dealing out the remaining streets if the hand goes to showdown.
+	_finish() {
+		if (this.getActivePlayers().length > 1) this.streetIndex = this.streets.length - 1;
+		this.actingPlayer = null;
+		this.complete = true;
+	}
+
+	// Get the name of the current street, which is a roundPart of the PokerRound.
+	getStreet() {
+		return this.streets[this.streetIndex].name;
+	}
+
+	// Get the cards a player can use on the current street. See PokerRound.getPlayerAvailableCards.
+	getPlayerAvailableCards(playerIndex) {
+		return this.pokerRound.getPlayerAvailableCards(playerIndex, this.getStreet());
+	}
+
+	// Get the community cards dealt by the current street.
+	getCommunityCards() {
+		return this.pokerRound.getCommunityCards(this.getStreet());
+	}
+
+	// Get the playerIndexes of the players who haven't folded.
+	getActivePlayers() {
+		let activePlayers = [];
+		for (let i = 0; i < this.numPlayers; i++) {
+			if (!this.folded[i]) activePlayers.push(i);
+		}
+		return activePlayers;
+	}
+
+	// Get the total chips put in by every player.
+	getPot() {
+		return this.contributions.reduce((total, contribution) => total + contribution, 0);
+	}
+
+	/*
+	Get what a player can see of the round when it is their turn to act, as given to player strategies (see
+	playerStrategies). Defaults to the acting player. The view is in the form:
+	{
+		playerIndex: 2,
+		street: 'flop',
+		pocket: [ 10, 20 ],  // The player's pocket cards at this street
+		community: [ 3, 17, 44 ],
+		pot: 24,  // All chips put in so far, including this street's bets
+		stack: 88,  // The chips the player has behind
+		streetBet: 0,  // The chips the player has put in on this street
+		currentBet: 6,  // The largest total bet on this street
+		toCall: 6,
+		bigBlind: 2,
+		button: 0,
+		position: 'BB',  // The player's position, see PokerTable.getPositionNames
+		activePlayers: [ 0, 2 ],
+		legalActions: [ ... ],  // See getLegalActions
+		actions: [ ... ],  // Every action so far, see the actions property
+		rng: <RNG>,  // The table's RNG, for strategies that make random choices
+		variant: 'standard',  // The table's variant, for comparing hand results (see handEval.variants)
+		getFullEvaluation: <function>  // Returns the full evaluation of the player's cards at this street
+	}
+	*/
+	getPlayerView(playerIndex) {
+		if (typeof playerIndex !== 'number') playerIndex = this.actingPlayer;
+		if (playerIndex === null) throw new XError(XError.INVALID_ARGUMENT, 'No player is acting');
+		let street = this.getStreet();
+		let pokerRound = this.pokerRound;
+		return {
+			playerIndex: playerIndex,
+			street: street,
+			pocket: pokerRound.getPocketCards(playerIndex, street),
+			community: pokerRound.getCommunityCards(street),
+			pot: this.getPot(),
+			stack: this.stacks[playerIndex],
+			streetBet: this.streetBets[playerIndex],
+			currentBet: this.currentBet,
+			toCall: Math.min(Math.max(this.currentBet - this.streetBets[playerIndex], 0), this.stacks[playerIndex]),
+			bigBlind: this.bigBlind,
+			button: this.button,
+			position: pokerRound.pokerTable.getPlayerPosition(playerIndex, this.button),
+			activePlayers: this.getActivePlayers(),
+			legalActions: (playerIndex === this.actingPlayer) ? this.getLegalActions() : [],
+			actions: this.actions.slice(),
+			rng: pokerRound.pokerTable.rng,
+			variant: pokerRound.pokerTable.variant,
+			getFullEvaluation: () => pokerRound.getPlayerFullEvaluation(playerIndex, street)
+		};
+	}
+
+	// Play the rest of the round, taking each action from the acting player's strategy. strategies is an array of
+	// player strategy functions (see playerStrategies) indexed by player.
+	playOut(strategies) {
+		while (!this.complete) {
+			let view = this.getPlayerView();
+			this.act(strategies[view.playerIndex](view));
+		}
+	}
+
+	// Get the main pot and any side pots. See potUtils.getPots.
+	getPots() {
+		return potUtils.getPots(this.contributions, this.folded);
+	}
+
+	// Get the chips won by each player from the pots once the round is complete, as an array indexed by player.
+	// Players still in at the end go to showdown, with hands compared under the rules of the table's game.
+	getWinnings() {
+		if (!this.complete) throw new XError(XError.INVALID_ARGUMENT, 'Round is not complete');
+		let activePlayers = this.getActivePlayers();
+		let handResults = this.folded.map(() => null);
+		let lowHandResults = this.pokerRound.pokerTable.lowType ? handResults.slice() : null;
+		if (activePlayers.length > 1) {
+			for (let playerIndex of activePlayers) {
+				handResults[playerIndex] = this.pokerRound.getPlayerHandResult(playerIndex);
+				if (lowHandResults) lowHandResults[playerIndex] = this.pokerRound.getPlayerLowHandResult(playerIndex);
+			}
+		}
+		return potUtils.awardPots(this.getPots(), handResults, {
+			variant: this.pokerRound.pokerTable.variant,
+			lowHandResults: lowHandResults,
+			button: this.button
+		});
+	}
+
+	// Get each player's stack after the pots are awarded. See getWinnings.
+	getFinalStacks() {
+		let winnings = this.getWinnings();
+		return this.stacks.map((stack, playerIndex) => stack + winnings[playerIndex]);
+	}
+
+	// Returns true once there is no more betting to do, because all but one player folded or the betting on the
+	// last street is complete.
+	isComplete() {
+		return this.complete;
+	}
+
+	/*
+	Get the actions the acting player can take, for example:
+	[
+		{ type: 'fold' },
+		{ type: 'call', amount: 4 },  // The chips added to the player's bet
+		{ type: 'raise', minAmount: 10, maxAmount: 200 }  // The total the player's bet for the street can be
+	]
+	Folding is only offered when facing a bet, and checking only when not. A bet or raise must be by at least
+	the big blind and the size of the last full bet or raise on the street, unless it puts the player all in. An
+	all in raise that is short of this doesn't let players who have already acted raise again, and nobody can
+	raise once every other player is all in. Returns an empty array once the round is complete.
+	*/
+	getLegalActions() {
+		if (this.complete) return [];
+		let playerIndex = this.actingPlayer;
+		let streetBet = this.streetBets[playerIndex];
+		let maxAmount = streetBet + this.stacks[playerIndex];
+		let toCall = this.currentBet - streetBet;
+		let actions = [];
+		if (toCall > 0) {
+			actions.push({ type: 'fold' });
+			actions.push({ type: 'call', amount: Math.min(toCall, this.stacks[playerIndex]) });
+		} else {
+			actions.push({ type: 'check' });
+		}
+		let canRaise = this.lastActedRaiseCount[playerIndex] !== this.raiseCount && this._othersCanAct(playerIndex);
+		if (maxAmount > this.currentBet && canRaise) {
+			let minAmount = Math.min(this.currentBet + this.minRaise, maxAmount);
+			actions.push({ type: (this.currentBet > 0) ? 'raise' : 'bet', minAmount: minAmount, maxAmount: maxAmount });
+		}
+		return actions;
+	}
+
+	// Take an action for the acting player, in the form { type: 'raise', amount: 10 }. The amount is only given
+	// for a bet or raise, and is the total the player's bet for the street is made up to. See getLegalActions.
+	act(action) {
+		if (!action || typeof action.type !== 'string') {
+			throw new XError(XError.INVALID_ARGUMENT, 'Action must have a type');
+		}
+		let legalAction = this.getLegalActions().find((legalAction) => legalAction.type === action.type);
+		if (!legalAction) {
+			throw new XError(XError.INVALID_ARGUMENT, 'Illegal action: ' + action.type);
+		}
+		let playerIndex = this.actingPlayer;
+		if (action.type === 'fold') {
+			this.folded[playerIndex] = true;
+			this.actions.push({ playerIndex: playerIndex, type: 'fold', amount: 0, street: this.getStreet() });
+		} else if (action.type === 'check') {
+			this.actions.push({ playerIndex: playerIndex, type: 'check', amount: 0, street: this.getStreet() });
+		} else if (action.type === 'call') {
+			this._post(playerIndex, 'call', legalAction.amount);
+		} else {
+			let amount = action.amount;
+			if (typeof amount !== 'number' || amount < legalAction.minAmount || amount > legalAction.maxAmount) {
+				throw new XError(XError.INVALID_ARGUMENT, 'Invalid ' + action.type + ' amount: ' + amount);
+			}
+			let raiseSize = amount - this.currentBet;
+			if (raiseSize >= this.minRaise) {
+				this.minRaise = raiseSize;
+				this.raiseCount++;
+			}
+			this.currentBet = amount;
+			this._post(playerIndex, action.type, amount - this.streetBets[playerIndex]);
+		}
+		this.lastActedRaiseCount[playerIndex] = this.raiseCount;
+		this._advance(playerIndex);
+	}
+
+}
+
+module.exports = BettingRound;
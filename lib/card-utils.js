@@ -28,12 +28,25 @@ SUITS (quotient)
 2: Diamonds
 3: Hearts
 4: Spades
+
+JOKERS
+Decks with jokers (see deckTypes) extend the ids past 52, so the first joker is 53 ("Jk") and the second is
+54 ("Jk2"). Jokers have no value or suit; their components are { cardId: 53, value: null, suit: null, joker: true }.
 */
 
+const jokerCardIds = [ 53, 54 ];
+const MAX_CARD_ID = jokerCardIds[jokerCardIds.length - 1];
+
 function validateCard(cardId) {
 	if (typeof cardId !== 'number') throw new XError(XError.INVALID_ARGUMENT, 'CardId must be a number');
 	if (cardId % 1 !== 0) throw new XError(XError.INVALID_ARGUMENT, 'CardId must be an integer');
-	if (cardId < 1 || cardId > 52) throw new XError(XError.INVALID_ARGUMENT, 'CardId is out of bounds');
+	if (cardId < 1 || cardId > MAX_CARD_ID) throw new XError(XError.INVALID_ARGUMENT, 'CardId is out of bounds');
+}
+
+// Returns true if a card (as a cardId or card components) is a joker.
+function isJoker(card) {
+	let cardId = (card && typeof card === 'object') ? card.cardId : card;
+	return jokerCardIds.indexOf(cardId) !== -1;
 }
 
 // Return the suit and value of a card. As a convenience, is a no-op if the object is already a card components object.
@@ -42,12 +55,14 @@ function getCardComponents(cardId) {
 		cardId &&
 		typeof cardId === 'object' &&
 		typeof cardId.cardId === 'number' &&
-		typeof cardId.value === 'number' &&
-		typeof cardId.suit === 'number'
+		((typeof cardId.value === 'number' && typeof cardId.suit === 'number') || cardId.joker)
 	) {
 		return cardId;
 	}
 	validateCard(cardId);
+	if (isJoker(cardId)) {
+		return { cardId: cardId, value: null, suit: null, joker: true };
+	}
 	let value = (cardId % 13) + 1
 	if (value === 1) value = 14;
 	let suit = Math.floor((cardId - 1) / 13) + 1;
@@ -58,6 +73,20 @@ function getCardComponents(cardId) {
 	};
 }
 
+// Get the cardId of a card given as a cardId, card components, or card string.
+function getCardId(card) {
+	if (typeof card === 'number') {
+		validateCard(card);
+		return card;
+	} else if (card && typeof card === 'object' && card.cardId) {
+		return card.cardId;
+	} else if (typeof card === 'string') {
+		return getCardComponentsFromString(card).cardId;
+	} else {
+		throw new XError(XError.INVALID_ARGUMENT, 'Could not get cardId');
+	}
+}
+
 // Get the card components for each cardId in an array.
 function getCardComponentsArray(cardIdArray) {
 	return cardIdArray.map((cardId) => getCardComponents(cardId));
@@ -137,8 +166,15 @@ for (let key in suitStrMap) {
 	strSuitMap[suitStrMap[key].longSing.toLowerCase()] = parseInt(key, 10);
 }
 
+// Strings for each joker, in the order of jokerCardIds
+const jokerStrs = [ { short: 'Jk', long: 'Joker' }, { short: 'Jk2', long: 'Second Joker' } ];
+
 function getCardString(card, longhand) {
 	let components = getCardComponents(card);
+	if (components.joker) {
+		let jokerObj = jokerStrs[jokerCardIds.indexOf(components.cardId)];
+		return longhand ? jokerObj.long : jokerObj.short;
+	}
 	let valueObj = valueStrMap[components.value];
 	let suitObj = suitStrMap[components.suit];
 	if (longhand) {
@@ -168,10 +204,13 @@ function getSuitString(suit, longhand) {
 
 // Given shorthand input string, get the cardComponenets object for it.
 function getCardComponentsFromString(str) {
+	for (let i = 0; i < jokerStrs.length; i++) {
+		if (str.toLowerCase() === jokerStrs[i].short.toLowerCase()) return getCardComponents(jokerCardIds[i]);
+	}
 	if (str.length !== 2) {
 		throw new XError(
 			XError.INVALID_ARGUMENT, 
-			'Card string should be in two-character poker notation (e.g. Jh = Jack of Hearts")'
+			'Card string should be in two-character poker notation (e.g. Jh = Jack of Hearts", Jk = Joker)'
 		);
 	}
 	let value = getValueFromString(str[0]);
@@ -198,23 +237,56 @@ function getSuitFromString(str) {
 
 // Functions to get a deck of cards.
 
-function getUnshuffledDeck() {
-	let deck = [];
-	for (let i = 1; i <= 52; i++) {
-		deck.push(i);
+// Decks that can be dealt from, by the lowest card value they contain and the number of jokers added to them.
+// Aces are always included. The short deck (for short-deck hold'em) has the twos through fives removed,
+// leaving 36 cards.
+const deckTypes = {
+	standard: { minValue: vals.TWO, jokers: 0 },
+	short: { minValue: vals.SIX, jokers: 0 },
+	joker: { minValue: vals.TWO, jokers: 1 },
+	'two-joker': { minValue: vals.TWO, jokers: 2 }
+};
+
+function getDeckTypeInfo(deckType) {
+	let deckTypeInfo = deckTypes[deckType || 'standard'];
+	if (!deckTypeInfo) throw new XError(XError.INVALID_ARGUMENT, 'Unrecognized deck type: ' + deckType);
+	return deckTypeInfo;
+}
+
+// Returns true if a card is part of the given deck type. Defaults to 'standard'.
+function isCardInDeck(cardId, deckType) {
+	let components = getCardComponents(cardId);
+	let deckTypeInfo = getDeckTypeInfo(deckType);
+	if (components.joker) return jokerCardIds.indexOf(components.cardId) < deckTypeInfo.jokers;
+	return components.value >= deckTypeInfo.minValue;
+}
+
+// Ascending cardIds of each deck type, computed once since decks are built for every simulated round
+const deckCardIds = {};
+for (let deckType in deckTypes) {
+	deckCardIds[deckType] = [];
+	for (let i = 1; i <= MAX_CARD_ID; i++) {
+		if (isCardInDeck(i, deckType)) deckCardIds[deckType].push(i);
 	}
-	return deck;
 }
 
-// RNG is optional
-function getShuffledDeck(rng) {
-	return randomUtils.shuffleArray(getUnshuffledDeck(), rng);
+// Get the cardIds of a deck type in ascending order. Defaults to 'standard', the full 52 card deck.
+function getUnshuffledDeck(deckType) {
+	getDeckTypeInfo(deckType);
+	return deckCardIds[deckType || 'standard'].slice();
+}
+
+// RNG and deckType are optional
+function getShuffledDeck(rng, deckType) {
+	return randomUtils.shuffleArray(getUnshuffledDeck(deckType), rng);
 }
 
 // Sections is a map of array indices to arrays of cards that should occur there.
 // For example, { 2: [ 30, 40 ] } will put cardIds 30 and 40 and indexes 2 and 3 respectively
 // Causes unexpected behavior if stack regions overlap, e.g. don't do { 10: [ 15, 16 ], 11: [ 26, 27 ] }
-function getPartiallyStackedDeck(sections, rng) {
+// deadCards is an optional array of cardIds that are out of play; they are left out of the deck entirely,
+// so the deck is shorter than 52 cards. deckType is optional, as for getUnshuffledDeck.
+function getPartiallyStackedDeck(sections, rng, deadCards, deckType) {
 	let sectionsArray = [];
 	let cardsToStack = {};
 	for (let stackIndex in sections) {
@@ -222,6 +294,9 @@ function getPartiallyStackedDeck(sections, rng) {
 			sections[stackIndex] = [ sections[stackIndex] ];
 		}
 		for (let cardId of sections[stackIndex]) {
+			if (!isCardInDeck(cardId, deckType)) {
+				throw new XError(XError.INVALID_ARGUMENT, 'Attempted to stack a card that is not in the deck');
+			}
 			if (cardsToStack[cardId]) {
 				throw new XError(XError.INVALID_ARGUMENT, 'Attempted to stack same cardId twice');
 			}
@@ -229,6 +304,13 @@ function getPartiallyStackedDeck(sections, rng) {
 		}
 		sectionsArray.push({ index: parseInt(stackIndex, 10), cards: sections[stackIndex] });
 	}
+	let deadCardIds = {};
+	for (let cardId of (deadCards || [])) {
+		if (cardsToStack[cardId]) {
+			throw new XError(XError.INVALID_ARGUMENT, 'Attempted to stack a dead card');
+		}
+		deadCardIds[cardId] = true;
+	}
 	sectionsArray.sort(function(a, b) {
 		if (a.index < b.index) return -1;
 		if (a.index > b.index) return 1;
@@ -236,10 +318,7 @@ function getPartiallyStackedDeck(sections, rng) {
 	});
 
 	// Get shuffled array of all unstacked cards
-	let deck = [];
-	for (let i = 1; i <= 52; i++) {
-		if (!cardsToStack[i]) deck.push(i);
-	}
+	let deck = getUnshuffledDeck(deckType).filter((cardId) => !cardsToStack[cardId] && !deadCardIds[cardId]);
 	deck = randomUtils.shuffleArray(deck, rng);
 	// Splice in stacked parts
 	for (let section of sectionsArray) {
@@ -254,8 +333,11 @@ function getPartiallyStackedDeck(sections, rng) {
 
 module.exports = {
 	validateCard,
+	jokerCardIds,
+	isJoker,
 	getCardComponents,
 	getCardComponentsArray,
+	getCardId,
 	getCardIdFromComponents,
 	getCardString,
 	getValueString,
@@ -263,6 +345,8 @@ module.exports = {
 	getCardComponentsFromString,
 	getValueFromString,
 	getSuitFromString,
+	deckTypes,
+	isCardInDeck,
 	getUnshuffledDeck,
 	getShuffledDeck,
 	getPartiallyStackedDeck
@@ -0,0 +1,142 @@
+// Strategies that decide which cards a player discards in draw poker.
+
+'use strict';
+const XError = require('xerror');
+const cardUtils = require('./card-utils');
+const handEval = require('./hand-eval');
+
+/*
+A discard strategy is a function taking a player's 5 card hand as an array of cardIds, and returning an array
+of the cardIds to discard. It is also passed a context object in the form:
+{ playerIndex: 0, pokerRound: <DrawPokerRound> }
+Any function of this form can be used; the strategies below can also be referred to by name. They never
+discard wild cards under the table's variant.
+*/
+
+// Result types that use all 5 cards, so there is nothing to gain by drawing
+const MADE_HAND_TYPES = [ 'five-of-a-kind', 'straight-flush', 'four-of-a-kind', 'full-house', 'flush', 'straight' ];
+
+// Get the variant a hand is ranked under from a strategy's context. Defaults to standard without a round.
+function getContextVariant(context) {
+	return (context && context.pokerRound) ? context.pokerRound.pokerTable.variant : undefined;
+}
+
+// Get the wild cards in a hand.
+function getWildCards(hand, variant) {
+	return hand.filter((cardId) => handEval.isWildCard(cardId, variant));
+}
+
+// Get the natural cards in a hand that share a value with another natural card in the hand.
+function getPairedCards(hand, variant) {
+	let cards = cardUtils.getCardComponentsArray(hand).filter((card) => !handEval.isWildCard(card, variant));
+	let valueCounts = {};
+	for (let card of cards) {
+		valueCounts[card.value] = (valueCounts[card.value] || 0) + 1;
+	}
+	return cards.filter((card) => valueCounts[card.value] > 1).map((card) => card.cardId);
+}
+
+// Get the cards of a hand that are not in the cards to keep.
+function getDiscards(hand, keepCardIds) {
+	return hand.filter((cardId) => keepCardIds.indexOf(cardId) === -1);
+}
+
+// Get the four cards to a flush in a hand, or null if there are none.
+function getFourFlushCards(hand) {
+	let flushDraw = handEval.getEvaluationByType(hand, 'flush-draw');
+	if (!flushDraw || flushDraw.remainingCards !== 1) return null;
+	return flushDraw.cardIds;
+}
+
+// Get the four cards to an open-ended straight in a hand, or null if there are none. Four consecutive values
+// are open ended when a card at either end completes a straight, which excludes A-2-3-4 and J-Q-K-A.
+function getOpenEndedStraightCards(hand) {
+	let straightDraw = handEval.getEvaluationByType(hand, 'straight-draw');
+	if (!straightDraw || straightDraw.highestCardsToStraight !== 4) return null;
+	for (let draw of straightDraw.draws) {
+		if (draw.cardsToStraight !== 4) continue;
+		let lowValue = draw.highValue - 4;
+		let missingValue = draw.neededValues[0];
+		if (missingValue === cardUtils.ACE && lowValue === cardUtils.ACE_LOW) missingValue = cardUtils.ACE_LOW;
+		// Get the lowest of the four consecutive values held, skipping draws that need a card in the middle
+		let heldLowValue;
+		if (missingValue === draw.highValue) {
+			heldLowValue = lowValue;
+		} else if (missingValue === lowValue) {
+			heldLowValue = lowValue + 1;
+		} else {
+			continue;
+		}
+		if (heldLowValue <= cardUtils.ACE_LOW || heldLowValue + 4 > cardUtils.ACE_HIGH) continue;
+		let keepCardIds = [];
+		let keptValues = {};
+		for (let card of cardUtils.getCardComponentsArray(hand)) {
+			if (card.value >= heldLowValue && card.value <= heldLowValue + 3 && !keptValues[card.value]) {
+				keptValues[card.value] = true;
+				keepCardIds.push(card.cardId);
+			}
+		}
+		return keepCardIds;
+	}
+	return null;
+}
+
+// Never draw.
+function standPat(hand) {
+	return [];
+}
+
+// Keep only cards that are paired (including trips, two pair, and so on), and draw to everything else.
+function keepPairs(hand, context) {
+	let variant = getContextVariant(context);
+	return getDiscards(hand, getWildCards(hand, variant).concat(getPairedCards(hand, variant)));
+}
+
+/*
+A reasonable default for jacks-or-better style play:
+- Stand pat with a straight or better
+- Keep any pairs, trips, or quads
+- Keep four to a flush, then four to an open-ended straight
+- Otherwise keep the highest card and draw four
+Wild cards are always kept, along with the highest natural card if nothing else is paired.
+*/
+function standard(hand, context) {
+	let variant = getContextVariant(context);
+	let result = handEval.getHandResult(hand, variant);
+	if (MADE_HAND_TYPES.indexOf(result.evalType) !== -1) return [];
+	let wildCards = getWildCards(hand, variant);
+	let pairedCards = getPairedCards(hand, variant);
+	if (pairedCards.length) return getDiscards(hand, wildCards.concat(pairedCards));
+	if (wildCards.length) {
+		let highestCard = cardUtils.getCardComponentsArray(getDiscards(hand, wildCards))
+			.sort((a, b) => b.value - a.value)[0];
+		return getDiscards(hand, wildCards.concat([ highestCard.cardId ]));
+	}
+	let drawCards = getFourFlushCards(hand) || getOpenEndedStraightCards(hand);
+	if (drawCards) return getDiscards(hand, drawCards);
+	// With no pair the high-cards result lists the highest card first
+	return getDiscards(hand, [ result.cardIds[0] ]);
+}
+
+const strategies = {
+	'stand-pat': standPat,
+	'keep-pairs': keepPairs,
+	'standard': standard
+};
+
+// Get a discard strategy function from either a function or the name of one of the strategies above.
+function getDiscardStrategy(strategy) {
+	if (typeof strategy === 'function') return strategy;
+	if (!strategies[strategy]) {
+		throw new XError(XError.INVALID_ARGUMENT, 'Unrecognized discard strategy: ' + strategy);
+	}
+	return strategies[strategy];
+}
+
+module.exports = {
+	strategies,
+	getDiscardStrategy,
+	standPat,
+	keepPairs,
+	standard
+};
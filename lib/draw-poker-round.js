@@ -0,0 +1,75 @@
+/*
+A round of draw poker. After the pockets are dealt, each player in turn from the player after the button
+discards according to their table's discard strategy and draws replacements from the top of the remaining deck.
+If the deck runs out, the discards of the players who have already drawn are shuffled to make a new one.
+*/
+
+'use strict';
+const XError = require('xerror');
+const PokerRound = require('./poker-round');
+const randomUtils = require('./random-utils');
+
+class DrawPokerRound extends PokerRound {
+
+	constructor(pokerTable, deck) {
+		super(pokerTable, deck);
+		this.discards = [];
+		this.drawnCards = [];
+		// Cards left to draw, and the discards that haven't been shuffled back into them
+		let stub = this._getDeckCards(pokerTable.getDrawDeckIndexes().filter((deckIndex) => deckIndex < deck.length));
+		let muck = [];
+		for (let i = 1; i <= this.numPlayers; i++) {
+			let playerIndex = (this.button + i) % this.numPlayers;
+			let hand = this.getPocketCards(playerIndex, 'predraw');
+			let discardContext = { playerIndex: playerIndex, pokerRound: this };
+			let discards = pokerTable.discardStrategies[playerIndex](hand.slice(), discardContext);
+			if (!Array.isArray(discards)) {
+				throw new XError(XError.INVALID_ARGUMENT, 'Discard strategy must return an array of cardIds');
+			}
+			for (let j = 0; j < discards.length; j++) {
+				if (hand.indexOf(discards[j]) === -1 || discards.indexOf(discards[j]) !== j) {
+					throw new XError(XError.INVALID_ARGUMENT, 'Discard strategy returned a card that is not in the hand');
+				}
+			}
+			let drawnCards = [];
+			while (drawnCards.length < discards.length) {
+				if (!stub.length) {
+					if (!muck.length) throw new XError(XError.INVALID_ARGUMENT, 'Not enough cards left to draw');
+					stub = randomUtils.shuffleArray(muck, pokerTable.rng);
+					muck = [];
+				}
+				drawnCards.push(stub.shift());
+			}
+			this.discards[playerIndex] = discards;
+			this.drawnCards[playerIndex] = drawnCards;
+			muck = muck.concat(discards);
+		}
+	}
+
+	// Get a player's pocket cards at a roundPart ('predraw' or 'postdraw', the default). After the draw, the
+	// kept cards come first in their original order, followed by the drawn cards.
+	getPocketCards(playerIndex, roundPart) {
+		let pocketCards = super.getPocketCards(playerIndex, roundPart);
+		let discards = this.getDiscards(playerIndex);
+		// Players who have yet to draw while the round is being dealt still hold their original pockets
+		if (this.pokerTable.getStreet(roundPart) !== this.pokerTable.getStreet() || !discards) {
+			return pocketCards;
+		}
+		return pocketCards
+			.filter((cardId) => discards.indexOf(cardId) === -1)
+			.concat(this.getDrawnCards(playerIndex));
+	}
+
+	// Get the cards a player discarded.
+	getDiscards(playerIndex) {
+		return this.discards && this.discards[playerIndex || 0];
+	}
+
+	// Get the replacement cards a player drew, in the order they were drawn.
+	getDrawnCards(playerIndex) {
+		return this.drawnCards[playerIndex || 0];
+	}
+
+}
+
+module.exports = DrawPokerRound;
@@ -0,0 +1,107 @@
+// Simulator that determines the distribution of final five-card draw hands for each of a set of discard strategies.
+
+'use strict';
+const XError = require('xerror');
+const Simulator = require('./simulator');
+const PokerTable = require('./poker-table');
+const handEval = require('./hand-eval');
+
+class DrawSimulator extends Simulator {
+
+	// strategies is either an array of discard strategy names (see discardStrategies), or an object mapping a
+	// name for each strategy to a strategy name or function. Use names for parallel runs.
+	// Every strategy plays the same deal and draws from the same remaining deck in each trial.
+	constructor(strategies, trials, progressFunc) {
+		if (Array.isArray(strategies)) {
+			let strategyMap = {};
+			for (let strategy of strategies) {
+				strategyMap[strategy] = strategy;
+			}
+			strategies = strategyMap;
+		}
+		if (!strategies || typeof strategies !== 'object' || Object.keys(strategies).length === 0) {
+			throw new XError(XError.INVALID_ARGUMENT, 'At least one discard strategy is required');
+		}
+		let strategyNames = Object.keys(strategies);
+		let pokerTables = strategyNames.map((name) => {
+			return new PokerTable(1, null, { game: 'draw', discardStrategies: strategies[name] });
+		});
+		super(pokerTables[0], trials);
+		this.strategyNames = strategyNames;
+		this.pokerTables = pokerTables;
+		this.progressFunc = progressFunc;
+		this.totalTested = 0;
+		// Per strategy, the number of final hands of each result type and the total number of cards drawn
+		this.strategyTotals = strategyNames.map(() => {
+			let evalTypeCounts = {};
+			for (let evalType of handEval.variants.standard.resultEvaluatorOrder) {
+				evalTypeCounts[evalType] = 0;
+			}
+			return { evalTypeCounts: evalTypeCounts, cardsDrawn: 0 };
+		});
+	}
+
+	_processPokerRound(pokerRound) {
+		this.totalTested++;
+		for (let i = 0; i < this.pokerTables.length; i++) {
+			let round = (i === 0) ? pokerRound : this.pokerTables[i].playRound(pokerRound.deck);
+			let strategyTotal = this.strategyTotals[i];
+			strategyTotal.evalTypeCounts[round.getPlayerHandResult(0).evalType]++;
+			strategyTotal.cardsDrawn += round.getDrawnCards(0).length;
+		}
+	}
+
+	_getPartialResult() {
+		return {
+			totalTested: this.totalTested,
+			strategyTotals: this.strategyTotals
+		};
+	}
+
+	_mergePartialResult(partialResult) {
+		this.totalTested += partialResult.totalTested;
+		for (let i = 0; i < this.strategyTotals.length; i++) {
+			let strategyTotal = this.strategyTotals[i];
+			for (let evalType in strategyTotal.evalTypeCounts) {
+				strategyTotal.evalTypeCounts[evalType] += partialResult.strategyTotals[i].evalTypeCounts[evalType];
+			}
+			strategyTotal.cardsDrawn += partialResult.strategyTotals[i].cardsDrawn;
+		}
+	}
+
+	_progress(data) {
+		if (this.progressFunc) {
+			this.progressFunc(data);
+		}
+	}
+
+	/*
+	Result is keyed by strategy name, in the form:
+	{
+		standard: {
+			distribution: { 'straight-flush': 0.0001, ..., 'high-cards': 0.4512 },  // Probability of each final hand
+			averageCardsDrawn: 2.91
+		}
+	}
+	*/
+	_getResult() {
+		let round = (value) => Math.round(value * 10000) / 10000;
+		let result = {};
+		for (let i = 0; i < this.strategyNames.length; i++) {
+			let strategyTotal = this.strategyTotals[i];
+			let distribution = {};
+			for (let evalType in strategyTotal.evalTypeCounts) {
+				let count = strategyTotal.evalTypeCounts[evalType];
+				distribution[evalType] = (this.totalTested !== 0) ? round(count / this.totalTested) : 0;
+			}
+			result[this.strategyNames[i]] = {
+				distribution: distribution,
+				averageCardsDrawn: (this.totalTested !== 0) ? round(strategyTotal.cardsDrawn / this.totalTested) : 0
+			};
+		}
+		return result;
+	}
+
+}
+
+module.exports = DrawSimulator;
@@ -0,0 +1,31 @@
+// Simulator that determines the win, tie, and loss probabilities of a pocket against random opponents.
+
+'use strict';
+const XError = require('xerror');
+const HeadToHeadSimulator = require('./head-to-head-simulator');
+
+class EquitySimulator extends HeadToHeadSimulator {
+
+	// pocket is the protagonist's cards, and community is an optional partial board of up to 5 cards.
+	// Cards may be given as cardIds, card components, or card strings. options are as for HeadToHeadSimulator.
+	constructor(pocket, community, numOpponents, trials, progressFunc, options) {
+		if (typeof numOpponents !== 'number' || numOpponents < 1 || numOpponents > 9) {
+			throw new XError(XError.INVALID_ARGUMENT, 'numOpponents must be between 1 and 9');
+		}
+		if (!Array.isArray(pocket)) {
+			throw new XError(XError.INVALID_ARGUMENT, 'Pocket must be an array of cards');
+		}
+		let pockets = [ pocket ];
+		for (let i = 0; i < numOpponents; i++) {
+			pockets.push(null);
+		}
+		super(pockets, community, trials, progressFunc, options);
+	}
+
+	_getResult() {
+		return this._getSeatResult(0);
+	}
+
+}
+
+module.exports = EquitySimulator;
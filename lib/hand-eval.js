@@ -12,6 +12,7 @@ XError.registerErrorCode('incomplete_result', {
 /*
 First, result classfications, which is the best 5-card hand available to the player.
 Here are the possible results and their formats:
+{ type: 'five-of-a-kind', value: 13 }  // Only possible with wild cards
 { type: 'straight-flush', suit: 1, highValue: 9 },
 { type: 'four-of-a-kind', value: 4, kickerValues: [ 11 ] }
 { type: 'full-house', threeValue: 8, twoValue: 14 }
@@ -22,6 +23,10 @@ Here are the possible results and their formats:
 { type: 'pair', value: 14, kickerValues: [ 13, 9, 7 ] }
 { type: 'high-cards', kickerValues: [ 14, 13, 12, 10, 8 ] }
 Each result object also has a 'cardIds' property with the 5 cards that comprise the result (unsorted).
+
+Wild cards (jokers, and any card values the variant makes wild) take whatever value and suit makes the best
+hand. Wild results have the same format, with the wild cards included in cardIds. Wild cards are not used to
+make draws, so draw evaluators return null for hands containing them.
 */
 
 function getCardIdsFromCardArray(cardArray) {
@@ -63,8 +68,112 @@ function compareValueArrays(a, b) {
 	return 0;
 }
 
-// Context contains the precomputed properties cardIds, cards, cardsByValue, cardGroupsBySize, cardsBySuit
+// Get the spelled out name of a card value for describing results, e.g. 'Eight', or 'Eights' if plural. Short value
+// strings aren't used since plurals like 'As' would read as card strings.
+function getValueName(value, plural) {
+	let valueStr = cardUtils.getValueString(value, true);
+	if (!plural) return valueStr;
+	return valueStr + ((valueStr === 'Six') ? 'es' : 's');
+}
+
+// Helpers for evaluating hands with wild cards. Rather than trying every card for each wild card, these search
+// the values (and suits) a result could have and fill whatever is missing from the natural cards with wild cards.
+
+/*
+Get the best groups of same-valued cards of the given sizes, with a different value for each group, e.g.
+[ 3, 2 ] for a full house. Groups are filled out with wild cards, and the first group has the highest possible
+value, then the second, and so on. Returns { values: [ 13, 9 ], cards: [ ... ] }, or null if there are not
+enough wild cards.
+*/
+function getWildGroups(context, sizes) {
+	function search(sizeIndex, wildCards, usedValues) {
+		if (sizeIndex === sizes.length) return { values: [], cards: [] };
+		let size = sizes[sizeIndex];
+		for (let value = cardUtils.ACE; value >= context.variant.minValue; value--) {
+			if (usedValues.indexOf(value) !== -1) continue;
+			let naturals = context.cardsByValue.filter((card) => card.value === value).slice(0, size);
+			let wildsNeeded = size - naturals.length;
+			if (wildsNeeded > wildCards.length) continue;
+			let rest = search(sizeIndex + 1, wildCards.slice(wildsNeeded), usedValues.concat([ value ]));
+			if (rest) {
+				return {
+					values: [ value ].concat(rest.values),
+					cards: naturals.concat(wildCards.slice(0, wildsNeeded), rest.cards)
+				};
+			}
+		}
+		return null;
+	}
+	return search(0, context.wildCards, []);
+}
+
+// Get the cards of a straight down from highValue, of a single suit if one is given, using wild cards for any
+// missing values. Returns null if there are not enough wild cards.
+function getWildStraight(context, highValue, suit) {
+	let straight = [];
+	let wildIndex = 0;
+	for (let value = highValue; value > highValue - 5; value--) {
+		// The ace plays below the lowest straight card
+		let cardValue = (value < context.variant.straightMinValue) ? cardUtils.ACE : value;
+		let natural = context.cardsByValue.find((card) => card.value === cardValue && (!suit || card.suit === suit));
+		if (natural) {
+			straight.push(natural);
+		} else if (wildIndex < context.wildCards.length) {
+			straight.push(context.wildCards[wildIndex++]);
+		} else {
+			return null;
+		}
+	}
+	return straight;
+}
+
+// Get the kickers of a wild result: the natural cards not in the result, and any unused wild cards, which play
+// as the highest values not in excludedValues or among the other kickers. Returns objects with the cardId and
+// the value each kicker plays as, sorted by value.
+function getWildKickers(context, resultCards, excludedValues, count) {
+	let kickers = getKickers(context.cardsByValue, resultCards);
+	let takenValues = excludedValues.concat(getCardValuesFromCardArray(kickers));
+	for (let card of context.wildCards) {
+		if (resultCards.indexOf(card) !== -1) continue;
+		let value = cardUtils.ACE;
+		while (takenValues.indexOf(value) !== -1) value--;
+		takenValues.push(value);
+		kickers.push({ cardId: card.cardId, value: value });
+	}
+	return kickers.sort((a, b) => b.value - a.value).slice(0, count);
+}
+
+// Context contains the precomputed properties cardIds, cards, cardsByValue, cardGroupsBySize, cardsBySuit, and
+// wildCards. When there are wild cards, cardsByValue, cardGroupsBySize, and cardsBySuit contain only the
+// natural cards, and evaluators use evaluateWild if they have it. Result evaluators can also describe their
+// results in words (see describeHandResult).
 const evaluators = {
+	'five-of-a-kind': {
+		minHandSize: 5,
+		maxHandSize: 7,
+		isResult: true,
+		evaluate: function(context) {
+			// Only possible with wild cards
+			return null;
+		},
+		evaluateWild: function(context) {
+			let group = getWildGroups(context, [ 5 ]);
+			if (!group) return null;
+			return {
+				value: group.values[0],
+				cardIds: getCardIdsFromCardArray(group.cards)
+			};
+		},
+		compareResults: function(a, b) {
+			if (!a.value || !b.value) throw new XError(XError.INCOMPLETE_RESULT);
+			if (a.value > b.value) return -1;
+			if (a.value < b.value) return 1;
+			return 0;
+		},
+		describe: function(result) {
+			return 'Five of a kind, ' + getValueName(result.value, true);
+		}
+	},
 	'straight-flush': {
 		minHandSize: 5,
 		maxHandSize: 7,
@@ -91,7 +200,7 @@ const evaluators = {
 					// Check for wraparound straight
 					if (
 						currentStraight.length === 4 &&
-						currentStraight[currentStraight.length - 1].value === 2 &&
+						currentStraight[currentStraight.length - 1].value === context.variant.straightMinValue &&
 						acesBySuit[currentStraight[0].suit]
 					) {
 						// Straight flush GET
@@ -112,11 +221,29 @@ const evaluators = {
 			}
 			return null;
 		},
+		evaluateWild: function(context) {
+			for (let highValue = cardUtils.ACE; highValue >= context.variant.straightMinValue + 3; highValue--) {
+				for (let suit = cardUtils.SPADES; suit >= cardUtils.CLUBS; suit--) {
+					let straight = getWildStraight(context, highValue, suit);
+					if (straight) {
+						return { suit: suit, highValue: highValue, cardIds: getCardIdsFromCardArray(straight) };
+					}
+				}
+			}
+			return null;
+		},
 		compareResults: function(a, b) {
 			if (!a.highValue || !b.highValue) throw new XError(XError.INCOMPLETE_RESULT);
 			if (a.highValue > b.highValue) return -1;
 			if (a.highValue < b.highValue) return 1;
 			return 0;
+		},
+		describe: function(result, longhand) {
+			let description = (result.highValue === cardUtils.ACE) ?
+				'Royal flush' :
+				'Straight flush, ' + getValueName(result.highValue) + '-high';
+			if (longhand && result.suit) description += ' in ' + cardUtils.getSuitString(result.suit, true);
+			return description;
 		}
 	},
 	'four-of-a-kind': {
@@ -139,11 +266,24 @@ const evaluators = {
 			}
 			return null;
 		},
+		evaluateWild: function(context) {
+			let group = getWildGroups(context, [ 4 ]);
+			if (!group) return null;
+			let kickers = getWildKickers(context, group.cards, group.values, 1);
+			return {
+				value: group.values[0],
+				kickerValues: getCardValuesFromCardArray(kickers),
+				cardIds: getCardIdsFromCardArray(group.cards.concat(kickers))
+			};
+		},
 		compareResults: function(a, b) {
 			if (!a.value || !b.value) throw new XError(XError.INCOMPLETE_RESULT);
 			if (a.value > b.value) return -1;
 			if (a.value < b.value) return 1;
 			return compareValueArrays(a.kickerValues, b.kickerValues);
+		},
+		describe: function(result) {
+			return 'Four of a kind, ' + getValueName(result.value, true);
 		}
 	},
 	'full-house': {
@@ -180,6 +320,15 @@ const evaluators = {
 			}
 			return null;
 		},
+		evaluateWild: function(context) {
+			let groups = getWildGroups(context, [ 3, 2 ]);
+			if (!groups) return null;
+			return {
+				threeValue: groups.values[0],
+				twoValue: groups.values[1],
+				cardIds: getCardIdsFromCardArray(groups.cards)
+			};
+		},
 		compareResults: function(a, b) {
 			if (!a.threeValue || !b.threeValue) throw new XError(XError.INCOMPLETE_RESULT);
 			if (a.threeValue > b.threeValue) return -1;
@@ -188,6 +337,10 @@ const evaluators = {
 			if (a.twoValue > b.twoValue) return -1;
 			if (a.twoValue < b.twoValue) return 1;
 			return 0;
+		},
+		describe: function(result) {
+			return 'Full house, ' + getValueName(result.threeValue, true) + ' full of ' +
+				getValueName(result.twoValue, true);
 		}
 	},
 	'flush': {
@@ -214,8 +367,30 @@ const evaluators = {
 			}
 			return null;
 		},
+		evaluateWild: function(context) {
+			let bestFlush = null;
+			for (let suit = cardUtils.SPADES; suit >= cardUtils.CLUBS; suit--) {
+				let flush = context.cardsBySuit.filter((card) => card.suit === suit);
+				// Wild cards play as the highest cards of the suit that are not in the hand
+				let value = cardUtils.ACE;
+				for (let wildCard of context.wildCards) {
+					while (flush.some((card) => card.value === value)) value--;
+					flush.push({ cardId: wildCard.cardId, value: value });
+				}
+				if (flush.length < 5) continue;
+				flush = flush.sort((a, b) => b.value - a.value).slice(0, 5);
+				let kickerValues = getCardValuesFromCardArray(flush);
+				if (!bestFlush || compareValueArrays(kickerValues, bestFlush.kickerValues) < 0) {
+					bestFlush = { suit: suit, kickerValues: kickerValues, cardIds: getCardIdsFromCardArray(flush) };
+				}
+			}
+			return bestFlush;
+		},
 		compareResults: function(a, b) {
 			return compareValueArrays(a.kickerValues, b.kickerValues);
+		},
+		describe: function(result) {
+			return 'Flush, ' + getValueName(result.kickerValues[0]) + '-high';
 		}
 	},
 	'straight': {
@@ -243,7 +418,7 @@ const evaluators = {
 					// Check for wraparound straight
 					if (
 						currentStraight.length === 4 &&
-						currentStraight[currentStraight.length - 1].value === 2 &&
+						currentStraight[currentStraight.length - 1].value === context.variant.straightMinValue &&
 						aceCard
 					) {
 						currentStraight.push(aceCard);
@@ -262,11 +437,21 @@ const evaluators = {
 			}
 			return null;
 		},
+		evaluateWild: function(context) {
+			for (let highValue = cardUtils.ACE; highValue >= context.variant.straightMinValue + 3; highValue--) {
+				let straight = getWildStraight(context, highValue);
+				if (straight) return { highValue: highValue, cardIds: getCardIdsFromCardArray(straight) };
+			}
+			return null;
+		},
 		compareResults: function(a, b) {
 			if (!a.highValue || !b.highValue) throw new XError(XError.INCOMPLETE_RESULT);
 			if (a.highValue > b.highValue) return -1;
 			if (a.highValue < b.highValue) return 1;
 			return 0;
+		},
+		describe: function(result) {
+			return 'Straight, ' + getValueName(result.highValue) + '-high';
 		}
 	},
 	'three-of-a-kind': {
@@ -293,11 +478,24 @@ const evaluators = {
 			}
 			return null;
 		},
+		evaluateWild: function(context) {
+			let group = getWildGroups(context, [ 3 ]);
+			if (!group) return null;
+			let kickers = getWildKickers(context, group.cards, group.values, 2);
+			return {
+				value: group.values[0],
+				kickerValues: getCardValuesFromCardArray(kickers),
+				cardIds: getCardIdsFromCardArray(group.cards.concat(kickers))
+			};
+		},
 		compareResults: function(a, b) {
 			if (!a.value || !b.value) throw new XError(XError.INCOMPLETE_RESULT);
 			if (a.value > b.value) return -1;
 			if (a.value < b.value) return 1;
 			return compareValueArrays(a.kickerValues, b.kickerValues);
+		},
+		describe: function(result) {
+			return 'Three of a kind, ' + getValueName(result.value, true);
 		}
 	},
 	'two-pair': {
@@ -327,10 +525,24 @@ const evaluators = {
 			}
 			return null;
 		},
+		evaluateWild: function(context) {
+			let groups = getWildGroups(context, [ 2, 2 ]);
+			if (!groups) return null;
+			let kickers = getWildKickers(context, groups.cards, groups.values, 1);
+			return {
+				values: groups.values,
+				kickerValues: getCardValuesFromCardArray(kickers),
+				cardIds: getCardIdsFromCardArray(groups.cards.concat(kickers))
+			};
+		},
 		compareResults: function(a, b) {
 			let valuesArrayResult = compareValueArrays(a.values, b.values);
 			if (valuesArrayResult !== 0) return valuesArrayResult;
 			return compareValueArrays(a.kickerValues, b.kickerValues);
+		},
+		describe: function(result) {
+			return 'Two pair, ' + getValueName(result.values[0], true) + ' and ' +
+				getValueName(result.values[1], true);
 		}
 	},
 	'pair': {
@@ -357,11 +569,24 @@ const evaluators = {
 			}
 			return null;
 		},
+		evaluateWild: function(context) {
+			let group = getWildGroups(context, [ 2 ]);
+			if (!group) return null;
+			let kickers = getWildKickers(context, group.cards, group.values, 3);
+			return {
+				value: group.values[0],
+				kickerValues: getCardValuesFromCardArray(kickers),
+				cardIds: getCardIdsFromCardArray(group.cards.concat(kickers))
+			};
+		},
 		compareResults: function(a, b) {
 			if (!a.value || !b.value) throw new XError(XError.INCOMPLETE_RESULT);
 			if (a.value > b.value) return -1;
 			if (a.value < b.value) return 1;
 			return compareValueArrays(a.kickerValues, b.kickerValues);
+		},
+		describe: function(result) {
+			return 'Pair of ' + getValueName(result.value, true);
 		}
 	},
 	'high-cards': {
@@ -376,8 +601,18 @@ const evaluators = {
 				cardIds: getCardIdsFromCardArray(kickers)
 			}
 		},
+		evaluateWild: function(context) {
+			let kickers = getWildKickers(context, [], [], 5);
+			return {
+				kickerValues: getCardValuesFromCardArray(kickers),
+				cardIds: getCardIdsFromCardArray(kickers)
+			};
+		},
 		compareResults: function(a, b) {
 			return compareValueArrays(a.kickerValues, b.kickerValues)
+		},
+		describe: function(result) {
+			return getValueName(result.kickerValues[0]) + '-high';
 		}
 	},
 
@@ -429,7 +664,9 @@ const evaluators = {
 			for (let group of context.cardGroupsBySize) {
 				handValueSet[group[0].value] = true;
 			}
-			if (handValueSet[cardUtils.ACE]) handValueSet[cardUtils.ACE_LOW] = true;
+			// The ace also counts as the value just below the lowest straight card
+			let aceLowValue = context.variant.straightMinValue - 1;
+			if (handValueSet[cardUtils.ACE]) handValueSet[aceLowValue] = true;
 			let handValues = context.cardGroupsBySize.map((group) => group[0].value);
 			// Iterate over each possible straight header to find number of missing cards
 			let minCardsToStraight = 3;
@@ -440,11 +677,11 @@ const evaluators = {
 			let highestCardsToStraightCombinations = 0;
 			let straightDraws = [];
 			let usedCombinations = {};
-			for (let straightHead = cardUtils.ACE; straightHead >= cardUtils.FIVE; straightHead--) {
+			for (let straightHead = cardUtils.ACE; straightHead >= aceLowValue + 4; straightHead--) {
 				let neededValues = [];
 				for (let k = 0; k <= 4; k++) {
 					if (!handValueSet[straightHead - k]) {
-						if (straightHead - k === cardUtils.ACE_LOW) {
+						if (straightHead - k === aceLowValue) {
 							neededValues.unshift(cardUtils.ACE);
 						} else {
 							neededValues.push(straightHead - k);
@@ -497,6 +734,7 @@ const evaluators = {
 
 // The strength ordering of each result evaluator.
 const resultEvaluatorOrder = [
+	'five-of-a-kind',
 	'straight-flush',
 	'four-of-a-kind',
 	'full-house',
@@ -507,28 +745,176 @@ const resultEvaluatorOrder = [
 	'pair',
 	'high-cards'
 ];
-const resultEvaluatorOrderMap = {};
-for (let i = 0; i < resultEvaluatorOrder.length; i++) {
-	resultEvaluatorOrderMap[resultEvaluatorOrder[i]] = i;
+
+/*
+Rule variants that change which cards are in play and how results rank. Each variant has:
+- deckType: the deck hands are dealt from (see cardUtils.deckTypes). Cards outside it are rejected.
+- resultEvaluatorOrder: the strength ordering of each result evaluator
+- straightMinValue: the lowest value in a straight apart from the ace, which can play below it to make
+  the lowest straight (A-2-3-4-5 in standard poker, A-6-7-8-9 in short-deck)
+- wildValues: card values that are wild (e.g. [ 2 ] for deuces wild). Jokers are always wild.
+Functions that take an optional variant accept either its name or the variant object, defaulting to 'standard'.
+More variants can be added with addVariant().
+*/
+const variants = {
+	'standard': {
+		deckType: 'standard',
+		resultEvaluatorOrder: resultEvaluatorOrder,
+		straightMinValue: cardUtils.TWO,
+		wildValues: []
+	},
+	// Flushes are harder to make with fewer cards per suit, so they beat full houses
+	'short-deck': {
+		deckType: 'short',
+		resultEvaluatorOrder: [
+			'five-of-a-kind',
+			'straight-flush',
+			'four-of-a-kind',
+			'flush',
+			'full-house',
+			'straight',
+			'three-of-a-kind',
+			'two-pair',
+			'pair',
+			'high-cards'
+		],
+		straightMinValue: cardUtils.SIX,
+		wildValues: []
+	},
+	'deuces-wild': {
+		deckType: 'standard',
+		resultEvaluatorOrder: resultEvaluatorOrder,
+		straightMinValue: cardUtils.TWO,
+		wildValues: [ cardUtils.TWO ]
+	},
+	'joker-wild': {
+		deckType: 'joker',
+		resultEvaluatorOrder: resultEvaluatorOrder,
+		straightMinValue: cardUtils.TWO,
+		wildValues: []
+	}
 };
 
+// Fill in the derived properties of a variant.
+function initVariant(variantName, variant) {
+	variant.name = variantName;
+	// The lowest value a wild card can take
+	variant.minValue = cardUtils.deckTypes[variant.deckType].minValue;
+	variant.resultEvaluatorOrderMap = {};
+	for (let i = 0; i < variant.resultEvaluatorOrder.length; i++) {
+		variant.resultEvaluatorOrderMap[variant.resultEvaluatorOrder[i]] = i;
+	}
+}
+for (let variantName in variants) {
+	initVariant(variantName, variants[variantName]);
+}
+
+// Add a variant, e.g. addVariant('sevens-wild', { wildValues: [ 7 ] }). Properties that aren't given are
+// taken from the standard variant. Returns the new variant object.
+function addVariant(variantName, properties) {
+	if (variants[variantName]) throw new XError(XError.INVALID_ARGUMENT, 'Variant already exists: ' + variantName);
+	let variant = {
+		deckType: properties.deckType || 'standard',
+		resultEvaluatorOrder: properties.resultEvaluatorOrder || resultEvaluatorOrder,
+		straightMinValue: properties.straightMinValue || cardUtils.TWO,
+		wildValues: properties.wildValues || []
+	};
+	if (!cardUtils.deckTypes[variant.deckType]) {
+		throw new XError(XError.INVALID_ARGUMENT, 'Unrecognized deck type: ' + variant.deckType);
+	}
+	initVariant(variantName, variant);
+	variants[variantName] = variant;
+	return variant;
+}
+
+// Get a variant object given its name or the object itself. Defaults to 'standard'.
+function getVariant(variant) {
+	if (!variant) return variants.standard;
+	if (typeof variant === 'object' && variants[variant.name] === variant) return variant;
+	if (!variants[variant]) throw new XError(XError.INVALID_ARGUMENT, 'Unrecognized variant: ' + variant);
+	return variants[variant];
+}
+
+// Returns true if a card is wild under a variant.
+function isWildCard(cardId, variant) {
+	let card = cardUtils.getCardComponents(cardId);
+	return !!card.joker || getVariant(variant).wildValues.indexOf(card.value) !== -1;
+}
+
+// Run an evaluator, using its wild card evaluation if the hand has wild cards. Evaluators without one (the
+// draws) return null for hands with wild cards.
+function runEvaluator(evaluator, context) {
+	if (!context.wildCards.length) return evaluator.evaluate(context);
+	return evaluator.evaluateWild ? evaluator.evaluateWild(context) : null;
+}
+
+
+// Orders cards descending by value, then by suit.
+function compareCardsByValue(a, b) {
+	if (a.value > b.value) return -1;
+	if (a.value < b.value) return 1;
+	if (a.suit > b.suit) return -1;
+	if (a.suit < b.suit) return 1;
+	return 0;
+}
+
+// Orders cards descending by suit, then by value.
+function compareCardsBySuit(a, b) {
+	if (a.suit > b.suit) return -1;
+	if (a.suit < b.suit) return 1;
+	if (a.value > b.value) return -1;
+	if (a.value < b.value) return 1;
+	return 0;
+}
+
+// Orders groups of same valued cards descending by size of group, then by value.
+function compareCardGroups(a, b) {
+	if (a.length > b.length) return -1;
+	if (a.length < b.length) return 1;
+	if (a[0].value > b[0].value) return -1;
+	if (a[0].value < b[0].value) return 1;
+	return 0;
+}
+
+// Get a copy of a sorted array with an item inserted in order.
+function insertSorted(array, item, compare) {
+	let index = 0;
+	while (index < array.length && compare(array[index], item) <= 0) index++;
+	return array.slice(0, index).concat([ item ], array.slice(index));
+}
+
+// Get the components of cards being added to a hand, checking that they are in the deck and not already in the
+// hand.
+function getNewCards(cardIds, existingCards, variant) {
+	let cards = cardUtils.getCardComponentsArray(cardIds);
+	let seenCardIds = {};
+	for (let card of existingCards) {
+		seenCardIds[card.cardId] = true;
+	}
+	for (let card of cards) {
+		if (!cardUtils.isCardInDeck(card.cardId, variant.deckType)) {
+			throw new XError(XError.INVALID_ARGUMENT, 'Hand contains a card that is not in the deck');
+		}
+		if (seenCardIds[card.cardId]) {
+			throw new XError(XError.INVALID_ARGUMENT, 'Poker hand contains duplicate cards');
+		}
+		seenCardIds[card.cardId] = true;
+	}
+	return cards;
+}
 
 // Get a context object containing precomputed properties
-function getEvalContext(hand) {
+function getEvalContext(hand, variant) {
 	if (hand.length < 5) throw new XError(XError.INVALID_ARGUMENT, 'Hand must have at least 5 cards');
 	if (hand.length > 7) throw new XError(XError.INVALID_ARGUMENT, 'Impossible number of cards in hand');
-	let cards = cardUtils.getCardComponentsArray(hand);
+	variant = getVariant(variant);
+	let cards = getNewCards(hand, [], variant);
+	let wildCards = cards.filter((card) => isWildCard(card, variant));
+	let naturalCards = wildCards.length ? cards.filter((card) => wildCards.indexOf(card) === -1) : cards;
 
-	// Descending by value
-	let cardsByValue = cards.slice().sort((a, b) => {
-		if (a.value > b.value) return -1;
-		if (a.value < b.value) return 1;
-		if (a.suit > b.suit) return -1;
-		if (a.suit < b.suit) return 1;
-		return 0;
-	});
+	let cardsByValue = naturalCards.slice().sort(compareCardsByValue);
 
-	// Cards with same value grouped together, sorted descending by size of group, then by value
+	// Cards with same value grouped together
 	let cardGroupsBySize = [];
 	let currentGroup;
 	for (let card of cardsByValue) {
@@ -542,36 +928,59 @@ function getEvalContext(hand) {
 		}
 	}
 	if (currentGroup) cardGroupsBySize.push(currentGroup);
-	cardGroupsBySize.sort((a, b) => {
-		if (a.length > b.length) return -1;
-		if (a.length < b.length) return 1;
-		if (a[0].value > b[0].value) return -1;
-		if (a[0].value < b[0].value) return 1;
-		return 0;
-	});
+	cardGroupsBySize.sort(compareCardGroups);
 
-	// Descending by suit, descending by value
-	let cardsBySuit = cards.slice().sort((a, b) => {
-		if (a.suit > b.suit) return -1;
-		if (a.suit < b.suit) return 1;
-		if (a.value > b.value) return -1;
-		if (a.value < b.value) return 1;
-		return 0;
-	});
-
-	// Antiduplication check
-	for (let i = 0; i < cardsBySuit.length - 1; i++) {
-		if (cardsBySuit[i].cardId === cardsBySuit[i + 1].cardId) {
-			throw new XError(XError.INVALID_ARGUMENT, 'Poker hand contains duplicate cards');
-		}
-	}
+	let cardsBySuit = naturalCards.slice().sort(compareCardsBySuit);
 
 	return {
 		hand,
+		variant,
 		cards,
 		cardsByValue,
 		cardGroupsBySize,
-		cardsBySuit
+		cardsBySuit,
+		wildCards
+	};
+}
+
+/*
+Get a new context for a hand with more cards added, such as the next street's cards. The sorted cards, value
+groups, and suit ordering of the given context are extended in place of being rebuilt, which is much cheaper
+than getting the new hand's context from scratch. The given context is left unchanged.
+*/
+function extendEvalContext(context, cardIds) {
+	if (context.hand.length + cardIds.length > 7) {
+		throw new XError(XError.INVALID_ARGUMENT, 'Impossible number of cards in hand');
+	}
+	let variant = context.variant;
+	let newCards = getNewCards(cardIds, context.cards, variant);
+	let cardsByValue = context.cardsByValue;
+	let cardGroupsBySize = context.cardGroupsBySize;
+	let cardsBySuit = context.cardsBySuit;
+	let wildCards = context.wildCards;
+	for (let card of newCards) {
+		if (isWildCard(card, variant)) {
+			wildCards = wildCards.concat([ card ]);
+			continue;
+		}
+		cardsByValue = insertSorted(cardsByValue, card, compareCardsByValue);
+		cardsBySuit = insertSorted(cardsBySuit, card, compareCardsBySuit);
+		let groupIndex = cardGroupsBySize.findIndex((group) => group[0].value === card.value);
+		let group = [ card ];
+		if (groupIndex !== -1) {
+			group = insertSorted(cardGroupsBySize[groupIndex], card, compareCardsByValue);
+			cardGroupsBySize = cardGroupsBySize.filter((otherGroup, index) => index !== groupIndex);
+		}
+		cardGroupsBySize = insertSorted(cardGroupsBySize, group, compareCardGroups);
+	}
+	return {
+		hand: context.hand.concat(cardIds),
+		variant,
+		cards: context.cards.concat(newCards),
+		cardsByValue,
+		cardGroupsBySize,
+		cardsBySuit,
+		wildCards
 	};
 }
 
@@ -589,12 +998,23 @@ Evaluation looks like this:
 	inclusiveStraightCount: 1,  // The number of possible straights that utilize both pocket cards
 	semiInclusiveStraightCount: 2 // The number of possible straights that utilize one pocket card
 }
+Pockets containing wild cards can't be evaluated this way.
 */
-function getPocketEvaluation(pocket) {
+function getPocketEvaluation(pocket, variant) {
 	if (pocket.length !== 2) {
 		throw new XError(XError.INVALID_ARGUMENT, 'Pocket must have exactly two cards');
 	}
+	variant = getVariant(variant);
+	let aceLowValue = variant.straightMinValue - 1;
 	let cards = cardUtils.getCardComponentsArray(pocket);
+	for (let card of cards) {
+		if (!cardUtils.isCardInDeck(card.cardId, variant.deckType)) {
+			throw new XError(XError.INVALID_ARGUMENT, 'Pocket contains a card that is not in the deck');
+		}
+		if (isWildCard(card, variant)) {
+			throw new XError(XError.INVALID_ARGUMENT, 'Pocket evaluation does not support wild cards');
+		}
+	}
 	cards.sort(function(a, b) {
 		if (a.value > b.value) return -1;
 		if (a.value < b.value) return 1;
@@ -626,19 +1046,19 @@ function getPocketEvaluation(pocket) {
 		ret.valueSpread = cards[0].value - cards[1].value;
 		if (
 			(cards[0].value === cardUtils.ACE) && 
-			(cards[1].value - cardUtils.ACE_LOW < ret.valueSpread)
+			(cards[1].value - aceLowValue < ret.valueSpread)
 		) {
-			ret.valueSpread = cards[1].value - cardUtils.ACE_LOW;
+			ret.valueSpread = cards[1].value - aceLowValue;
 		}
 	}
 
 	let values = [ cards[0].value ];
 	if (!ret.pairValue) values.push(cards[1].value);
 	if (values[0] === cardUtils.ACE) {
-		values.push(cardUtils.ACE_LOW);
+		values.push(aceLowValue);
 	}
 	// Iterate over all possible straights
-	for (let straightHead = cardUtils.ACE; straightHead >= cardUtils.FIVE; straightHead--) {
+	for (let straightHead = cardUtils.ACE; straightHead >= aceLowValue + 4; straightHead--) {
 		let includedCards = 0;
 		for (let value of values) {
 			if (straightHead >= value && (straightHead - value) < 5) {
@@ -654,14 +1074,14 @@ function getPocketEvaluation(pocket) {
 
 
 // Call a specific evaluator given its type.
-function getEvaluationByType(hand, evaluatorType) {
-	let evalContext = getEvalContext(hand);
+function getEvaluationByType(hand, evaluatorType, variant) {
+	let evalContext = getEvalContext(hand, variant);
 	let evaluator = evaluators[evaluatorType];
 	if (!evaluator) throw new XError(XError.INVALID_ARGUMENT, 'Invalid evaluatorType');
 	if (hand.length < evaluator.minHandSize || hand.length > evaluator.maxHandSize) {
 		throw new XError(XError.INVALID_ARGUMENT, 'Hand length is out of bounds for evaluator');
 	}
-	let result = evaluator.evaluate(evalContext);
+	let result = runEvaluator(evaluator, evalContext);
 	if (result) {
 		result.evalType = evaluatorType;
 		return result;
@@ -670,11 +1090,15 @@ function getEvaluationByType(hand, evaluatorType) {
 }
 
 // Given a 5-7 card hand, get the best result for that hand.
-function getHandResult(hand) {
-	let evalContext = getEvalContext(hand);
-	for (let evaluatorType of resultEvaluatorOrder) {
+function getHandResult(hand, variant) {
+	return getContextHandResult(getEvalContext(hand, variant));
+}
+
+// Get the best result for the hand of an eval context (see getEvalContext and extendEvalContext).
+function getContextHandResult(evalContext) {
+	for (let evaluatorType of evalContext.variant.resultEvaluatorOrder) {
 		let evaluator = evaluators[evaluatorType];
-		let result = evaluator.evaluate(evalContext);
+		let result = runEvaluator(evaluator, evalContext);
 		if (result) {
 			result.evalType = evaluatorType;
 			return result;
@@ -683,8 +1107,57 @@ function getHandResult(hand) {
 	return null;
 }
 
+// Get every k-card subset of an array of cards, preserving order.
+function getCardSubsets(cards, k) {
+	if (k === 0) return [ [] ];
+	let subsets = [];
+	for (let i = 0; i <= cards.length - k; i++) {
+		for (let rest of getCardSubsets(cards.slice(i + 1), k - 1)) {
+			subsets.push([ cards[i] ].concat(rest));
+		}
+	}
+	return subsets;
+}
+
+// Given an Omaha pocket of 4 or more cards and 3-5 community cards, get every 5 card hand that uses exactly
+// two pocket cards and three community cards.
+function getOmahaHands(pocket, community) {
+	if (pocket.length < 4) throw new XError(XError.INVALID_ARGUMENT, 'Omaha pocket must have at least 4 cards');
+	if (!community || community.length < 3 || community.length > 5) {
+		throw new XError(XError.INVALID_ARGUMENT, 'Omaha community must have between 3 and 5 cards');
+	}
+	let hands = [];
+	let communitySubsets = getCardSubsets(community, 3);
+	for (let pocketSubset of getCardSubsets(pocket, 2)) {
+		for (let communitySubset of communitySubsets) {
+			hands.push(pocketSubset.concat(communitySubset));
+		}
+	}
+	return hands;
+}
+
+// Get the best result from an Omaha pocket and community (see getOmahaHands).
+function getOmahaHandResult(pocket, community, variant) {
+	let bestResult = null;
+	for (let hand of getOmahaHands(pocket, community)) {
+		let result = getHandResult(hand, variant);
+		if (!bestResult || compareHandResults(result, bestResult, variant) < 0) {
+			bestResult = result;
+		}
+	}
+	return bestResult;
+}
+
+// Get the best result for a player under a game's hand rule (see PokerTable.games). The 'omaha' rule uses
+// exactly two pocket cards and three community cards; any other rule ('best-five') plays the best 5 cards.
+function getGameHandResult(pocket, community, handRule, variant) {
+	if (handRule === 'omaha') return getOmahaHandResult(pocket, community, variant);
+	return getHandResult(pocket.concat(community || []), variant);
+}
+
 // Compare two hand results to see which is stronger. Return -1 if a is stronger, and 1 if b is stronger.
-function compareHandResults(a, b) {
+function compareHandResults(a, b, variant) {
+	let resultEvaluatorOrderMap = getVariant(variant).resultEvaluatorOrderMap;
 	let aIndex = resultEvaluatorOrderMap[a.evalType];
 	let bIndex = resultEvaluatorOrderMap[b.evalType];
 	if (typeof aIndex !== 'number' || typeof bIndex !== 'number') {
@@ -708,11 +1181,28 @@ function compareHandResults(a, b) {
 	}
 }
 
+/*
+Get a description of a hand result, such as 'Full house, Eights full of Aces' or 'Flush, Ace-high', with value
+names always spelled out. With longhand, descriptions also list any kickers and the suit of a straight flush,
+e.g. 'Flush, Ace-high (A Q 9 6 4)', 'Pair of Queens (A 9 7)' or 'Royal flush in Spades'.
+*/
+function describeHandResult(result, longhand) {
+	let evaluator = result && evaluators[result.evalType];
+	if (!evaluator || !evaluator.isResult) {
+		throw new XError(XError.INVALID_ARGUMENT, 'Hand result has invalid type');
+	}
+	let description = evaluator.describe(result, longhand);
+	if (longhand && result.kickerValues && result.kickerValues.length) {
+		description += ' (' + result.kickerValues.map((value) => cardUtils.getValueString(value)).join(' ') + ')';
+	}
+	return description;
+}
+
 // Do a compare on two partial results that returns 0 if the results are equivalent up to the missing information.
 // This does not establish a total order and cannot be used for sorting.
-function comparePartialHandResults(a, b) {
+function comparePartialHandResults(a, b, variant) {
 	try {
-		return compareHandResults(a, b);
+		return compareHandResults(a, b, variant);
 	} catch (err) {
 		if ((err.code === XError.INCOMPLETE_RESULT) || (err.data && err.data.incomplete)) {
 			return 0;
@@ -723,11 +1213,14 @@ function comparePartialHandResults(a, b) {
 
 // Get a set of evaluations that fully characterizes a hand's chances of winning / improving.
 // Result can have up to three evaluations; the actual current result, straight draw, and flush draw.
-function getResultEvaluation(hand) {
-	let evalContext = getEvalContext(hand);
-	if (hand.length < 5 || hand.length > 7) {
-		throw new XError(XError.INVALID_ARGUMENT, 'Hand must be between 5 and 7 cards');
-	}
+function getResultEvaluation(hand, variant) {
+	return getContextResultEvaluation(getEvalContext(hand, variant));
+}
+
+// Get the result evaluation (see getResultEvaluation) for the hand of an eval context.
+function getContextResultEvaluation(evalContext) {
+	let hand = evalContext.hand;
+	let variant = evalContext.variant;
 	let ret = {
 		result: null,
 		evaluations: []
@@ -741,13 +1234,13 @@ function getResultEvaluation(hand) {
 			if (hand.length < evaluator.minHandSize || hand.length > evaluator.maxHandSize) {
 				continue;
 			}
-			let evaluation = evaluator.evaluate(evalContext);
+			let evaluation = runEvaluator(evaluator, evalContext);
 			if (evaluation) {
 				evaluation.evalType = evaluatorType;
 				ret.evaluations.push(evaluation);
 				if (evaluator.isResult) {
 					if (ret.result) {
-						if (compareHandResults(evaluation, ret.result) < 0) {
+						if (compareHandResults(evaluation, ret.result, variant) < 0) {
 							ret.result = evaluation;
 						}
 					} else {
@@ -759,8 +1252,9 @@ function getResultEvaluation(hand) {
 		}
 	}
 
-	// First check for hands stronger than a flush (these hands cannot draw to a straight flush)
-	processEvaluators([ 'straight-flush', 'four-of-a-kind', 'full-house' ]);
+	// First check for hands stronger than a flush (these hands cannot draw to a straight flush).
+	// In short-deck a full house ranks below a flush, but no 7 card hand can hold both.
+	processEvaluators([ 'five-of-a-kind', 'straight-flush', 'four-of-a-kind', 'full-house' ]);
 	if (!ret.result) {
 		// Evaluate separately for weaker paired hands, flushes, and straights
 		processEvaluators([ 'three-of-a-kind', 'two-pair', 'pair', 'high-cards' ]);
@@ -775,23 +1269,50 @@ function getResultEvaluation(hand) {
 
 // Get a full evaluation of a player's hand, including the pocket and result evaluations.
 // This is the object that will be queried on by function in hand-match.
-function getFullEvaluation(pocket, community) {
+// The pocket evaluation is only included for 2 card pockets without wild cards, and the result evaluation once
+// there are 5 cards.
+// For Omaha, the pocket evaluation is omitted and the result evaluation contains only the made hand, with no draws.
+function getFullEvaluation(pocket, community, handRule, variant) {
+	if (handRule === 'omaha') {
+		let result = community ? getOmahaHandResult(pocket, community, variant) : undefined;
+		return {
+			pocket: cardUtils.getCardComponentsArray(pocket),
+			community: community ? cardUtils.getCardComponentsArray(community) : undefined,
+			pocketEval: undefined,
+			resultEval: result ? { result: result, evaluations: [ result ] } : undefined
+		};
+	}
+	let cards = pocket.concat(community || []);
+	let hasPocketEval = (pocket.length === 2) && !pocket.some((cardId) => isWildCard(cardId, variant));
 	return {
 		pocket: cardUtils.getCardComponentsArray(pocket),
 		community: community ? cardUtils.getCardComponentsArray(community) : undefined,
-		pocketEval: getPocketEvaluation(pocket),
-		resultEval: community ? getResultEvaluation(pocket.concat(community)) : undefined
+		pocketEval: hasPocketEval ? getPocketEvaluation(pocket, variant) : undefined,
+		resultEval: (cards.length >= 5) ? getResultEvaluation(cards, variant) : undefined
 	};
 }
 
 
 module.exports = {
 	evaluators,
+	variants,
+	getVariant,
+	addVariant,
+	isWildCard,
+	getEvalContext,
+	extendEvalContext,
 	getPocketEvaluation,
 	getEvaluationByType,
 	getHandResult,
+	getContextHandResult,
+	getCardSubsets,
+	getOmahaHands,
+	getOmahaHandResult,
+	getGameHandResult,
 	compareHandResults,
+	describeHandResult,
 	comparePartialHandResults,
 	getResultEvaluation,
+	getContextResultEvaluation,
 	getFullEvaluation
 };
@@ -33,18 +33,45 @@ class HandImprovementSimulator extends Simulator {
 		}
 	}
 
+	_getPartialResult() {
+		return {
+			totalTested: this.totalTested,
+			totalAccepted: this.totalAccepted
+		};
+	}
+
+	_mergePartialResult(partialResult) {
+		this.totalTested += partialResult.totalTested;
+		this.totalAccepted += partialResult.totalAccepted;
+	}
+
 	_progress(data) {
 		if (this.progressFunc) {
 			this.progressFunc(data);
 		}
 	}
 
+	// Each trial is accepted or not, so the sum of squares equals the sum.
+	_getImproveEstimate() {
+		return this._getMeanEstimate(this.totalTested, this.totalAccepted, this.totalAccepted, [ 0, 1 ]);
+	}
+
+	_getPrecision() {
+		let estimate = this._getImproveEstimate();
+		if (estimate.standardError === null) return Infinity;
+		return estimate.high - estimate.low;
+	}
+
 	_getResult() {
-		let improveProb = (this.totalTested !== 0) ? (this.totalAccepted / this.totalTested) : 0;
+		let estimate = this._getImproveEstimate();
+		let improveProb = estimate.mean;
 		let odds = (improveProb !== 0) ? (1 / improveProb - 1) : 0;
+		let roundProb = (prob) => (prob === null) ? null : Math.round(prob * 10000) / 10000;
 		return {
-			probability: Math.round(improveProb * 10000) / 10000,
-			odds: Math.round(odds * 10) / 10
+			probability: roundProb(improveProb),
+			odds: Math.round(odds * 10) / 10,
+			standardError: roundProb(estimate.standardError),
+			interval: [ roundProb(estimate.low), roundProb(estimate.high) ]
 		};
 	}
 
@@ -6,6 +6,7 @@ const commonQuery = require('common-query');
 const commonSchema = require('common-schema');
 const cardUtils = require('./card-utils');
 const handEval = require('./hand-eval');
+const PokerTable = require('./poker-table');
 
 // A schema for the hand eval objects we will be querying against
 const cardValueSchema = { type: 'number', isCardValue: true };
@@ -72,7 +73,9 @@ const fullEvalSchema = commonSchema.createSchema({
 	}
 });
 
-// Custom query factory to which we will register our custom operators
+// Custom query factory to which we will register our custom operators. $minStrength and $maxStrength compare
+// hand results under the rules of the variant given in the match options, e.g. query.matches(fullEval,
+// { variant: 'short-deck' }), and default to the standard hand order.
 let queryFactory = new commonQuery.QueryFactory();
 
 class MinStrengthOp extends commonQuery.ExprOperator {
@@ -81,14 +84,15 @@ class MinStrengthOp extends commonQuery.ExprOperator {
 		super('$minStrength');
 	}
 
-	matchesValue(value, opValue) {
+	matchesValue(value, opValue, operator, expr, options) {
 		if (!value || typeof value !== 'object' || !value.evalType) {
 			return false;
 		}
 		if (!opValue || typeof opValue !== 'object' || !opValue.evalType) {
 			throw new XError(XError.INTERNAL_ERROR, 'Invalid value in $minStrength')
 		}
-		if (handEval.comparePartialHandResults(value, opValue) <= 0) return true;
+		let variant = options && options.variant;
+		if (handEval.comparePartialHandResults(value, opValue, variant) <= 0) return true;
 		return false;
 	}
 }
@@ -99,14 +103,15 @@ class MaxStrengthOp extends commonQuery.ExprOperator {
 		super('$maxStrength');
 	}
 
-	matchesValue(value, opValue) {
+	matchesValue(value, opValue, operator, expr, options) {
 		if (!value || typeof value !== 'object' || !value.evalType) {
 			return false;
 		}
 		if (!opValue || typeof opValue !== 'object' || !opValue.evalType) {
-			throw new XError(XError.INTERNAL_ERROR, 'Invalid value in $minStrength')
+			throw new XError(XError.INTERNAL_ERROR, 'Invalid value in $maxStrength')
 		}
-		if (handEval.comparePartialHandResults(value, opValue) >= 0) return true;
+		let variant = options && options.variant;
+		if (handEval.comparePartialHandResults(value, opValue, variant) >= 0) return true;
 		return false;
 	}
 }
@@ -157,6 +162,18 @@ function getNormalizedEvalQuery(queryData) {
 	return query;
 }
 
+// Every position name at any table size (see PokerTable.getPositionNames)
+const allPositionNames = PokerTable.getPositionNames(10);
+
+/*
+Normalize match objects, each of which matches one player's hand in a round, in the form:
+{
+	playerIndex: 0,  // Defaults to 0
+	roundPart: 'flop',  // The street to evaluate the player's hand at, required with a query
+	position: [ 'CO', 'BTN' ],  // Optional position name or names the player must be in
+	query: { ... }  // Optional query on the player's full evaluation (see getNormalizedEvalQuery)
+}
+*/
 function normalizePokerRoundMatches(matches) {
 	if (!Array.isArray(matches)) {
 		matches = [ matches ];
@@ -165,8 +182,16 @@ function normalizePokerRoundMatches(matches) {
 		if (typeof match.playerIndex !== 'number') {
 			match.playerIndex = 0;
 		}
-		if (typeof match.roundPart !== 'string') {
-			throw new XError(XError.INVALID_ARGUMENT, 'Match object must have roundPart');
+		if (match.query && typeof match.roundPart !== 'string') {
+			throw new XError(XError.INVALID_ARGUMENT, 'Match object with a query must have roundPart');
+		}
+		if (match.position) {
+			if (!Array.isArray(match.position)) match.position = [ match.position ];
+			for (let position of match.position) {
+				if (allPositionNames.indexOf(position) === -1) {
+					throw new XError(XError.INVALID_ARGUMENT, 'Invalid position: ' + position);
+				}
+			}
 		}
 		if (match.query) {
 			if (typeof match.query.matches !== 'function') {
@@ -182,11 +207,12 @@ function processPokerRoundMatches(pokerRound, matches, skipNormalize) {
 	if (!skipNormalize) matches = normalizePokerRoundMatches(matches);
 	// If all matches pass then the entire array passes, otherwise it fails
 	for (let match of matches) {
-		let pocket = pokerRound.getPocketCards(match.playerIndex);
-		let community = pokerRound.getCommunityCards(match.roundPart);
-		if (!community || community.length === 0) community = undefined;
-		let fullEval = handEval.getFullEvaluation(pocket, community);
-		if (!match.query.matches(fullEval)) return false;
+		if (match.position && match.position.indexOf(pokerRound.getPlayerPosition(match.playerIndex)) === -1) {
+			return false;
+		}
+		if (!match.query) continue;
+		let fullEval = pokerRound.getPlayerFullEvaluation(match.playerIndex, match.roundPart);
+		if (!match.query.matches(fullEval, { variant: pokerRound.pokerTable.variant })) return false;
 	}
 	return true;
 }
@@ -0,0 +1,429 @@
+// Hand ranges: sets of weighted two-card combos, parsed from and serialized to standard range notation.
+
+'use strict';
+const XError = require('xerror');
+const cardUtils = require('./card-utils');
+
+/*
+Range notation is a comma-separated list of tokens, each optionally followed by a weight between 0 and 1
+(e.g. 'AKs:0.5'). Later tokens override the weights of earlier ones. Supported tokens:
+'TT'       A pocket pair (6 combos)
+'AKs'      A suited hand (4 combos)
+'AKo'      An offsuit hand (12 combos)
+'AK'       Suited and offsuit (16 combos)
+'AhKh'     A single specific combo
+'TT+'      The pair and every higher pair
+'KTs+'     Raise the kicker up to one below the high card: KTs, KJs, KQs
+'76s+'     For connected hands, raise both cards together instead: 76s, 87s, ... AKs
+'TT-66'    Every pair between the two, inclusive
+'A5s-A2s'  Every kicker between the two with the same high card, inclusive
+'76s-T9s'  Every hand between the two with the same gap between cards, inclusive
+*/
+
+const HAND_CLASS_REGEX = /^([2-9tjqka])([2-9tjqka])([so]?)$/i;
+const COMBO_REGEX = /^([2-9tjqka][cdhs])([2-9tjqka][cdhs])$/i;
+const WEIGHT_REGEX = /^(\d+(\.\d*)?|\.\d+)$/;
+
+// Order two cardIds as a combo, with the higher value (then higher suit) first.
+function getOrderedCombo(cardIdA, cardIdB) {
+	let a = cardUtils.getCardComponents(cardIdA);
+	let b = cardUtils.getCardComponents(cardIdB);
+	if (a.cardId === b.cardId) throw new XError(XError.INVALID_ARGUMENT, 'Combo contains duplicate cards');
+	if (a.value > b.value || (a.value === b.value && a.suit > b.suit)) {
+		return [ a.cardId, b.cardId ];
+	}
+	return [ b.cardId, a.cardId ];
+}
+
+function getComboKey(combo) {
+	return combo[0] + '-' + combo[1];
+}
+
+/*
+A hand class is a set of combos sharing card values and suitedness, in the form:
+{ highValue: 14, lowValue: 13, suited: true }
+suited is true for suited hands, false for offsuit hands, and null for both (always null for pairs).
+*/
+function parseHandClass(str) {
+	let match = HAND_CLASS_REGEX.exec(str);
+	if (!match) throw new XError(XError.INVALID_ARGUMENT, 'Invalid hand in range: ' + str);
+	let highValue = cardUtils.getValueFromString(match[1]);
+	let lowValue = cardUtils.getValueFromString(match[2]);
+	if (lowValue > highValue) {
+		let tmp = highValue;
+		highValue = lowValue;
+		lowValue = tmp;
+	}
+	let suited = null;
+	if (match[3]) suited = (match[3].toLowerCase() === 's');
+	if (highValue === lowValue && suited !== null) {
+		throw new XError(XError.INVALID_ARGUMENT, 'Pocket pairs cannot be suited or offsuit: ' + str);
+	}
+	return { highValue, lowValue, suited };
+}
+
+// Get every combo in a hand class.
+function getHandClassCombos(handClass) {
+	let combos = [];
+	for (let highSuit = cardUtils.SPADES; highSuit >= cardUtils.CLUBS; highSuit--) {
+		for (let lowSuit = cardUtils.SPADES; lowSuit >= cardUtils.CLUBS; lowSuit--) {
+			if (handClass.highValue === handClass.lowValue) {
+				if (lowSuit >= highSuit) continue;
+			} else if (handClass.suited === true && lowSuit !== highSuit) {
+				continue;
+			} else if (handClass.suited === false && lowSuit === highSuit) {
+				continue;
+			}
+			combos.push([
+				cardUtils.getCardIdFromComponents(handClass.highValue, highSuit),
+				cardUtils.getCardIdFromComponents(handClass.lowValue, lowSuit)
+			]);
+		}
+	}
+	return combos;
+}
+
+// Get the string for a hand class, e.g. 'AKs'
+function getHandClassString(handClass) {
+	let str = cardUtils.getValueString(handClass.highValue) + cardUtils.getValueString(handClass.lowValue);
+	if (handClass.suited === true) str += 's';
+	if (handClass.suited === false) str += 'o';
+	return str;
+}
+
+// Expand a single token without its weight into an array of combos.
+function expandRangeToken(token) {
+	let comboMatch = COMBO_REGEX.exec(token);
+	if (comboMatch) {
+		return [ getOrderedCombo(
+			cardUtils.getCardComponentsFromString(comboMatch[1]).cardId,
+			cardUtils.getCardComponentsFromString(comboMatch[2]).cardId
+		) ];
+	}
+
+	let handClasses = [];
+	let dashParts = token.split('-');
+	if (dashParts.length > 2) throw new XError(XError.INVALID_ARGUMENT, 'Invalid range token: ' + token);
+	if (dashParts.length === 2) {
+		let from = parseHandClass(dashParts[0]);
+		let to = parseHandClass(dashParts[1]);
+		if (from.suited !== to.suited) {
+			throw new XError(XError.INVALID_ARGUMENT, 'Range endpoints must match in suitedness: ' + token);
+		}
+		let fromGap = from.highValue - from.lowValue;
+		let toGap = to.highValue - to.lowValue;
+		if (fromGap === 0 && toGap === 0) {
+			// Pairs
+			let high = Math.max(from.highValue, to.highValue);
+			for (let value = Math.min(from.highValue, to.highValue); value <= high; value++) {
+				handClasses.push({ highValue: value, lowValue: value, suited: null });
+			}
+		} else if (from.highValue === to.highValue) {
+			// Kickers
+			let high = Math.max(from.lowValue, to.lowValue);
+			for (let value = Math.min(from.lowValue, to.lowValue); value <= high; value++) {
+				handClasses.push({ highValue: from.highValue, lowValue: value, suited: from.suited });
+			}
+		} else if (fromGap === toGap) {
+			// Both cards slide together
+			let high = Math.max(from.highValue, to.highValue);
+			for (let value = Math.min(from.highValue, to.highValue); value <= high; value++) {
+				handClasses.push({ highValue: value, lowValue: value - fromGap, suited: from.suited });
+			}
+		} else {
+			throw new XError(XError.INVALID_ARGUMENT, 'Range endpoints are not comparable: ' + token);
+		}
+	} else if (token[token.length - 1] === '+') {
+		let base = parseHandClass(token.slice(0, -1));
+		let gap = base.highValue - base.lowValue;
+		if (gap === 0) {
+			for (let value = base.highValue; value <= cardUtils.ACE; value++) {
+				handClasses.push({ highValue: value, lowValue: value, suited: null });
+			}
+		} else if (gap === 1) {
+			for (let value = base.highValue; value <= cardUtils.ACE; value++) {
+				handClasses.push({ highValue: value, lowValue: value - 1, suited: base.suited });
+			}
+		} else {
+			for (let value = base.lowValue; value < base.highValue; value++) {
+				handClasses.push({ highValue: base.highValue, lowValue: value, suited: base.suited });
+			}
+		}
+	} else {
+		handClasses.push(parseHandClass(token));
+	}
+
+	let combos = [];
+	for (let handClass of handClasses) {
+		combos = combos.concat(getHandClassCombos(handClass));
+	}
+	return combos;
+}
+
+// Class representing a set of two-card combos, each with a weight between 0 and 1.
+class HandRange {
+
+	// combos is an optional array of { cardIds: [ a, b ], weight } objects. Weight defaults to 1.
+	constructor(combos) {
+		this.combosByKey = {};
+		if (combos) {
+			for (let combo of combos) {
+				this.setCombo(combo.cardIds, combo.weight);
+			}
+		}
+	}
+
+	// Add or replace a combo. Cards may be cardIds, card components, or card strings. A weight of 0 removes it.
+	setCombo(cards, weight) {
+		if (!Array.isArray(cards) || cards.length !== 2) {
+			throw new XError(XError.INVALID_ARGUMENT, 'Combo must have exactly two cards');
+		}
+		if (weight === undefined) weight = 1;
+		if (typeof weight !== 'number' || !(weight >= 0 && weight <= 1)) {
+			throw new XError(XError.INVALID_ARGUMENT, 'Combo weight must be between 0 and 1');
+		}
+		let cardIds = getOrderedCombo(cardUtils.getCardId(cards[0]), cardUtils.getCardId(cards[1]));
+		let key = getComboKey(cardIds);
+		if (weight === 0) {
+			delete this.combosByKey[key];
+		} else {
+			this.combosByKey[key] = { cardIds: cardIds, weight: weight };
+		}
+	}
+
+	// Get the weight of a combo, or 0 if it is not in the range.
+	getComboWeight(cards) {
+		let cardIds = getOrderedCombo(cardUtils.getCardId(cards[0]), cardUtils.getCardId(cards[1]));
+		let combo = this.combosByKey[getComboKey(cardIds)];
+		return combo ? combo.weight : 0;
+	}
+
+	// Get an array of every combo in the form { cardIds: [ a, b ], weight }
+	getCombos() {
+		let combos = [];
+		for (let key in this.combosByKey) {
+			combos.push(this.combosByKey[key]);
+		}
+		return combos;
+	}
+
+	getComboCount() {
+		return Object.keys(this.combosByKey).length;
+	}
+
+	// Sum of the weights of all combos
+	getTotalWeight() {
+		let total = 0;
+		for (let key in this.combosByKey) {
+			total += this.combosByKey[key].weight;
+		}
+		return total;
+	}
+
+	// Returns a new range without any combo that contains one of the given cards.
+	removeDeadCards(deadCards) {
+		let deadCardIds = {};
+		for (let card of deadCards) {
+			deadCardIds[cardUtils.getCardId(card)] = true;
+		}
+		return new HandRange(this.getCombos().filter((combo) => {
+			return !deadCardIds[combo.cardIds[0]] && !deadCardIds[combo.cardIds[1]];
+		}));
+	}
+
+	// Serialize the range to compact range notation.
+	toString() {
+		// Group combos by hand class
+		let classGroups = {};
+		for (let combo of this.getCombos()) {
+			let high = cardUtils.getCardComponents(combo.cardIds[0]);
+			let low = cardUtils.getCardComponents(combo.cardIds[1]);
+			let suited = (high.value === low.value) ? null : (high.suit === low.suit);
+			let handClass = { highValue: high.value, lowValue: low.value, suited: suited };
+			let classKey = getHandClassString(handClass);
+			if (!classGroups[classKey]) classGroups[classKey] = { handClass: handClass, combos: [] };
+			classGroups[classKey].combos.push(combo);
+		}
+		// Returns the shared weight of a fully populated hand class, or null if it is incomplete or mixed
+		let getClassWeight = (handClass) => {
+			let group = classGroups[getHandClassString(handClass)];
+			if (!group || group.combos.length !== getHandClassCombos(handClass).length) return null;
+			for (let combo of group.combos) {
+				if (combo.weight !== group.combos[0].weight) return null;
+			}
+			return group.combos[0].weight;
+		};
+		let tokens = [];
+		let addToken = (str, weight) => {
+			tokens.push((weight === 1) ? str : (str + ':' + weight));
+		};
+		let coveredClassKeys = {};
+
+		// Splits descending values into runs of consecutive values with the same weight
+		let getRuns = (entries) => {
+			let runs = [];
+			for (let entry of entries) {
+				let lastRun = runs[runs.length - 1];
+				if (
+					lastRun &&
+					lastRun.weight === entry.weight &&
+					lastRun.values[lastRun.values.length - 1] === entry.value + 1
+				) {
+					lastRun.values.push(entry.value);
+				} else {
+					runs.push({ weight: entry.weight, values: [ entry.value ] });
+				}
+			}
+			return runs;
+		};
+
+		// Pairs
+		let pairEntries = [];
+		for (let value = cardUtils.ACE; value >= cardUtils.TWO; value--) {
+			let handClass = { highValue: value, lowValue: value, suited: null };
+			let weight = getClassWeight(handClass);
+			if (weight === null) continue;
+			pairEntries.push({ value: value, weight: weight });
+			coveredClassKeys[getHandClassString(handClass)] = true;
+		}
+		for (let run of getRuns(pairEntries)) {
+			let top = run.values[0];
+			let bottom = run.values[run.values.length - 1];
+			let bottomStr = getHandClassString({ highValue: bottom, lowValue: bottom, suited: null });
+			if (run.values.length === 1) {
+				addToken(bottomStr, run.weight);
+			} else if (top === cardUtils.ACE) {
+				addToken(bottomStr + '+', run.weight);
+			} else {
+				let topStr = getHandClassString({ highValue: top, lowValue: top, suited: null });
+				addToken(topStr + '-' + bottomStr, run.weight);
+			}
+		}
+
+		// Non-pairs, by high card then kicker. Hands that aren't in a run of kickers under one high card are
+		// joined into runs with the same gap between cards instead (e.g. 'JTs-76s').
+		let suitedByKey = { both: null, suited: true, offsuit: false };
+		let kickerRunsByHigh = {};
+		// Hands left on their own, keyed by suitedness then gap then high card, with their weights
+		let singles = { both: {}, suited: {}, offsuit: {} };
+		for (let highValue = cardUtils.ACE; highValue >= cardUtils.THREE; highValue--) {
+			let entriesBySuited = { both: [], suited: [], offsuit: [] };
+			for (let lowValue = highValue - 1; lowValue >= cardUtils.TWO; lowValue--) {
+				let suitedClass = { highValue, lowValue, suited: true };
+				let offsuitClass = { highValue, lowValue, suited: false };
+				let suitedWeight = getClassWeight(suitedClass);
+				let offsuitWeight = getClassWeight(offsuitClass);
+				if (suitedWeight !== null && suitedWeight === offsuitWeight) {
+					entriesBySuited.both.push({ value: lowValue, weight: suitedWeight });
+				} else {
+					if (suitedWeight !== null) {
+						entriesBySuited.suited.push({ value: lowValue, weight: suitedWeight });
+					}
+					if (offsuitWeight !== null) {
+						entriesBySuited.offsuit.push({ value: lowValue, weight: offsuitWeight });
+					}
+				}
+				if (suitedWeight !== null) coveredClassKeys[getHandClassString(suitedClass)] = true;
+				if (offsuitWeight !== null) coveredClassKeys[getHandClassString(offsuitClass)] = true;
+			}
+			kickerRunsByHigh[highValue] = {};
+			for (let suitedKey in entriesBySuited) {
+				let runs = getRuns(entriesBySuited[suitedKey]);
+				kickerRunsByHigh[highValue][suitedKey] = runs;
+				for (let run of runs) {
+					if (run.values.length !== 1) continue;
+					let gap = highValue - run.values[0];
+					if (!singles[suitedKey][gap]) singles[suitedKey][gap] = {};
+					singles[suitedKey][gap][highValue] = run.weight;
+				}
+			}
+		}
+		// Get the run of single hands with the same gap and weight whose highest hand has the given high card,
+		// as an array of high cards, or null if that hand is in the middle of a run
+		let getConnectorRun = (suitedKey, gap, highValue) => {
+			let gapSingles = singles[suitedKey][gap];
+			let weight = gapSingles[highValue];
+			if (gapSingles[highValue + 1] === weight) return null;
+			let highValues = [ highValue ];
+			while (gapSingles[highValues[highValues.length - 1] - 1] === weight) {
+				highValues.push(highValues[highValues.length - 1] - 1);
+			}
+			return highValues;
+		};
+		for (let highValue = cardUtils.ACE; highValue >= cardUtils.THREE; highValue--) {
+			for (let suitedKey of [ 'both', 'suited', 'offsuit' ]) {
+				let suited = suitedByKey[suitedKey];
+				for (let run of kickerRunsByHigh[highValue][suitedKey]) {
+					let top = run.values[0];
+					let bottom = run.values[run.values.length - 1];
+					let bottomStr = getHandClassString({ highValue: highValue, lowValue: bottom, suited: suited });
+					if (run.values.length === 1) {
+						let gap = highValue - top;
+						let connectorRun = getConnectorRun(suitedKey, gap, highValue);
+						if (!connectorRun) continue;
+						let lowestHigh = connectorRun[connectorRun.length - 1];
+						let lowestStr = getHandClassString({
+							highValue: lowestHigh,
+							lowValue: lowestHigh - gap,
+							suited: suited
+						});
+						if (connectorRun.length === 1) {
+							addToken(bottomStr, run.weight);
+						} else if (gap === 1 && highValue === cardUtils.ACE) {
+							addToken(lowestStr + '+', run.weight);
+						} else {
+							addToken(bottomStr + '-' + lowestStr, run.weight);
+						}
+					} else if (top === highValue - 1) {
+						addToken(bottomStr + '+', run.weight);
+					} else {
+						let topStr = getHandClassString({ highValue: highValue, lowValue: top, suited: suited });
+						addToken(topStr + '-' + bottomStr, run.weight);
+					}
+				}
+			}
+		}
+
+		// Anything left over is listed as specific combos
+		for (let classKey in classGroups) {
+			if (coveredClassKeys[classKey]) continue;
+			for (let combo of classGroups[classKey].combos) {
+				let str = cardUtils.getCardString(combo.cardIds[0]) + cardUtils.getCardString(combo.cardIds[1]);
+				addToken(str, combo.weight);
+			}
+		}
+		return tokens.join(', ');
+	}
+
+}
+
+// Parse range notation into a HandRange.
+function parseRange(str) {
+	if (typeof str !== 'string') throw new XError(XError.INVALID_ARGUMENT, 'Range must be a string');
+	let range = new HandRange();
+	for (let rawToken of str.split(',')) {
+		let token = rawToken.trim();
+		if (!token) continue;
+		let weight = 1;
+		let colonIndex = token.indexOf(':');
+		if (colonIndex !== -1) {
+			let weightStr = token.slice(colonIndex + 1).trim();
+			if (!WEIGHT_REGEX.test(weightStr)) {
+				throw new XError(XError.INVALID_ARGUMENT, 'Invalid weight in range: ' + token);
+			}
+			weight = parseFloat(weightStr);
+			token = token.slice(0, colonIndex).trim();
+		}
+		for (let combo of expandRangeToken(token)) {
+			range.setCombo(combo, weight);
+		}
+	}
+	return range;
+}
+
+module.exports = {
+	HandRange,
+	parseRange,
+	parseHandClass,
+	getHandClassCombos
+};
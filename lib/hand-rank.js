@@ -0,0 +1,427 @@
+// HAND RANKS
+// A fast alternative to handEval.getHandResult that reduces a 5-7 card hand to a single integer rank.
+
+'use strict';
+const XError = require('xerror');
+const cardUtils = require('./card-utils');
+const handEval = require('./hand-eval');
+
+/*
+A hand rank is an integer where a higher rank is a stronger hand, and equal ranks tie. The bits above
+CATEGORY_SHIFT hold the result type's position in the variant's strength ordering (0 for high cards), and the
+bits below hold up to five card values of 4 bits each, most significant first. These are the values that
+compareHandResults compares for each result type, e.g. threeValue then twoValue for a full house.
+
+Ranks are computed from bitmasks of the values held in each suit, using tables precomputed for each variant,
+so there is no sorting or result object construction. Variants with wild cards are not supported.
+Ranks from different variants can't be compared with each other.
+*/
+const CATEGORY_SHIFT = 20;
+const VALUE_BITS = 4;
+const VALUE_MASK = (1 << VALUE_BITS) - 1;
+const MAX_RANK_VALUES = 5;
+
+// The number of bits set in each 13 bit value mask
+const bitCounts = new Uint8Array(1 << 13);
+for (let mask = 1; mask < bitCounts.length; mask++) {
+	bitCounts[mask] = bitCounts[mask >> 1] + (mask & 1);
+}
+
+// Value and suit of each cardId, so hands don't need card components objects
+const cardValues = new Uint8Array(53);
+const cardSuits = new Uint8Array(53);
+for (let cardId = 1; cardId <= 52; cardId++) {
+	let card = cardUtils.getCardComponents(cardId);
+	cardValues[cardId] = card.value;
+	cardSuits[cardId] = card.suit;
+}
+
+// The bit in a value mask for a card value. Twos are the lowest bit and aces the highest.
+function getValueBit(value) {
+	return 1 << (value - cardUtils.TWO);
+}
+
+// How the values in a rank map to and from the fields of each type of result.
+const rankFormats = {
+	'five-of-a-kind': {
+		getValues: (result) => [ result.value ],
+		setValues: (result, values) => { result.value = values[0]; }
+	},
+	'straight-flush': {
+		getValues: (result) => [ result.highValue ],
+		setValues: (result, values) => { result.highValue = values[0]; }
+	},
+	'four-of-a-kind': {
+		getValues: (result) => [ result.value ].concat(result.kickerValues),
+		setValues: (result, values) => {
+			result.value = values[0];
+			result.kickerValues = values.slice(1, 2);
+		}
+	},
+	'full-house': {
+		getValues: (result) => [ result.threeValue, result.twoValue ],
+		setValues: (result, values) => {
+			result.threeValue = values[0];
+			result.twoValue = values[1];
+		}
+	},
+	'flush': {
+		getValues: (result) => result.kickerValues,
+		setValues: (result, values) => { result.kickerValues = values.slice(0, 5); }
+	},
+	'straight': {
+		getValues: (result) => [ result.highValue ],
+		setValues: (result, values) => { result.highValue = values[0]; }
+	},
+	'three-of-a-kind': {
+		getValues: (result) => [ result.value ].concat(result.kickerValues),
+		setValues: (result, values) => {
+			result.value = values[0];
+			result.kickerValues = values.slice(1, 3);
+		}
+	},
+	'two-pair': {
+		getValues: (result) => result.values.concat(result.kickerValues),
+		setValues: (result, values) => {
+			result.values = values.slice(0, 2);
+			result.kickerValues = values.slice(2, 3);
+		}
+	},
+	'pair': {
+		getValues: (result) => [ result.value ].concat(result.kickerValues),
+		setValues: (result, values) => {
+			result.value = values[0];
+			result.kickerValues = values.slice(1, 4);
+		}
+	},
+	'high-cards': {
+		getValues: (result) => result.kickerValues,
+		setValues: (result, values) => { result.kickerValues = values.slice(0, 5); }
+	}
+};
+
+// Pack a category and an array of values into a rank.
+function packRank(category, values) {
+	let rank = category;
+	for (let i = 0; i < MAX_RANK_VALUES; i++) {
+		rank = (rank << VALUE_BITS) | (values[i] || 0);
+	}
+	return rank;
+}
+
+// Unpack the category and values of a rank, leaving out unused values.
+function unpackRank(rank) {
+	let values = [];
+	for (let i = MAX_RANK_VALUES - 1; i >= 0; i--) {
+		let value = (rank >> (i * VALUE_BITS)) & VALUE_MASK;
+		if (value) values.push(value);
+	}
+	return { category: rank >> CATEGORY_SHIFT, values: values };
+}
+
+/*
+Tables for each variant, built the first time the variant is used:
+- straightHighValues: for each value mask, the high value of the best straight it contains, or 0
+- categories: for each result type, its category in ranks
+- rankers: the rank evaluator and category of each result type, strongest first
+- deckMask: for each suit, the value mask of the cards in the variant's deck
+*/
+const variantTables = {};
+
+function getVariantTables(variant) {
+	if (!variant && variantTables.standard) return variantTables.standard;
+	variant = handEval.getVariant(variant);
+	if (variantTables[variant.name] && variantTables[variant.name].variant === variant) {
+		return variantTables[variant.name];
+	}
+	if (!supportsVariant(variant)) {
+		throw new XError(XError.INVALID_ARGUMENT, 'Hand ranks do not support wild cards');
+	}
+	// Each straight as a value mask, best first. The ace also plays below straightMinValue.
+	let straights = [];
+	for (let highValue = cardUtils.ACE; highValue >= variant.straightMinValue + 3; highValue--) {
+		let mask = 0;
+		for (let value = highValue; value > highValue - 5; value--) {
+			mask |= getValueBit((value < variant.straightMinValue) ? cardUtils.ACE : value);
+		}
+		straights.push({ highValue: highValue, mask: mask });
+	}
+	let straightHighValues = new Uint8Array(1 << 13);
+	for (let mask = 0; mask < straightHighValues.length; mask++) {
+		for (let straight of straights) {
+			if ((mask & straight.mask) === straight.mask) {
+				straightHighValues[mask] = straight.highValue;
+				break;
+			}
+		}
+	}
+	let categories = {};
+	for (let i = 0; i < variant.resultEvaluatorOrder.length; i++) {
+		categories[variant.resultEvaluatorOrder[i]] = variant.resultEvaluatorOrder.length - 1 - i;
+	}
+	let deckMask = 0;
+	for (let value = cardUtils.deckTypes[variant.deckType].minValue; value <= cardUtils.ACE; value++) {
+		deckMask |= getValueBit(value);
+	}
+	variantTables[variant.name] = {
+		variant: variant,
+		straightHighValues: straightHighValues,
+		categories: categories,
+		rankers: variant.resultEvaluatorOrder.map((evalType) => {
+			return { evaluate: rankEvaluators[evalType], category: categories[evalType] };
+		}),
+		deckMask: deckMask
+	};
+	return variantTables[variant.name];
+}
+
+// For each value mask, its five highest values packed into rank values, highest first. The top n values of a
+// mask are topValues[mask] >> (VALUE_BITS * (MAX_RANK_VALUES - n)).
+const topValues = new Uint32Array(1 << 13);
+for (let mask = 1; mask < topValues.length; mask++) {
+	let values = [];
+	for (let value = cardUtils.ACE; value >= cardUtils.TWO && values.length < MAX_RANK_VALUES; value--) {
+		if (mask & getValueBit(value)) values.push(value);
+	}
+	topValues[mask] = packRank(0, values);
+}
+
+function getTopValues(mask, count) {
+	return topValues[mask] >> (VALUE_BITS * (MAX_RANK_VALUES - count));
+}
+
+/*
+Get the packed values of the best result of each type that can be made from a hand (see getRankHand), or -1
+if the hand can't make that type of result. Like the evaluators in hand-eval, these assume the hand can't make
+a stronger type of result.
+*/
+const rankEvaluators = {
+	'five-of-a-kind': function(hand) {
+		return -1;
+	},
+	'straight-flush': function(hand, tables) {
+		if (!hand.flushMask) return -1;
+		let highValue = tables.straightHighValues[hand.flushMask];
+		return highValue ? packRank(0, [ highValue ]) : -1;
+	},
+	'four-of-a-kind': function(hand) {
+		if (!hand.quadsMask) return -1;
+		let value = getTopValues(hand.quadsMask, 1);
+		let kicker = getTopValues(hand.valueMask & ~getValueBit(value), 1);
+		return (value << 16) | (kicker << 12);
+	},
+	'full-house': function(hand) {
+		if (!hand.tripsMask) return -1;
+		let threeValue = getTopValues(hand.tripsMask, 1);
+		let twoMask = (hand.tripsMask & ~getValueBit(threeValue)) | hand.pairsMask;
+		if (!twoMask) return -1;
+		return (threeValue << 16) | (getTopValues(twoMask, 1) << 12);
+	},
+	'flush': function(hand) {
+		if (!hand.flushMask) return -1;
+		return topValues[hand.flushMask];
+	},
+	'straight': function(hand, tables) {
+		let highValue = tables.straightHighValues[hand.valueMask];
+		return highValue ? packRank(0, [ highValue ]) : -1;
+	},
+	'three-of-a-kind': function(hand) {
+		if (!hand.tripsMask) return -1;
+		return (getTopValues(hand.tripsMask, 1) << 16) | (getTopValues(hand.singlesMask, 2) << 8);
+	},
+	'two-pair': function(hand) {
+		if (bitCounts[hand.pairsMask] < 2) return -1;
+		let values = getTopValues(hand.pairsMask, 2);
+		// With three pairs, the lowest pair can play as the kicker
+		let kickerMask = hand.valueMask & ~getValueBit(values >> VALUE_BITS) & ~getValueBit(values & VALUE_MASK);
+		return (values << 12) | (getTopValues(kickerMask, 1) << 8);
+	},
+	'pair': function(hand) {
+		if (!hand.pairsMask) return -1;
+		return (getTopValues(hand.pairsMask, 1) << 16) | (getTopValues(hand.singlesMask, 3) << 4);
+	},
+	'high-cards': function(hand) {
+		return topValues[hand.singlesMask];
+	}
+};
+
+// Reused by getRankHand, since hands are ranked one at a time and this avoids allocating for each hand
+const scratchHand = {
+	suitMasks: [ 0, 0, 0, 0, 0 ],
+	valueCounts: new Uint8Array(cardUtils.ACE + 1),
+	valueMask: 0,
+	flushMask: 0,
+	quadsMask: 0,
+	tripsMask: 0,
+	pairsMask: 0,
+	singlesMask: 0
+};
+
+// Get the value masks of a hand of cardIds, checking each card is valid and in the deck. These are the values
+// held in each suit, the values held in any suit, the values held in a suit with five or more cards, and the
+// values held exactly four, three, two, and one times.
+function getRankHand(hand, tables) {
+	if (!Array.isArray(hand) || hand.length < 5) {
+		throw new XError(XError.INVALID_ARGUMENT, 'Hand must have at least 5 cards');
+	}
+	if (hand.length > 7) throw new XError(XError.INVALID_ARGUMENT, 'Impossible number of cards in hand');
+	let rankHand = scratchHand;
+	let suitMasks = rankHand.suitMasks;
+	let valueCounts = rankHand.valueCounts;
+	suitMasks[1] = suitMasks[2] = suitMasks[3] = suitMasks[4] = 0;
+	valueCounts.fill(0);
+	for (let i = 0; i < hand.length; i++) {
+		let cardId = hand[i];
+		let value = cardValues[cardId];
+		if (!value) {
+			// Not a plain cardId from 1 to 52; validate for a descriptive error
+			cardUtils.validateCard(cardId);
+			throw new XError(XError.INVALID_ARGUMENT, 'Hand contains a card that is not in the deck');
+		}
+		let bit = getValueBit(value);
+		let suit = cardSuits[cardId];
+		if (!(tables.deckMask & bit)) {
+			throw new XError(XError.INVALID_ARGUMENT, 'Hand contains a card that is not in the deck');
+		}
+		if (suitMasks[suit] & bit) throw new XError(XError.INVALID_ARGUMENT, 'Poker hand contains duplicate cards');
+		suitMasks[suit] |= bit;
+		valueCounts[value]++;
+	}
+	rankHand.valueMask = suitMasks[1] | suitMasks[2] | suitMasks[3] | suitMasks[4];
+	// At most one suit can have five of 7 cards
+	rankHand.flushMask = 0;
+	for (let suit = cardUtils.CLUBS; suit <= cardUtils.SPADES; suit++) {
+		if (bitCounts[suitMasks[suit]] >= 5) rankHand.flushMask = suitMasks[suit];
+	}
+	let countMasks = [ 0, 0, 0, 0, 0 ];
+	for (let value = cardUtils.TWO; value <= cardUtils.ACE; value++) {
+		countMasks[valueCounts[value]] |= getValueBit(value);
+	}
+	rankHand.singlesMask = countMasks[1];
+	rankHand.pairsMask = countMasks[2];
+	rankHand.tripsMask = countMasks[3];
+	rankHand.quadsMask = countMasks[4];
+	return rankHand;
+}
+
+// Returns true if hands can be ranked under a variant, which is any variant without wild cards.
+function supportsVariant(variant) {
+	variant = handEval.getVariant(variant);
+	return !variant.wildValues.length && !cardUtils.deckTypes[variant.deckType].jokers;
+}
+
+// Get the rank of a 5-7 card hand, given as an array of cardIds. variant is optional, as for handEval, but
+// may not have wild cards.
+function getHandRank(hand, variant) {
+	let tables = getVariantTables(variant);
+	let rankHand = getRankHand(hand, tables);
+	for (let i = 0; i < tables.rankers.length; i++) {
+		let values = tables.rankers[i].evaluate(rankHand, tables);
+		if (values !== -1) return (tables.rankers[i].category << CATEGORY_SHIFT) | values;
+	}
+	throw new XError(XError.INTERNAL_ERROR, 'Failed to rank hand');
+}
+
+// Get the best rank for a player under a game's hand rule (see handEval.getGameHandResult).
+function getGameHandRank(pocket, community, handRule, variant) {
+	if (handRule !== 'omaha') return getHandRank(pocket.concat(community || []), variant);
+	let bestRank = -1;
+	for (let hand of handEval.getOmahaHands(pocket, community)) {
+		bestRank = Math.max(bestRank, getHandRank(hand, variant));
+	}
+	return bestRank;
+}
+
+// Compare two ranks in the same way as handEval.compareHandResults. Return -1 if a is stronger, and 1 if b is
+// stronger.
+function compareHandRanks(a, b) {
+	if (a > b) return -1;
+	if (a < b) return 1;
+	return 0;
+}
+
+// Get the rank of a complete result object from handEval, such as one from getHandResult. Unlike getHandRank,
+// this works for results of any variant, including those with wild cards.
+function getResultRank(result, variant) {
+	variant = handEval.getVariant(variant);
+	let index = result && variant.resultEvaluatorOrderMap[result.evalType];
+	if (typeof index !== 'number') throw new XError(XError.INVALID_ARGUMENT, 'Hand result has invalid type');
+	let values = rankFormats[result.evalType].getValues(result);
+	if (values.some((value) => typeof value !== 'number')) {
+		throw new XError(XError.INVALID_ARGUMENT, 'Hand result is incomplete');
+	}
+	return packRank(variant.resultEvaluatorOrder.length - 1 - index, values);
+}
+
+/*
+Expand a rank into a result object in the same format as handEval.getHandResult. A rank doesn't say which
+cards make the hand, so without the hand the result has no cardIds and, for flushes, no suit; it can still be
+compared and described. Given the hand the rank came from, the result is the same as getHandResult's. Hands
+can only be given for variants without wild cards.
+*/
+function getRankResult(rank, hand, variant) {
+	variant = handEval.getVariant(variant);
+	let unpacked = unpackRank(rank);
+	let evalType = variant.resultEvaluatorOrder[variant.resultEvaluatorOrder.length - 1 - unpacked.category];
+	if (!evalType || !unpacked.values.length) throw new XError(XError.INVALID_ARGUMENT, 'Invalid hand rank');
+	let result = { evalType: evalType };
+	rankFormats[evalType].setValues(result, unpacked.values);
+	if (hand) addResultCards(result, hand, variant);
+	return result;
+}
+
+// The sizes of the groups of same-valued cards in each type of result, in the order of its rank values.
+// Types that aren't listed use five single cards.
+const resultGroupSizes = {
+	'five-of-a-kind': [ 5 ],
+	'four-of-a-kind': [ 4, 1 ],
+	'full-house': [ 3, 2 ],
+	'three-of-a-kind': [ 3, 1, 1 ],
+	'two-pair': [ 2, 2, 1 ],
+	'pair': [ 2, 1, 1, 1 ]
+};
+
+// Fill in the cardIds (and suit, for flushes) of a result expanded from a rank, choosing the same cards as
+// the evaluators in hand-eval: the highest suits of each value.
+function addResultCards(result, hand, variant) {
+	// Descending by value, then by suit
+	let cards = cardUtils.getCardComponentsArray(hand).sort((a, b) => b.value - a.value || b.suit - a.suit);
+	let neededValues = [];
+	if (result.evalType === 'straight-flush' || result.evalType === 'straight') {
+		for (let value = result.highValue; value > result.highValue - 5; value--) {
+			neededValues.push((value < variant.straightMinValue) ? cardUtils.ACE : value);
+		}
+	} else {
+		let values = rankFormats[result.evalType].getValues(result);
+		let groupSizes = resultGroupSizes[result.evalType] || [ 1, 1, 1, 1, 1 ];
+		for (let i = 0; i < values.length; i++) {
+			for (let j = 0; j < groupSizes[i]; j++) neededValues.push(values[i]);
+		}
+	}
+	let hasCard = (value, suit) => cards.some((card) => card.value === value && card.suit === suit);
+	let suit = null;
+	if (result.evalType === 'straight-flush' || result.evalType === 'flush') {
+		for (let flushSuit = cardUtils.SPADES; flushSuit >= cardUtils.CLUBS && suit === null; flushSuit--) {
+			if (neededValues.every((value) => hasCard(value, flushSuit))) suit = flushSuit;
+		}
+		result.suit = suit;
+	}
+	let usedCards = [];
+	for (let value of neededValues) {
+		let card = cards.find((card) => {
+			return card.value === value && (suit === null || card.suit === suit) && usedCards.indexOf(card) === -1;
+		});
+		if (!card) throw new XError(XError.INVALID_ARGUMENT, 'Hand does not match rank');
+		usedCards.push(card);
+	}
+	result.cardIds = usedCards.map((card) => card.cardId);
+}
+
+module.exports = {
+	supportsVariant,
+	getHandRank,
+	getGameHandRank,
+	compareHandRanks,
+	getResultRank,
+	getRankResult
+};
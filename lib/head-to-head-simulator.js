@@ -0,0 +1,171 @@
+// Simulator that determines the equity of every seat at a table where some or all hole cards are known.
+
+'use strict';
+const XError = require('xerror');
+const Simulator = require('./simulator');
+const PokerTable = require('./poker-table');
+const cardUtils = require('./card-utils');
+
+class HeadToHeadSimulator extends Simulator {
+
+	// pockets is an array with one entry per seat; each entry is either a full pocket or null for a
+	// random hand. community is an optional partial board of up to 5 cards.
+	// Cards may be given as cardIds, card components, or card strings.
+	// options is optional and can contain:
+	// - game: the game to play (see PokerTable.games), defaults to 'holdem'
+	// - fastEval: compare hands by rank (see PokerTable)
+	constructor(pockets, community, trials, progressFunc, options) {
+		if (!Array.isArray(pockets) || pockets.length < 2 || pockets.length > 10) {
+			throw new XError(XError.INVALID_ARGUMENT, 'Pockets must be given for between 2 and 10 seats');
+		}
+		if (!options) options = {};
+		let pokerTable = new PokerTable(pockets.length, null, { game: options.game, fastEval: options.fastEval });
+		super(pokerTable, trials);
+		if (!community) community = [];
+		if (!Array.isArray(community) || community.length > 5) {
+			throw new XError(XError.INVALID_ARGUMENT, 'Community must have at most five cards');
+		}
+		let stackConfig = { community: community };
+		for (let i = 0; i < pockets.length; i++) {
+			if (!pockets[i]) continue;
+			if (!Array.isArray(pockets[i]) || pockets[i].length !== pokerTable.pocketSize) {
+				throw new XError(
+					XError.INVALID_ARGUMENT,
+					'Pocket must have exactly ' + pokerTable.pocketSize + ' cards'
+				);
+			}
+			stackConfig[i] = pockets[i];
+		}
+		this.communityCardIds = community.map((card) => cardUtils.getCardId(card));
+		this.stackedDeckSections = pokerTable.getStackedDeckSections(stackConfig);
+		this.stackedDeckFunc = pokerTable.createStackedDeckFunc(stackConfig);
+		this.progressFunc = progressFunc;
+		this.totalTested = 0;
+		this.seatTotals = [];
+		for (let i = 0; i < pockets.length; i++) {
+			// equity is the sum of the fraction of the pot won by the seat in each trial, and equitySquares
+			// the sum of its squares
+			this.seatTotals.push({ wins: 0, ties: 0, losses: 0, equity: 0, equitySquares: 0 });
+		}
+	}
+
+	_getDeck() {
+		return this.stackedDeckFunc();
+	}
+
+	// Unknown pockets are enumerated per seat, and the unknown community cards as a single group.
+	_getEnumerationSpace() {
+		let pokerTable = this.pokerTable;
+		let deck = [];
+		for (let i = 0; i < pokerTable.getDealtCardCount(); i++) {
+			deck.push(null);
+		}
+		for (let indexStr in this.stackedDeckSections) {
+			let stackIndex = parseInt(indexStr, 10);
+			let cardIds = this.stackedDeckSections[indexStr];
+			for (let i = 0; i < cardIds.length; i++) {
+				deck[stackIndex + i] = cardIds[i];
+			}
+		}
+		let groups = [];
+		for (let i = 0; i < pokerTable.numPlayers; i++) {
+			let pocketIndexes = pokerTable.getPocketDeckIndexes(i);
+			if (deck[pocketIndexes[0]] === null) groups.push(pocketIndexes);
+		}
+		let communityGroup = pokerTable.getCommunityDeckIndexes().filter((deckIndex) => deck[deckIndex] === null);
+		if (communityGroup.length) groups.push(communityGroup);
+		return { deck, groups };
+	}
+
+	_processPokerRound(pokerRound) {
+		this._tallySeats(pokerRound.getPotFractions());
+	}
+
+	// Record the outcome of a trial for every seat given the fraction of the pot won by each player (see
+	// PokerRound#getPotFractions). A seat that wins the whole pot wins, and one that wins part of it ties.
+	_tallySeats(potFractions) {
+		this.totalTested++;
+		for (let i = 0; i < this.seatTotals.length; i++) {
+			let seatTotal = this.seatTotals[i];
+			let fraction = potFractions[i];
+			if (fraction === 0) {
+				seatTotal.losses++;
+			} else if (fraction === 1) {
+				seatTotal.wins++;
+			} else {
+				seatTotal.ties++;
+			}
+			seatTotal.equity += fraction;
+			seatTotal.equitySquares += fraction * fraction;
+		}
+	}
+
+	_getPartialResult() {
+		return {
+			totalTested: this.totalTested,
+			seatTotals: this.seatTotals
+		};
+	}
+
+	_mergePartialResult(partialResult) {
+		this.totalTested += partialResult.totalTested;
+		for (let i = 0; i < this.seatTotals.length; i++) {
+			for (let key in this.seatTotals[i]) {
+				this.seatTotals[i][key] += partialResult.seatTotals[i][key];
+			}
+		}
+	}
+
+	_progress(data) {
+		if (this.progressFunc) {
+			this.progressFunc(data);
+		}
+	}
+
+	_getSeatEquityEstimate(playerIndex) {
+		let seatTotal = this.seatTotals[playerIndex];
+		return this._getMeanEstimate(this.totalTested, seatTotal.equity, seatTotal.equitySquares, [ 0, 1 ]);
+	}
+
+	// Precision is the width of the widest equity interval across all seats.
+	_getPrecision() {
+		let precision = 0;
+		for (let i = 0; i < this.seatTotals.length; i++) {
+			let estimate = this._getSeatEquityEstimate(i);
+			if (estimate.standardError === null) return Infinity;
+			precision = Math.max(precision, estimate.high - estimate.low);
+		}
+		return precision;
+	}
+
+	// Get the probabilities for a single seat, in the form
+	// { win, tie, loss, equity, standardError, interval: [ low, high ] }, where the last two describe the equity.
+	_getSeatResult(playerIndex) {
+		let seatTotal = this.seatTotals[playerIndex];
+		let getProb = (count) => {
+			if (this.totalTested === 0) return 0;
+			return Math.round(count / this.totalTested * 10000) / 10000;
+		};
+		let roundProb = (prob) => (prob === null) ? null : Math.round(prob * 10000) / 10000;
+		let equityEstimate = this._getSeatEquityEstimate(playerIndex);
+		return {
+			win: getProb(seatTotal.wins),
+			tie: getProb(seatTotal.ties),
+			loss: getProb(seatTotal.losses),
+			equity: getProb(seatTotal.equity),
+			standardError: roundProb(equityEstimate.standardError),
+			interval: [ roundProb(equityEstimate.low), roundProb(equityEstimate.high) ]
+		};
+	}
+
+	_getResult() {
+		let seats = [];
+		for (let i = 0; i < this.seatTotals.length; i++) {
+			seats.push(this._getSeatResult(i));
+		}
+		return { seats: seats };
+	}
+
+}
+
+module.exports = HeadToHeadSimulator;
@@ -0,0 +1,119 @@
+/*
+Class holding the evaluation of a single player's hand as it is dealt street by street. Adding cards extends the
+eval context of the cards so far (see handEval.extendEvalContext) rather than rebuilding it, and the pocket
+evaluation is kept between streets, so evaluating every street of a hand costs little more than evaluating the
+last one.
+*/
+
+'use strict';
+const XError = require('xerror');
+const cardUtils = require('./card-utils');
+const handEval = require('./hand-eval');
+
+class IncrementalEvaluation {
+
+	// Arguments are as for handEval.getFullEvaluation. Omaha hands are evaluated from scratch on each street,
+	// since their results don't come from a single context.
+	constructor(pocket, community, handRule, variant) {
+		this.pocket = [];
+		this.community = undefined;
+		this.handRule = handRule;
+		this.variant = variant;
+		// Context of all cards so far, once there are at least 5 of them
+		this.evalContext = null;
+		this._pocketEval = undefined;
+		this._fullEvaluation = null;
+		this.addCards(pocket, true);
+		if (community) this.addCards(community);
+	}
+
+	// Get every card available to the player, pocket cards first.
+	getCards() {
+		return this.pocket.concat(this.community || []);
+	}
+
+	// Add cards to the community, or to the pocket if toPocket is set (as in stud games).
+	addCards(cardIds, toPocket) {
+		let pocket = toPocket ? this.pocket.concat(cardIds) : this.pocket;
+		let community = toPocket ? this.community : (this.community || []).concat(cardIds);
+		// Get the new context first, so that invalid cards leave the evaluation unchanged
+		if (this.handRule !== 'omaha') {
+			if (this.evalContext) {
+				this.evalContext = handEval.extendEvalContext(this.evalContext, cardIds);
+			} else if (pocket.length + (community || []).length >= 5) {
+				this.evalContext = handEval.getEvalContext(pocket.concat(community || []), this.variant);
+			}
+		}
+		// Pockets only get a pocket evaluation with exactly 2 cards, so it is redone when the pocket changes
+		if (toPocket) this._pocketEval = undefined;
+		this.pocket = pocket;
+		this.community = community;
+		this._fullEvaluation = null;
+	}
+
+	// Add a single card. See addCards.
+	addCard(cardId, toPocket) {
+		this.addCards([ cardId ], toPocket);
+	}
+
+	// Returns true if a player holding the given pocket and community cards could have reached them from this
+	// evaluation's cards by only adding cards, e.g. at a later street of the same round.
+	canAdvanceTo(pocket, community) {
+		function startsWith(cardIds, prefix) {
+			if (cardIds.length < prefix.length) return false;
+			for (let i = 0; i < prefix.length; i++) {
+				if (cardIds[i] !== prefix[i]) return false;
+			}
+			return true;
+		}
+		return startsWith(pocket, this.pocket) && startsWith(community || [], this.community || []);
+	}
+
+	// Add the cards needed to hold the given pocket and community cards. See canAdvanceTo.
+	advanceTo(pocket, community) {
+		if (!this.canAdvanceTo(pocket, community)) {
+			throw new XError(XError.INVALID_ARGUMENT, 'Cannot advance evaluation by only adding cards');
+		}
+		if (pocket.length > this.pocket.length) {
+			this.addCards(pocket.slice(this.pocket.length), true);
+		}
+		let communityLength = (this.community || []).length;
+		if (community && community.length > communityLength) {
+			this.addCards(community.slice(communityLength));
+		}
+	}
+
+	// Get the best result for the cards so far, or null before there are enough cards to make a hand.
+	getHandResult() {
+		if (this.handRule === 'omaha') {
+			if (!this.community || this.community.length < 3) return null;
+			return handEval.getOmahaHandResult(this.pocket, this.community, this.variant);
+		}
+		return this.evalContext ? handEval.getContextHandResult(this.evalContext) : null;
+	}
+
+	// Get the full evaluation of the cards so far, in the same form as handEval.getFullEvaluation.
+	getFullEvaluation() {
+		if (this._fullEvaluation) return this._fullEvaluation;
+		let community = (this.community && this.community.length) ? this.community : undefined;
+		if (this.handRule === 'omaha') {
+			this._fullEvaluation = handEval.getFullEvaluation(this.pocket, community, this.handRule, this.variant);
+			return this._fullEvaluation;
+		}
+		if (this._pocketEval === undefined) {
+			let hasPocketEval = (this.pocket.length === 2) &&
+				!this.pocket.some((cardId) => handEval.isWildCard(cardId, this.variant));
+			this._pocketEval = hasPocketEval ? handEval.getPocketEvaluation(this.pocket, this.variant) : null;
+		}
+		this._fullEvaluation = {
+			pocket: cardUtils.getCardComponentsArray(this.pocket),
+			community: community ? cardUtils.getCardComponentsArray(community) : undefined,
+			pocketEval: this._pocketEval || undefined,
+			resultEval: this.evalContext ? handEval.getContextResultEvaluation(this.evalContext) : undefined
+		};
+		return this._fullEvaluation;
+	}
+
+}
+
+module.exports = IncrementalEvaluation;
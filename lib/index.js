@@ -4,8 +4,25 @@ module.exports = {
 	cardUtils: require('./card-utils'),
 	handEval: require('./hand-eval'),
 	handMatch: require('./hand-match'),
+	handRank: require('./hand-rank'),
+	lowHandEval: require('./low-hand-eval'),
+	handRange: require('./hand-range'),
+	discardStrategies: require('./discard-strategies'),
+	playerStrategies: require('./player-strategies'),
 	PokerRound: require('./poker-round'),
+	DrawPokerRound: require('./draw-poker-round'),
+	IncrementalEvaluation: require('./incremental-evaluation'),
+	BettingRound: require('./betting-round'),
+	MatchRunner: require('./match-runner'),
 	randomUtils: require('./random-utils'),
+	statsUtils: require('./stats-utils'),
+	potUtils: require('./pot-utils'),
 	Simulator: require('./simulator'),
-	HandImprovementSimulator: require('./hand-improvement-simulator')
+	HandImprovementSimulator: require('./hand-improvement-simulator'),
+	EquitySimulator: require('./equity-simulator'),
+	HeadToHeadSimulator: require('./head-to-head-simulator'),
+	RangeEquitySimulator: require('./range-equity-simulator'),
+	DrawSimulator: require('./draw-simulator'),
+	SessionSimulator: require('./session-simulator'),
+	parallelRunner: require('./parallel-runner')
 };
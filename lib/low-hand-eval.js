@@ -0,0 +1,192 @@
+// LOW HAND CLASSIFICATIONS
+// Evaluation of hands for lowball games, where the weakest hand by some set of high-hand rules wins.
+
+'use strict';
+const XError = require('xerror');
+const cardUtils = require('./card-utils');
+const handEval = require('./hand-eval');
+
+/*
+Supported ways of ranking low hands:
+- ace-to-five (razz, and the low half of 8-or-better games): aces are low, and straights and flushes don't
+  count against the hand, so the best hand is A-2-3-4-5 ("the wheel").
+- deuce-to-seven (triple draw, Kansas City lowball): aces are always high, and straights and flushes count
+  against the hand, so the best hand is 7-5-4-3-2 of at least two suits.
+Each has the value an ace takes, whether straights and flushes count, and the order of hand categories from
+best (lowest) to worst, using the evalType names of the high hand results.
+*/
+const lowTypes = {
+	'ace-to-five': {
+		aceValue: cardUtils.ACE_LOW,
+		countsStraightsAndFlushes: false,
+		categoryOrder: [
+			'high-cards',
+			'pair',
+			'two-pair',
+			'three-of-a-kind',
+			'full-house',
+			'four-of-a-kind'
+		]
+	},
+	'deuce-to-seven': {
+		aceValue: cardUtils.ACE_HIGH,
+		countsStraightsAndFlushes: true,
+		categoryOrder: [
+			'high-cards',
+			'pair',
+			'two-pair',
+			'three-of-a-kind',
+			'straight',
+			'flush',
+			'full-house',
+			'four-of-a-kind',
+			'straight-flush'
+		]
+	}
+};
+for (let lowType in lowTypes) {
+	lowTypes[lowType].categoryOrderMap = {};
+	lowTypes[lowType].categoryOrder.forEach((category, index) => {
+		lowTypes[lowType].categoryOrderMap[category] = index;
+	});
+}
+
+function getLowTypeInfo(lowType) {
+	let lowTypeInfo = lowTypes[lowType];
+	if (!lowTypeInfo) throw new XError(XError.INVALID_ARGUMENT, 'Unrecognized low type: ' + lowType);
+	return lowTypeInfo;
+}
+
+// Map from the sizes of the value groups in a 5 card hand, largest first, to the hand category
+const groupSizeCategories = {
+	'1-1-1-1-1': 'high-cards',
+	'2-1-1-1': 'pair',
+	'2-2-1': 'two-pair',
+	'3-1-1': 'three-of-a-kind',
+	'3-2': 'full-house',
+	'4-1': 'four-of-a-kind'
+};
+
+/*
+Get the low result of exactly 5 cards. Result objects look like:
+{ evalType: 'ace-to-five', category: 'pair', values: [ 3, 8, 5, 1 ], cardIds: [ ... ] }
+where values are the distinct card values in order of significance: larger groups first, then higher values
+first. Aces are valued according to the low type, so an ace is 1 in ace-to-five.
+*/
+function getFiveCardLowResult(cards, lowType) {
+	let lowTypeInfo = getLowTypeInfo(lowType);
+	let getValue = (card) => (card.value === cardUtils.ACE) ? lowTypeInfo.aceValue : card.value;
+	let groupsByValue = {};
+	for (let card of cards) {
+		let value = getValue(card);
+		if (!groupsByValue[value]) groupsByValue[value] = [];
+		groupsByValue[value].push(card);
+	}
+	let groups = Object.keys(groupsByValue).map((value) => groupsByValue[value]);
+	groups.sort((a, b) => {
+		if (a.length > b.length) return -1;
+		if (a.length < b.length) return 1;
+		return getValue(b[0]) - getValue(a[0]);
+	});
+	let values = groups.map((group) => getValue(group[0]));
+	let category = groupSizeCategories[groups.map((group) => group.length).join('-')];
+
+	if (category === 'high-cards' && lowTypeInfo.countsStraightsAndFlushes) {
+		let isStraight = (values[0] - values[4] === 4);
+		let isFlush = cards.every((card) => card.suit === cards[0].suit);
+		if (isStraight && isFlush) {
+			category = 'straight-flush';
+		} else if (isFlush) {
+			category = 'flush';
+		} else if (isStraight) {
+			category = 'straight';
+		}
+	}
+
+	return {
+		evalType: lowType,
+		category: category,
+		values: values,
+		cardIds: cards.map((card) => card.cardId)
+	};
+}
+
+// Compare two low results to see which is better. Return -1 if a is the better (lower) hand, and 1 if b is.
+function compareLowHandResults(a, b) {
+	if (!a || !b || a.evalType !== b.evalType) {
+		throw new XError(XError.INVALID_ARGUMENT, 'Low results to compare must have the same evalType');
+	}
+	let categoryOrderMap = getLowTypeInfo(a.evalType).categoryOrderMap;
+	let aIndex = categoryOrderMap[a.category];
+	let bIndex = categoryOrderMap[b.category];
+	if (typeof aIndex !== 'number' || typeof bIndex !== 'number') {
+		throw new XError(XError.INVALID_ARGUMENT, 'Low result has invalid category');
+	}
+	if (aIndex < bIndex) return -1;
+	if (aIndex > bIndex) return 1;
+	if (!a.values || !b.values || a.values.length !== b.values.length) {
+		throw new XError(XError.INVALID_ARGUMENT, 'Low results to compare are incomplete');
+	}
+	for (let i = 0; i < a.values.length; i++) {
+		if (a.values[i] < b.values[i]) return -1;
+		if (a.values[i] > b.values[i]) return 1;
+	}
+	return 0;
+}
+
+// Given a 5-7 card hand, get the best low result for that hand under the given low type.
+function getLowHandResult(hand, lowType) {
+	getLowTypeInfo(lowType);
+	if (hand.length < 5) throw new XError(XError.INVALID_ARGUMENT, 'Hand must have at least 5 cards');
+	if (hand.length > 7) throw new XError(XError.INVALID_ARGUMENT, 'Impossible number of cards in hand');
+	let cards = cardUtils.getCardComponentsArray(hand);
+	let seenCardIds = {};
+	for (let card of cards) {
+		if (card.joker) throw new XError(XError.INVALID_ARGUMENT, 'Low hands cannot contain jokers');
+		if (seenCardIds[card.cardId]) {
+			throw new XError(XError.INVALID_ARGUMENT, 'Poker hand contains duplicate cards');
+		}
+		seenCardIds[card.cardId] = true;
+	}
+	let bestResult = null;
+	for (let subset of handEval.getCardSubsets(cards, 5)) {
+		let result = getFiveCardLowResult(subset, lowType);
+		if (!bestResult || compareLowHandResults(result, bestResult) < 0) {
+			bestResult = result;
+		}
+	}
+	return bestResult;
+}
+
+// Returns true if a low result qualifies for the low half of a split pot, which requires no pairs and no card
+// higher than lowQualifier (e.g. 8 for 8-or-better).
+function isQualifyingLow(result, lowQualifier) {
+	return result.category === 'high-cards' && result.values[0] <= lowQualifier;
+}
+
+// Get the best low result for a player under a game's hand rule (see handEval.getGameHandResult). If
+// lowQualifier is given, returns null when the player has no qualifying low.
+function getGameLowHandResult(pocket, community, handRule, lowType, lowQualifier) {
+	let bestResult = null;
+	if (handRule === 'omaha') {
+		for (let hand of handEval.getOmahaHands(pocket, community)) {
+			let result = getLowHandResult(hand, lowType);
+			if (!bestResult || compareLowHandResults(result, bestResult) < 0) {
+				bestResult = result;
+			}
+		}
+	} else {
+		bestResult = getLowHandResult(pocket.concat(community || []), lowType);
+	}
+	if (lowQualifier && !isQualifyingLow(bestResult, lowQualifier)) return null;
+	return bestResult;
+}
+
+
+module.exports = {
+	lowTypes,
+	getLowHandResult,
+	compareLowHandResults,
+	isQualifyingLow,
+	getGameLowHandResult
+};
@@ -0,0 +1,110 @@
+/*
+Class that plays hands between player strategies (see playerStrategies) at a table, to compare how they do
+against each other. Every hand is played out in full with a BettingRound, with each player starting the hand
+with the same stack, and the table's button moves one seat to the left after every hand (see PokerTable).
+*/
+
+'use strict';
+const XError = require('xerror');
+const PokerTable = require('./poker-table');
+const BettingRound = require('./betting-round');
+const playerStrategies = require('./player-strategies');
+const randomUtils = require('./random-utils');
+
+class MatchRunner {
+
+	// strategies is an array with the strategy of each seat, as a function or strategy name. Options can contain:
+	// - seed: seed for the RNG that deals the cards and drives random strategies, so matches can be replayed.
+	//   Defaults to a random seed.
+	// - game: the game to play (see PokerTable.games), defaults to 'holdem'
+	// - stack: the chips each player starts every hand with, defaults to 100 big blinds
+	// - smallBlind, bigBlind, ante: the forced bets (see BettingRound)
+	constructor(strategies, options) {
+		if (!options) options = {};
+		if (!Array.isArray(strategies) || strategies.length < 2) {
+			throw new XError(XError.INVALID_ARGUMENT, 'A strategy is required for each of at least two seats');
+		}
+		this.strategyNames = strategies.map((strategy) => {
+			return (typeof strategy === 'function') ? (strategy.name || 'custom') : strategy;
+		});
+		this.strategies = strategies.map((strategy) => playerStrategies.getPlayerStrategy(strategy));
+		this.rng = new randomUtils.RNG(options.seed);
+		this.pokerTable = new PokerTable(strategies.length, this.rng, { game: options.game });
+		this.bettingOptions = {
+			smallBlind: options.smallBlind,
+			bigBlind: options.bigBlind,
+			ante: options.ante
+		};
+		// The big blind as BettingRound defaults it
+		this.bigBlind = (typeof options.bigBlind === 'number') ? options.bigBlind : 2;
+		this.stack = options.stack || this.bigBlind * 100;
+		this.handsPlayed = 0;
+		this.seatTotals = strategies.map(() => {
+			return { netChips: 0, handsWon: 0, showdowns: 0, showdownsWon: 0 };
+		});
+	}
+
+	// Play a single hand, and return its completed BettingRound.
+	playHand() {
+		let stacks = this.strategies.map(() => this.stack);
+		let bettingRound = new BettingRound(this.pokerTable.playRound(), stacks, this.bettingOptions);
+		bettingRound.playOut(this.strategies);
+		let winnings = bettingRound.getWinnings();
+		let showdown = bettingRound.getActivePlayers().length > 1;
+		for (let i = 0; i < this.seatTotals.length; i++) {
+			let seatTotal = this.seatTotals[i];
+			let netChips = winnings[i] - bettingRound.contributions[i];
+			seatTotal.netChips += netChips;
+			if (netChips > 0) seatTotal.handsWon++;
+			if (showdown && !bettingRound.folded[i]) {
+				seatTotal.showdowns++;
+				if (netChips > 0) seatTotal.showdownsWon++;
+			}
+		}
+		this.handsPlayed++;
+		return bettingRound;
+	}
+
+	/*
+	Play a number of hands, and return the totals of every hand played so far with one entry per seat, e.g.:
+	{
+		handsPlayed: 10000,
+		seats: [ {
+			strategy: 'tight-aggressive',
+			netChips: 5120,  // Chips won less chips put in
+			bbPer100: 25.6,  // Big blinds won per 100 hands
+			handsWon: 2210,  // Hands the seat finished ahead in, overall and at showdown
+			showdowns: 1830,
+			showdownsWon: 1002
+		}, ... ]
+	}
+	*/
+	run(hands) {
+		if (typeof hands !== 'number' || hands < 1) throw new XError(XError.INVALID_ARGUMENT, 'Hands is required');
+		for (let i = 0; i < hands; i++) {
+			this.playHand();
+		}
+		return this.getResult();
+	}
+
+	// Get the totals of every hand played so far. See run.
+	getResult() {
+		return {
+			handsPlayed: this.handsPlayed,
+			seats: this.seatTotals.map((seatTotal, i) => {
+				let bbPer100 = this.handsPlayed ? seatTotal.netChips / this.bigBlind / this.handsPlayed * 100 : 0;
+				return {
+					strategy: this.strategyNames[i],
+					netChips: seatTotal.netChips,
+					bbPer100: Math.round(bbPer100 * 100) / 100,
+					handsWon: seatTotal.handsWon,
+					showdowns: seatTotal.showdowns,
+					showdownsWon: seatTotal.showdownsWon
+				};
+			})
+		};
+	}
+
+}
+
+module.exports = MatchRunner;
@@ -0,0 +1,181 @@
+// Runs a simulation split across worker threads, each with its own independently seeded RNG.
+
+'use strict';
+const os = require('os');
+const path = require('path');
+const XError = require('xerror');
+const randomUtils = require('./random-utils');
+const statsUtils = require('./stats-utils');
+
+const WORKER_PATH = path.join(__dirname, 'simulator-worker.js');
+
+// Get a simulator class from either the name of a simulator exported by this library (e.g. 'EquitySimulator')
+// or a module path that can be passed to require().
+function getSimulatorClass(simulatorModule) {
+	let index = require('./index');
+	let SimulatorClass = index[simulatorModule] || require(simulatorModule);
+	if (typeof SimulatorClass !== 'function' || !(SimulatorClass.prototype instanceof index.Simulator)) {
+		throw new XError(XError.INVALID_ARGUMENT, 'Module is not a simulator: ' + simulatorModule);
+	}
+	return SimulatorClass;
+}
+
+// Split count into numShares integer shares that differ by at most one.
+function splitCount(count, numShares) {
+	let shares = [];
+	for (let i = 0; i < numShares; i++) {
+		shares.push(Math.floor(count / numShares) + ((i < count % numShares) ? 1 : 0));
+	}
+	return shares;
+}
+
+// Wait for a worker thread to finish, resolving with the message it posts on completion. If the signal is
+// aborted, the worker is asked to stop and resolves with partial results.
+function waitForWorker(worker, progressFunc, signal) {
+	return new Promise((resolve, reject) => {
+		let finished = false;
+		let onAbort = () => worker.postMessage({ type: 'stop' });
+		if (signal) {
+			if (signal.aborted) onAbort();
+			signal.addEventListener('abort', onAbort);
+			worker.on('exit', () => signal.removeEventListener('abort', onAbort));
+		}
+		worker.on('message', (message) => {
+			if (message.type === 'progress') {
+				progressFunc(message.data);
+			} else if (message.type === 'error') {
+				finished = true;
+				reject(new XError(message.code || XError.INTERNAL_ERROR, message.message));
+			} else if (message.type === 'done') {
+				finished = true;
+				resolve(message);
+			}
+		});
+		worker.on('error', (err) => {
+			finished = true;
+			reject(new XError(XError.INTERNAL_ERROR, 'Simulation worker failed', {}, err));
+		});
+		worker.on('exit', (code) => {
+			if (!finished) {
+				reject(new XError(XError.INTERNAL_ERROR, 'Simulation worker exited with code ' + code));
+			}
+		});
+	});
+}
+
+/*
+Run a simulation in parallel. simulatorModule is the name of a simulator exported by this library or a module
+path to a Simulator subclass, and args are the arguments to its constructor (these must survive JSON
+serialization). The simulator must implement _getPartialResult() and _mergePartialResult().
+Options can contain:
+- workers: number of worker threads, defaults to the number of CPUs
+- seed: master seed from which each worker's seed is derived. Results are reproducible for a given seed
+  and worker count.
+- progressFunc: called with the combined trial counts whenever a worker reports progress
+- signal: an AbortSignal that stops every worker at its next cycle
+- confidence: as for Simulator#run. targetPrecision is not supported.
+- enumerate, enumerationThreshold: as for Simulator#run. Enumerable simulations run on the calling thread.
+Resolves with the same object as Simulator#run, plus the number of workers used (0 if run on the calling thread).
+*/
+function runParallel(simulatorModule, args, options) {
+	if (!options) options = {};
+	if (!args) args = [];
+	let SimulatorClass = getSimulatorClass(simulatorModule);
+	// Serialize before construction, since constructors may normalize their arguments in place
+	let serializedArgs = JSON.parse(JSON.stringify(args));
+	let simulator = Reflect.construct(SimulatorClass, args);
+	if (simulator._getPartialResult() === null) {
+		throw new XError(XError.INVALID_ARGUMENT, 'Simulator does not support parallel runs');
+	}
+	if (options.targetPrecision !== undefined) {
+		throw new XError(XError.INVALID_ARGUMENT, 'targetPrecision is not supported in parallel runs');
+	}
+	if (options.confidence !== undefined) {
+		statsUtils.getZScore(options.confidence);  // Validates
+		simulator.confidence = options.confidence;
+	}
+
+	let runOptions = {
+		enumerate: options.enumerate,
+		enumerationThreshold: options.enumerationThreshold,
+		signal: options.signal,
+		confidence: options.confidence
+	};
+	if (simulator.willEnumerate(runOptions)) {
+		if (options.progressFunc) simulator._progress = options.progressFunc;
+		return simulator.run(runOptions)
+			.then((simResult) => {
+				simResult.workers = 0;
+				return simResult;
+			});
+	}
+
+	let numWorkers = Math.min(options.workers || os.cpus().length, simulator.trials);
+	let trialShares = splitCount(simulator.trials, numWorkers);
+	let trialAttemptShares = splitCount(simulator.trialAttempts, numWorkers);
+	let masterRng = new randomUtils.RNG(options.seed);
+	let workerProgress = [];
+	let beginTimestamp = Date.now();
+
+	const Worker = require('worker_threads').Worker;
+	let workers = [];
+	let workerPromises = [];
+	for (let i = 0; i < numWorkers; i++) {
+		let workerData = {
+			simulatorModule: simulatorModule,
+			args: serializedArgs,
+			trials: trialShares[i],
+			trialAttempts: trialAttemptShares[i],
+			seed: masterRng.randomInt(1, 100000000)
+		};
+		let worker = new Worker(WORKER_PATH, { workerData: workerData });
+		workers.push(worker);
+		workerPromises.push(waitForWorker(worker, (data) => {
+			workerProgress[i] = data;
+			if (!options.progressFunc) return;
+			let combined = { trials: 0, trialCount: 0, trialAttempts: 0, trialAttemptCount: 0 };
+			for (let progress of workerProgress) {
+				if (!progress) continue;
+				for (let key in combined) {
+					combined[key] += progress[key];
+				}
+			}
+			options.progressFunc(combined);
+		}, options.signal));
+	}
+
+	return Promise.all(workerPromises)
+		.then((workerResults) => {
+			let totalTrials = 0;
+			let totalTrialAttempts = 0;
+			let partial = false;
+			for (let workerResult of workerResults) {
+				totalTrials += workerResult.totalTrials;
+				totalTrialAttempts += workerResult.totalTrialAttempts;
+				if (workerResult.partial) partial = true;
+				simulator._mergePartialResult(workerResult.partialResult);
+			}
+			simulator.hasRun = true;
+			let endTimestamp = Date.now();
+			return {
+				totalTrials: totalTrials,
+				totalTrialAttempts: totalTrialAttempts,
+				time: (endTimestamp - beginTimestamp) / 1000,
+				exact: false,
+				partial: partial,
+				workers: numWorkers,
+				result: simulator._getResult()
+			};
+		}, (err) => {
+			// Don't leave the other workers running once the simulation has failed
+			for (let worker of workers) {
+				worker.terminate();
+			}
+			throw err;
+		});
+}
+
+module.exports = {
+	getSimulatorClass,
+	runParallel
+};
@@ -0,0 +1,134 @@
+// Strategies that decide how a player bets in a round played with a BettingRound.
+
+'use strict';
+const XError = require('xerror');
+const handMatch = require('./hand-match');
+
+/*
+A player strategy is a function taking the acting player's view of the round (see BettingRound.getPlayerView)
+and returning one of the view's legal actions, such as { type: 'call' } or { type: 'raise', amount: 12 }. Any
+function of this form can be used; the strategies below can also be referred to by name.
+*/
+
+// Queries (see handMatch) on a player's full evaluation used by the tight-aggressive strategy
+const tightAggressiveQueries = {
+	// Pockets worth raising before the flop: tens or better, or two cards queen or higher
+	strongPocket: {
+		$or: [
+			{ 'pocketEval.pairValue': { $gte: 'Ten' } },
+			{ $nor: [ { pocket: { $elemMatch: { value: { $lt: 'Queen' } } } } ] }
+		]
+	},
+	// Pockets worth playing: any pair, two cards ten or higher, or a suited ace
+	playablePocket: {
+		$or: [
+			{ 'pocketEval.pairValue': { $gte: 'Two' } },
+			{ $nor: [ { pocket: { $elemMatch: { value: { $lt: 'Ten' } } } } ] },
+			{ $and: [ { 'pocketEval.suitedSuit': { $gte: 'Clubs' } }, { 'pocket.value': 'Ace' } ] }
+		]
+	},
+	// Made hands worth betting and raising: two pair or better
+	strongHand: {
+		'resultEval.result': { $minStrength: { evalType: 'two-pair' } }
+	},
+	// Hands worth calling with: a pair, or four to a flush or an open-ended straight
+	playableHand: {
+		$or: [
+			{ 'resultEval.result': { $minStrength: { evalType: 'pair' } } },
+			{ 'resultEval.evaluations': { $elemMatch: { evalType: 'flush-draw', remainingCards: 1 } } },
+			{ 'resultEval.evaluations': { $elemMatch: { evalType: 'straight-draw', highestCardsToStraight: 4 } } }
+		]
+	}
+};
+for (let name in tightAggressiveQueries) {
+	tightAggressiveQueries[name] = handMatch.getNormalizedEvalQuery(tightAggressiveQueries[name]);
+}
+
+// Get the legal action of the given type from a view, or null if it isn't legal.
+function getLegalAction(view, type) {
+	return view.legalActions.find((action) => action.type === type) || null;
+}
+
+// Check if possible, and otherwise call.
+function checkOrCall(view) {
+	return getLegalAction(view, 'check') ? { type: 'check' } : { type: 'call' };
+}
+
+// Check if possible, and otherwise fold.
+function checkOrFold(view) {
+	return getLegalAction(view, 'check') ? { type: 'check' } : { type: 'fold' };
+}
+
+// Bet or raise by about the size of the pot, or check or call if betting isn't possible.
+function betPot(view) {
+	let betAction = getLegalAction(view, 'bet') || getLegalAction(view, 'raise');
+	if (!betAction) return checkOrCall(view);
+	let amount = view.currentBet + view.toCall + view.pot;
+	amount = Math.min(Math.max(amount, betAction.minAmount), betAction.maxAmount);
+	return { type: betAction.type, amount: amount };
+}
+
+// Never fold or raise.
+function alwaysCall(view) {
+	return checkOrCall(view);
+}
+
+// Take one of the legal actions at random, betting or raising a random amount between the minimum and the
+// player's whole stack.
+function random(view) {
+	let action = view.legalActions[view.rng.randomInt(0, view.legalActions.length - 1)];
+	if (action.type !== 'bet' && action.type !== 'raise') return { type: action.type };
+	let range = action.maxAmount - action.minAmount;
+	let amount = Math.min(action.minAmount + Math.floor(view.rng.random() * (range + 1)), action.maxAmount);
+	return { type: action.type, amount: amount };
+}
+
+/*
+Plays few hands, but plays them hard:
+- Before there is a result to evaluate, raise with strong pockets and call with playable ones
+- Once there is a result, bet and raise with two pair or better, and call with a pair or a good draw
+- Otherwise check or fold
+Bets and raises are about the size of the pot. Pockets that can't be evaluated (such as Omaha pockets) are
+always played but never raised.
+*/
+function tightAggressive(view) {
+	let fullEval = view.getFullEvaluation();
+	let strong, playable;
+	if (fullEval.resultEval) {
+		let matchOptions = { variant: view.variant };
+		strong = tightAggressiveQueries.strongHand.matches(fullEval, matchOptions);
+		playable = strong || tightAggressiveQueries.playableHand.matches(fullEval, matchOptions);
+	} else if (fullEval.pocketEval) {
+		strong = tightAggressiveQueries.strongPocket.matches(fullEval);
+		playable = strong || tightAggressiveQueries.playablePocket.matches(fullEval);
+	} else {
+		strong = false;
+		playable = true;
+	}
+	if (strong) return betPot(view);
+	if (playable) return checkOrCall(view);
+	return checkOrFold(view);
+}
+
+const strategies = {
+	'always-call': alwaysCall,
+	'random': random,
+	'tight-aggressive': tightAggressive
+};
+
+// Get a player strategy function from either a function or the name of one of the strategies above.
+function getPlayerStrategy(strategy) {
+	if (typeof strategy === 'function') return strategy;
+	if (!strategies[strategy]) {
+		throw new XError(XError.INVALID_ARGUMENT, 'Unrecognized player strategy: ' + strategy);
+	}
+	return strategies[strategy];
+}
+
+module.exports = {
+	strategies,
+	getPlayerStrategy,
+	alwaysCall,
+	random,
+	tightAggressive
+};
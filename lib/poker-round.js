@@ -6,6 +6,9 @@ during construction, and the class provides accessor methods to get players' han
 'use strict';
 const XError = require('xerror');
 const handEval = require('./hand-eval');
+const handRank = require('./hand-rank');
+const IncrementalEvaluation = require('./incremental-evaluation');
+const lowHandEval = require('./low-hand-eval');
 
 class PokerRound {
 
@@ -13,58 +16,150 @@ class PokerRound {
 		this.pokerTable = pokerTable;
 		this.numPlayers = pokerTable.numPlayers;
 		this.deck = deck;
+		// The playerIndex of the dealer button in this round
+		this.button = pokerTable.button;
+		// Incremental evaluations of each player's hand, by playerIndex
+		this._incrementalEvaluations = [];
 	}
 
-	// Get the pocket cards for a player. Default value is 0 (the protagonist).
-	getPocketCards(playerIndex) {
+	// Get the cards at the given deck indexes.
+	_getDeckCards(deckIndexes) {
+		return deckIndexes.map((deckIndex) => this.deck[deckIndex]);
+	}
+
+	// Get the pocket cards dealt to a player by a roundPart, in the order they were dealt. Default playerIndex is
+	// 0 (the protagonist), and default roundPart is the last street.
+	getPocketCards(playerIndex, roundPart) {
 		if (!playerIndex) playerIndex = 0;
 		if (playerIndex < 0 || playerIndex >= this.numPlayers) {
 			throw new XError(XError.INVALID_ARGUMENT, 'Player index is out of bounds');
 		}
-		return this.deck.slice(2 * playerIndex, 2 * playerIndex + 2);
+		let pocketCards = this._getDeckCards(this.pokerTable.getPocketDeckIndexes(playerIndex, this.button));
+		return pocketCards.slice(0, this.pokerTable.getStreet(roundPart).pocket);
 	}
 
-	// Get the community cards available at a roundPart. Defaults to 'river'.
+	// Split a player's pocket cards at a roundPart into those dealt face down and face up. In games without up
+	// cards, the whole pocket is face down.
+	_getPocketCardsByFacing(playerIndex, roundPart, faceDown) {
+		let downCardIndexes = this.pokerTable.downCardIndexes;
+		return this.getPocketCards(playerIndex, roundPart).filter((cardId, index) => {
+			let isDown = !downCardIndexes || downCardIndexes.indexOf(index) !== -1;
+			return isDown === faceDown;
+		});
+	}
+
+	// Get a player's face down cards at a roundPart. Defaults as for getPocketCards.
+	getDownCards(playerIndex, roundPart) {
+		return this._getPocketCardsByFacing(playerIndex, roundPart, true);
+	}
+
+	// Get a player's face up cards at a roundPart, which every player can see. Defaults as for getPocketCards.
+	getUpCards(playerIndex, roundPart) {
+		return this._getPocketCardsByFacing(playerIndex, roundPart, false);
+	}
+
+	// Get the community cards available at a roundPart. Defaults to the last street. Always empty in stud games.
 	getCommunityCards(roundPart) {
-		if (!roundPart || roundPart === 'river') {
-			return this.deck.slice(2 * this.numPlayers, 2 * this.numPlayers + 5);
-		} else if (roundPart === 'turn') {
-			return this.deck.slice(2 * this.numPlayers, 2 * this.numPlayers + 4);
-		} else if (roundPart === 'flop') {
-			return this.deck.slice(2 * this.numPlayers, 2 * this.numPlayers + 3);
-		} else if (roundPart === 'preflop') {
-			return [];
-		} else {
-			throw new XError(XError.INVALID_ARGUMENT, 'Invalid roundPart: ' + roundPart);
-		}
+		let communityCards = this._getDeckCards(this.pokerTable.getCommunityDeckIndexes());
+		return communityCards.slice(0, this.pokerTable.getStreet(roundPart).community);
+	}
+
+	// Get the cards burned before the streets dealt by a roundPart. Defaults to the last street.
+	// Always empty unless the table deals realistically.
+	getBurnCards(roundPart) {
+		let burnCards = this._getDeckCards(this.pokerTable.getBurnDeckIndexes());
+		return burnCards.slice(0, this.pokerTable.getStreet(roundPart).burn);
+	}
+
+	// Get the name of a player's position in this round, such as 'UTG' or 'BTN' (see PokerTable.getPositionNames).
+	// Default playerIndex is 0.
+	getPlayerPosition(playerIndex) {
+		return this.pokerTable.getPlayerPosition(playerIndex || 0, this.button);
 	}
 
 	// Get an array of all cards available to a player at a specific point in the round.
-	// Allowed values: 'preflop', 'flop', 'turn', 'river' (default)
+	// roundPart is the name of one of the table's streets (see PokerTable.games), e.g. 'preflop', 'flop',
+	// 'turn', or 'river' in hold'em, or 'third-street' through 'seventh-street' in stud. Defaults to the
+	// last street.
 	getPlayerAvailableCards(playerIndex, roundPart) {
-		let pocketCards = this.getPocketCards(playerIndex);
+		let pocketCards = this.getPocketCards(playerIndex, roundPart);
 		let communityCards = this.getCommunityCards(roundPart);
 		return pocketCards.concat(communityCards);
 	}
 
-	// Get the hand result for a given player after all cards are dealt.
+	// Get the full evaluation (see handEval.getFullEvaluation) of a player's cards at a roundPart. Defaults as for
+	// getPocketCards. Each player's evaluation is kept and advanced to later streets as they are asked for, so
+	// evaluating the streets in order is much cheaper than evaluating each from scratch.
+	getPlayerFullEvaluation(playerIndex, roundPart) {
+		let pocket = this.getPocketCards(playerIndex, roundPart);
+		let community = this.getCommunityCards(roundPart);
+		let incrementalEvaluation = this._incrementalEvaluations[playerIndex || 0];
+		if (incrementalEvaluation && incrementalEvaluation.canAdvanceTo(pocket, community)) {
+			incrementalEvaluation.advanceTo(pocket, community);
+		} else {
+			incrementalEvaluation = new IncrementalEvaluation(
+				pocket,
+				community,
+				this.pokerTable.handRule,
+				this.pokerTable.variant
+			);
+			this._incrementalEvaluations[playerIndex || 0] = incrementalEvaluation;
+		}
+		return incrementalEvaluation.getFullEvaluation();
+	}
+
+	// Get the hand result for a given player after all cards are dealt, under the rules of the table's game.
 	getPlayerHandResult(playerIndex) {
-		let cards = this.getPlayerAvailableCards(playerIndex, 'river');
-		return handEval.getHandResult(cards);
+		return handEval.getGameHandResult(
+			this.getPocketCards(playerIndex),
+			this.getCommunityCards(),
+			this.pokerTable.handRule,
+			this.pokerTable.variant
+		);
 	}
 
-	// Get an array of all players who won or tied for the win for this round.
-	// Returns array of player indexes in ascending value.
+	// Get the hand rank (see handRank) for a given player after all cards are dealt, under the rules of the
+	// table's game.
+	getPlayerHandRank(playerIndex) {
+		return handRank.getGameHandRank(
+			this.getPocketCards(playerIndex),
+			this.getCommunityCards(),
+			this.pokerTable.handRule,
+			this.pokerTable.variant
+		);
+	}
+
+	// Get the low result for a given player after all cards are dealt. Returns null if the table's game has no
+	// low half or the player has no qualifying low.
+	getPlayerLowHandResult(playerIndex) {
+		if (!this.pokerTable.lowType) return null;
+		return lowHandEval.getGameLowHandResult(
+			this.getPocketCards(playerIndex),
+			this.getCommunityCards(),
+			this.pokerTable.handRule,
+			this.pokerTable.lowType,
+			this.pokerTable.lowQualifier
+		);
+	}
+
+	// Get an array of all players who won or tied for the win for this round. In split pot games, these are the
+	// winners of the high half.
+	// Returns array of player indexes in ascending value. Hands are compared by rank if the table uses fastEval.
+	// Every player is treated as being in at showdown; see BettingRound.getWinnings for rounds with betting.
 	getWinningPlayers() {
 		let currentWinners;
 		let currentBestResult;
+		let fastEval = this.pokerTable.fastEval;
+		let variant = this.pokerTable.variant;
 		for (let i = 0; i < this.numPlayers; i++) {
-			let playerResult = handEval.getHandResult(this.getPlayerAvailableCards(i));
-			if (!currentBestResult) {
+			let playerResult = fastEval ? this.getPlayerHandRank(i) : this.getPlayerHandResult(i);
+			if (currentBestResult === undefined) {
 				currentBestResult = playerResult;
 				currentWinners = [ i ];
 			} else {
-				let comp = handEval.compareHandResults(playerResult, currentBestResult);
+				let comp = fastEval ?
+					handRank.compareHandRanks(playerResult, currentBestResult) :
+					handEval.compareHandResults(playerResult, currentBestResult, variant);
 				if (comp < 0) {
 					// New hand is best
 					currentBestResult = playerResult;
@@ -81,6 +176,47 @@ class PokerRound {
 		return currentWinners;
 	}
 
+	// Get an array of all players who won or tied for the low half of the pot, in ascending order. Empty if the
+	// table's game has no low half or nobody has a qualifying low.
+	getLowWinningPlayers() {
+		let currentWinners = [];
+		let currentBestResult = null;
+		for (let i = 0; i < this.numPlayers; i++) {
+			let playerResult = this.getPlayerLowHandResult(i);
+			if (!playerResult) continue;
+			let comp = currentBestResult ? lowHandEval.compareLowHandResults(playerResult, currentBestResult) : -1;
+			if (comp < 0) {
+				currentBestResult = playerResult;
+				currentWinners = [ i ];
+			} else if (comp === 0) {
+				currentWinners.push(i);
+			}
+		}
+		return currentWinners;
+	}
+
+	/*
+	Get the fraction of the pot won by each player, as an array indexed by player. Without a qualifying low the
+	high winners split the whole pot. Otherwise the high and low winners each split half, so a player who wins
+	both halves alone scoops the pot, and a player who ties for one half gets a quarter.
+	*/
+	getPotFractions() {
+		let fractions = [];
+		for (let i = 0; i < this.numPlayers; i++) {
+			fractions.push(0);
+		}
+		let highWinners = this.getWinningPlayers();
+		let lowWinners = this.getLowWinningPlayers();
+		let highShare = lowWinners.length ? 0.5 : 1;
+		for (let playerIndex of highWinners) {
+			fractions[playerIndex] += highShare / highWinners.length;
+		}
+		for (let playerIndex of lowWinners) {
+			fractions[playerIndex] += (1 - highShare) / lowWinners.length;
+		}
+		return fractions;
+	}
+
 }
 
 module.exports = PokerRound;
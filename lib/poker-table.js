@@ -1,71 +1,382 @@
 /*
 Container class for a table of 1-10 players. Provides methods for running poker rounds.
-Players are assigned an index starting a 0, with player 0 being the "protagonist".
+Players are assigned an index starting a 0, with player 0 being the "protagonist". Players sit clockwise in
+order of playerIndex, and the dealer button moves one seat clockwise after every round.
 */
 
 'use strict';
 const XError = require('xerror');
 const PokerRound = require('./poker-round');
+const DrawPokerRound = require('./draw-poker-round');
+const discardStrategies = require('./discard-strategies');
 const cardUtils = require('./card-utils');
+const handEval = require('./hand-eval');
+const handRank = require('./hand-rank');
 const randomUtils = require('./random-utils');
 
+// Streets of a game with community cards, with the number of pocket, community, and burn cards dealt by the
+// end of each. Burn cards are only dealt when dealing realistically.
+function getCommunityStreets(pocketSize) {
+	return [
+		{ name: 'preflop', pocket: pocketSize, community: 0, burn: 0 },
+		{ name: 'flop', pocket: pocketSize, community: 3, burn: 1 },
+		{ name: 'turn', pocket: pocketSize, community: 4, burn: 2 },
+		{ name: 'river', pocket: pocketSize, community: 5, burn: 3 }
+	];
+}
+
+// Streets of seven-card stud, where each player is dealt two down cards and one up card on third street, an
+// up card on each of fourth through sixth street, and a final down card on seventh street.
+const STUD_STREETS = [
+	{ name: 'third-street', pocket: 3, community: 0, burn: 0 },
+	{ name: 'fourth-street', pocket: 4, community: 0, burn: 1 },
+	{ name: 'fifth-street', pocket: 5, community: 0, burn: 2 },
+	{ name: 'sixth-street', pocket: 6, community: 0, burn: 3 },
+	{ name: 'seventh-street', pocket: 7, community: 0, burn: 4 }
+];
+const STUD_DOWN_CARD_INDEXES = [ 0, 1, 6 ];
+
+// Streets of five-card draw, where each player is dealt five cards and then replaces their discards once
+const DRAW_STREETS = [
+	{ name: 'predraw', pocket: 5, community: 0, burn: 0 },
+	{ name: 'postdraw', pocket: 5, community: 0, burn: 1 }
+];
+
+/*
+Supported games. Each has:
+- pocketSize: the number of pocket cards dealt to each player
+- streets: the streets of the game in order (see getCommunityStreets). Their names are the roundParts accepted
+  by PokerRound.
+- downCardIndexes: optional indexes into the pocket of the cards dealt face down. Defaults to the whole pocket.
+- draws: true if players discard and draw replacements before the last street (see DrawPokerRound)
+- handRule: how hands are made from the pocket and community (see handEval.getGameHandResult)
+- variant: the rule variant used to rank high hands (see handEval.variants)
+- lowType, lowQualifier: for split pot games, how low hands are ranked (see lowHandEval.lowTypes) and the
+  highest card value a low may have to qualify for half the pot
+*/
+const games = {
+	'holdem': { pocketSize: 2, streets: getCommunityStreets(2), handRule: 'best-five', variant: 'standard' },
+	'omaha': { pocketSize: 4, streets: getCommunityStreets(4), handRule: 'omaha', variant: 'standard' },
+	'omaha-hi-lo': {
+		pocketSize: 4,
+		streets: getCommunityStreets(4),
+		handRule: 'omaha',
+		variant: 'standard',
+		lowType: 'ace-to-five',
+		lowQualifier: cardUtils.EIGHT
+	},
+	'short-deck': { pocketSize: 2, streets: getCommunityStreets(2), handRule: 'best-five', variant: 'short-deck' },
+	'stud': {
+		pocketSize: 7,
+		streets: STUD_STREETS,
+		downCardIndexes: STUD_DOWN_CARD_INDEXES,
+		handRule: 'best-five',
+		variant: 'standard'
+	},
+	'stud-hi-lo': {
+		pocketSize: 7,
+		streets: STUD_STREETS,
+		downCardIndexes: STUD_DOWN_CARD_INDEXES,
+		handRule: 'best-five',
+		variant: 'standard',
+		lowType: 'ace-to-five',
+		lowQualifier: cardUtils.EIGHT
+	},
+	'draw': { pocketSize: 5, streets: DRAW_STREETS, draws: true, handRule: 'best-five', variant: 'standard' }
+};
+
+/*
+Get the names of the positions at a table of numPlayers, in the order they act before the flop. From the
+button these are BTN, SB and BB, preceded by CO, HJ and UTG at tables big enough for them, with any seats
+between UTG and HJ named UTG+1, UTG+2 and so on. Heads-up, the button posts the small blind and is named BTN.
+*/
+function getPositionNames(numPlayers) {
+	let lateNames = [ 'BTN', 'SB', 'BB' ];
+	if (numPlayers <= 2) return (numPlayers === 2) ? [ 'BTN', 'BB' ] : [ 'BTN' ];
+	let earlyCount = numPlayers - lateNames.length;
+	let earlyNames = [];
+	for (let i = 0; i < earlyCount; i++) {
+		let seatsBeforeButton = earlyCount - i;
+		if (seatsBeforeButton === 1) {
+			earlyNames.push('CO');
+		} else if (seatsBeforeButton === 2) {
+			earlyNames.push('HJ');
+		} else {
+			earlyNames.push((i === 0) ? 'UTG' : 'UTG+' + i);
+		}
+	}
+	return earlyNames.concat(lateNames);
+}
+
 class PokerTable {
 
-	// rng is optional
-	constructor(numPlayers, rng) {
-		if (!rng) rng = randomUtils.defaultRng;
+	// rng and options are optional. Options can contain:
+	// - game: one of the keys of PokerTable.games, defaults to 'holdem'
+	// - realisticDealing: deal pockets one card at a time round the table starting with the player after the
+	//   button, and burn a card before each street after the first. By default pockets are dealt together,
+	//   followed by the community cards, with no burns.
+	// - variant: the rule variant used to rank high hands (see handEval.variants), such as 'deuces-wild'.
+	//   Defaults to the game's variant. Wild card variants can't be used for split pot games.
+	// - fastEval: pick winners by comparing hand ranks (see handRank), which is much faster than comparing hand
+	//   results. Not available for wild card variants.
+	// - discardStrategies: for draw games, the discard strategy of each player (see discardStrategies) as a
+	//   function or strategy name. Either an array with one entry per player or a single strategy for all
+	//   players. Defaults to 'standard'.
+	// - button: the playerIndex of the dealer button in the first round, defaults to the last player
+	constructor(numPlayers, rng, options) {
+		if (!rng) rng = randomUtils.defaultRNG;
+		if (!options) options = {};
 		if (numPlayers < 1 || numPlayers > 10) {
 			throw new XError(XError.INVALID_ARGUMENT, 'numPlayers is out of bounds');
 		}
+		this.game = options.game || 'holdem';
+		if (!games[this.game]) throw new XError(XError.INVALID_ARGUMENT, 'Unsupported game: ' + this.game);
 		this.numPlayers = numPlayers;
+		this.pocketSize = games[this.game].pocketSize;
+		this.streets = games[this.game].streets;
+		this.downCardIndexes = games[this.game].downCardIndexes || null;
+		this.draws = !!games[this.game].draws;
+		this.handRule = games[this.game].handRule;
+		this.variant = options.variant || games[this.game].variant;
+		this.lowType = games[this.game].lowType || null;
+		this.lowQualifier = games[this.game].lowQualifier || null;
+		let variant = handEval.getVariant(this.variant);
+		this.deckType = variant.deckType;
+		if (this.lowType && (variant.wildValues.length || cardUtils.deckTypes[this.deckType].jokers)) {
+			throw new XError(XError.INVALID_ARGUMENT, 'Split pot games do not support wild cards');
+		}
 		this.rng = rng;
+		this.realisticDealing = !!options.realisticDealing;
+		this.fastEval = !!options.fastEval;
+		if (this.fastEval && !handRank.supportsVariant(variant)) {
+			throw new XError(XError.INVALID_ARGUMENT, 'Fast evaluation does not support wild cards');
+		}
+		this.button = (typeof options.button === 'number') ? options.button : numPlayers - 1;
+		if (this.button < 0 || this.button >= numPlayers || this.button % 1 !== 0) {
+			throw new XError(XError.INVALID_ARGUMENT, 'Button is out of bounds');
+		}
 		this.currentRound = null;
+		this.discardStrategies = null;
+		if (this.draws) {
+			let strategies = options.discardStrategies || 'standard';
+			if (!Array.isArray(strategies)) strategies = Array(numPlayers).fill(strategies);
+			if (strategies.length !== numPlayers) {
+				throw new XError(XError.INVALID_ARGUMENT, 'A discard strategy is required for every player');
+			}
+			this.discardStrategies = strategies.map((strategy) => discardStrategies.getDiscardStrategy(strategy));
+		}
+		if (this.getDealtCardCount() > cardUtils.getUnshuffledDeck(this.deckType).length) {
+			throw new XError(XError.INVALID_ARGUMENT, 'Not enough cards to deal ' + this.game + ' to every player');
+		}
+	}
+
+	// Get the street for a roundPart, which is the name of one of the game's streets. Defaults to the last street.
+	getStreet(roundPart) {
+		if (!roundPart) return this.streets[this.streets.length - 1];
+		for (let street of this.streets) {
+			if (street.name === roundPart) return street;
+		}
+		throw new XError(XError.INVALID_ARGUMENT, 'Invalid roundPart for ' + this.game + ': ' + roundPart);
+	}
+
+	// Get the card counts dealt before the street with the given index.
+	_getPreviousStreet(streetIndex) {
+		if (streetIndex === 0) return { pocket: 0, community: 0, burn: 0 };
+		return this.streets[streetIndex - 1];
+	}
+
+	// Get the index of the street on which a card is dealt, where count is the street property ('pocket' or
+	// 'community') counting that type of card and cardIndex is the card's index in the pocket or community.
+	_getDealingStreetIndex(count, cardIndex) {
+		for (let i = 0; i < this.streets.length; i++) {
+			if (this.streets[i][count] > cardIndex) return i;
+		}
+		throw new XError(XError.INTERNAL_ERROR, 'Card is never dealt');
 	}
 
-	// Construct and return a PokerRound object for this table.
+	// When dealing realistically, get the deck index at which a street's cards start, after any burn card.
+	// Each street deals pocket cards round the table, then community cards.
+	_getRealisticStreetStart(streetIndex) {
+		let previousStreet = this._getPreviousStreet(streetIndex);
+		return previousStreet.pocket * this.numPlayers + previousStreet.community + this.streets[streetIndex].burn;
+	}
+
+	// Get the deck indexes of a player's pocket cards, in the order they are dealt. When dealing realistically
+	// these depend on the button, which defaults to where it is for the next round.
+	getPocketDeckIndexes(playerIndex, button) {
+		if (typeof button !== 'number') button = this.button;
+		let deckIndexes = [];
+		for (let i = 0; i < this.pocketSize; i++) {
+			if (this.realisticDealing) {
+				let streetIndex = this._getDealingStreetIndex('pocket', i);
+				let previousStreet = this._getPreviousStreet(streetIndex);
+				let seatsAfterButton = (playerIndex - button - 1 + this.numPlayers) % this.numPlayers;
+				deckIndexes.push(
+					this._getRealisticStreetStart(streetIndex) +
+					(i - previousStreet.pocket) * this.numPlayers +
+					seatsAfterButton
+				);
+			} else {
+				deckIndexes.push(this.pocketSize * playerIndex + i);
+			}
+		}
+		return deckIndexes;
+	}
+
+	// Get the deck indexes of the community cards, in the order they are dealt (e.g. flop, turn, river).
+	getCommunityDeckIndexes() {
+		let deckIndexes = [];
+		for (let i = 0; i < this.getStreet().community; i++) {
+			if (this.realisticDealing) {
+				let streetIndex = this._getDealingStreetIndex('community', i);
+				let previousStreet = this._getPreviousStreet(streetIndex);
+				deckIndexes.push(
+					this._getRealisticStreetStart(streetIndex) +
+					(this.streets[streetIndex].pocket - previousStreet.pocket) * this.numPlayers +
+					(i - previousStreet.community)
+				);
+			} else {
+				deckIndexes.push(this.pocketSize * this.numPlayers + i);
+			}
+		}
+		return deckIndexes;
+	}
+
+	// Get the deck indexes of the burn cards dealt before each street after the first. Empty unless dealing
+	// realistically.
+	getBurnDeckIndexes() {
+		let deckIndexes = [];
+		if (!this.realisticDealing) return deckIndexes;
+		for (let i = 0; i < this.streets.length; i++) {
+			if (this.streets[i].burn > this._getPreviousStreet(i).burn) {
+				deckIndexes.push(this._getRealisticStreetStart(i) - 1);
+			}
+		}
+		return deckIndexes;
+	}
+
+	// Get the deck indexes that replacement cards are drawn from in draw games, in the order they are drawn.
+	// This is the stub of the deck left after dealing; if it runs out, the discards are reshuffled (see
+	// DrawPokerRound). Empty if the game has no draw.
+	getDrawDeckIndexes() {
+		let deckIndexes = [];
+		if (!this.draws) return deckIndexes;
+		let deckSize = cardUtils.getUnshuffledDeck(this.deckType).length;
+		for (let deckIndex = this.getDealtCardCount(); deckIndex < deckSize; deckIndex++) {
+			deckIndexes.push(deckIndex);
+		}
+		return deckIndexes;
+	}
+
+	// Get the number of cards from the top of the deck dealt in a round, not counting replacements drawn in
+	// draw games.
+	getDealtCardCount() {
+		return this.pocketSize * this.numPlayers + this.getStreet().community + this.getBurnDeckIndexes().length;
+	}
+
+	// Construct and return a PokerRound object for this table, played with the button where it is now. The
+	// button then moves to the next player for the following round.
 	playRound(deck) {
-		if (!deck) deck = cardUtils.getShuffledDeck(this.rng);
-		let round = new PokerRound(this, deck);
+		if (!deck) deck = cardUtils.getShuffledDeck(this.rng, this.deckType);
+		let round = this.draws ? new DrawPokerRound(this, deck) : new PokerRound(this, deck);
 		this.currentRound = round;
+		this.button = (this.button + 1) % this.numPlayers;
 		return round;
 	}
 
-	// Returns a function that creates a stacked deck with the given config in the form:
-	// { '0': [ 'Kh', 'Ks' ], community: [ '4h', '4s', '5c' ] }
-	createStackedDeckFunc(config) {
+	// Get the name of a player's position (see getPositionNames) with the button at the given playerIndex.
+	getPlayerPosition(playerIndex, button) {
+		if (playerIndex < 0 || playerIndex >= this.numPlayers) {
+			throw new XError(XError.INVALID_ARGUMENT, 'Player index is out of bounds');
+		}
+		let positionNames = getPositionNames(this.numPlayers);
+		let buttonIndex = positionNames.indexOf('BTN');
+		let seatsAfterButton = (playerIndex - button + this.numPlayers) % this.numPlayers;
+		return positionNames[(buttonIndex + seatsAfterButton) % this.numPlayers];
+	}
+
+	// Converts a stacked deck config in the form { '0': [ 'Kh', 'Ks' ], community: [ '4h', '4s', '5c' ] }
+	// into a map of deck indexes to cardIds, as accepted by cardUtils.getPartiallyStackedDeck.
+	// The config may also contain dead cards (see createStackedDeckFunc), which are checked for conflicts
+	// but not included in the sections. button is as for getPocketDeckIndexes.
+	getStackedDeckSections(config, button) {
 		let rawStacks = {};
+		let stackedCardIds = {};
+		for (let cardId of this.getStackedDeckDeadCardIds(config)) {
+			stackedCardIds[cardId] = true;
+		}
 		for (let indexStr in config) {
-			let stackIndex;
-			if (indexStr === 'community') {
-				stackIndex = 2 * this.numPlayers;
+			let deckIndexes;
+			if (indexStr === 'dead') {
+				continue;
+			} else if (indexStr === 'community') {
+				deckIndexes = this.getCommunityDeckIndexes();
+			} else if (indexStr === 'draw') {
+				deckIndexes = this.getDrawDeckIndexes();
 			} else {
-				stackIndex = 2 * parseInt(indexStr, 10);
-				if (stackIndex >= this.numPlayers) {
+				let playerIndex = parseInt(indexStr, 10);
+				if (!(playerIndex >= 0 && playerIndex < this.numPlayers)) {
 					throw new XError(XError.INVALID_ARGUMENT, 'playerIndex is out of bounds');
 				}
+				deckIndexes = this.getPocketDeckIndexes(playerIndex, button);
 			}
-			let cardIds = config[indexStr].map((cardStr) => {
-				if (typeof cardStr === 'number') {
-					// Assume it's a cardId
-					return cardStr;
-				} else if (typeof cardStr === 'object' && cardStr.cardId) {
-					// Assume card components
-					return cardStr.cardId;
-				} else if (typeof cardStr === 'string') {
-					// Assume card string
-					let components = cardUtils.getCardComponentsFromString(cardStr);
-					return components.cardId;
-				} else {
-					throw new XError(XError.INVALID_ARGUMENT, 'Could not get cardId');
+			let cardIds = config[indexStr].map((card) => cardUtils.getCardId(card));
+			if (cardIds.length > deckIndexes.length) {
+				throw new XError(XError.INVALID_ARGUMENT, 'Too many cards to stack for ' + indexStr);
+			}
+			for (let i = 0; i < cardIds.length; i++) {
+				if (!cardUtils.isCardInDeck(cardIds[i], this.deckType)) {
+					throw new XError(XError.INVALID_ARGUMENT, 'Attempted to stack a card that is not in the deck');
+				}
+				if (stackedCardIds[cardIds[i]]) {
+					throw new XError(XError.INVALID_ARGUMENT, 'Attempted to stack same cardId twice');
 				}
-			});
-			rawStacks[stackIndex] = cardIds;
+				stackedCardIds[cardIds[i]] = true;
+				rawStacks[deckIndexes[i]] = [ cardIds[i] ];
+			}
+		}
+		return rawStacks;
+	}
+
+	// Get the cardIds of the dead cards in a stacked deck config.
+	getStackedDeckDeadCardIds(config) {
+		let deadCardIds = (config.dead || []).map((card) => cardUtils.getCardId(card));
+		let seen = {};
+		for (let cardId of deadCardIds) {
+			if (!cardUtils.isCardInDeck(cardId, this.deckType)) {
+				throw new XError(XError.INVALID_ARGUMENT, 'Attempted to kill a card that is not in the deck');
+			}
+			if (seen[cardId]) throw new XError(XError.INVALID_ARGUMENT, 'Attempted to kill same cardId twice');
+			seen[cardId] = true;
+		}
+		return deadCardIds;
+	}
+
+	// Returns a function that creates a stacked deck with the given config in the form:
+	// { '0': [ 'Kh', 'Ks' ], community: [ '4h', '4s', '5c' ], dead: [ '2s', '9s' ] }
+	// Dead cards (mucked, seen, or burned) never appear in any pocket or on the board. In draw games, the
+	// config may also contain draw: [ ... ], the replacement cards in the order they are drawn. Each deck is
+	// stacked for the next round to be played, so pockets follow the button when dealing realistically.
+	createStackedDeckFunc(config) {
+		let rawStacks = this.getStackedDeckSections(config);
+		let rawStacksButton = this.button;
+		let deadCardIds = this.getStackedDeckDeadCardIds(config);
+		let deckSize = cardUtils.getUnshuffledDeck(this.deckType).length;
+		if (deckSize - deadCardIds.length < this.getDealtCardCount()) {
+			throw new XError(XError.INVALID_ARGUMENT, 'Too many dead cards to deal a round');
 		}
 		return () => {
-			return cardUtils.getPartiallyStackedDeck(rawStacks, this.rng);
+			if (this.realisticDealing && this.button !== rawStacksButton) {
+				rawStacks = this.getStackedDeckSections(config);
+				rawStacksButton = this.button;
+			}
+			return cardUtils.getPartiallyStackedDeck(rawStacks, this.rng, deadCardIds, this.deckType);
 		}
 	}
 
 };
 
+PokerTable.games = games;
+PokerTable.getPositionNames = getPositionNames;
+
 module.exports = PokerTable;
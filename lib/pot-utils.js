@@ -0,0 +1,153 @@
+// Utilities for dividing the chips put in during a round into a main pot and side pots, and awarding them.
+
+'use strict';
+const XError = require('xerror');
+const handEval = require('./hand-eval');
+const lowHandEval = require('./low-hand-eval');
+
+/*
+Get the pots made from each player's total contribution to a round, given as arrays indexed by player along
+with whether each player folded. Returns the main pot followed by any side pots, in the form:
+[
+	{ amount: 300, eligiblePlayers: [ 0, 1, 2 ] },
+	{ amount: 140, eligiblePlayers: [ 1, 2 ] }
+]
+Each player who hasn't folded is eligible for the pots up to the level of their own contribution. Folded
+players' chips go into the pots they reach but they are never eligible. A pot with a single eligible player,
+such as an uncalled bet, goes back to that player.
+*/
+function getPots(contributions, folded) {
+	if (!Array.isArray(contributions) || !Array.isArray(folded) || contributions.length !== folded.length) {
+		throw new XError(XError.INVALID_ARGUMENT, 'A contribution and folded status is required for every player');
+	}
+	let activePlayers = [];
+	for (let i = 0; i < contributions.length; i++) {
+		if (!folded[i]) activePlayers.push(i);
+	}
+	if (!activePlayers.length) throw new XError(XError.INVALID_ARGUMENT, 'At least one player must not fold');
+	// Each distinct contribution of a player who hasn't folded caps a pot
+	let levels = activePlayers
+		.map((playerIndex) => contributions[playerIndex])
+		.filter((level, index, levels) => levels.indexOf(level) === index)
+		.sort((a, b) => a - b);
+	let pots = [];
+	let previousLevel = 0;
+	for (let level of levels) {
+		let amount = 0;
+		for (let contribution of contributions) {
+			amount += Math.max(0, Math.min(contribution, level) - previousLevel);
+		}
+		let eligiblePlayers = activePlayers.filter((playerIndex) => contributions[playerIndex] >= level);
+		if (amount > 0) pots.push({ amount: amount, eligiblePlayers: eligiblePlayers });
+		previousLevel = level;
+	}
+	// Folded players can have put in more than anyone left, which goes to the last pot
+	let excess = 0;
+	for (let contribution of contributions) {
+		excess += Math.max(0, contribution - previousLevel);
+	}
+	if (excess > 0) {
+		if (pots.length) {
+			pots[pots.length - 1].amount += excess;
+		} else {
+			pots.push({ amount: excess, eligiblePlayers: activePlayers });
+		}
+	}
+	return pots;
+}
+
+// Get the eligible players with the best hand results, ranked with handEval.compareHandResults. handResults is
+// indexed by player. Returns an array of playerIndexes in ascending order.
+function getPotWinners(eligiblePlayers, handResults, variant) {
+	let winners = [];
+	let bestResult = null;
+	for (let playerIndex of eligiblePlayers) {
+		let result = handResults[playerIndex];
+		if (!result) throw new XError(XError.INVALID_ARGUMENT, 'Eligible player has no hand result');
+		let comp = bestResult ? handEval.compareHandResults(result, bestResult, variant) : -1;
+		if (comp < 0) {
+			bestResult = result;
+			winners = [ playerIndex ];
+		} else if (comp === 0) {
+			winners.push(playerIndex);
+		}
+	}
+	return winners.sort((a, b) => a - b);
+}
+
+// Get the eligible players with the best qualifying low hand results, ranked with
+// lowHandEval.compareLowHandResults. lowHandResults is indexed by player, with null for players without a
+// qualifying low. Returns an empty array if nobody has one.
+function getLowPotWinners(eligiblePlayers, lowHandResults) {
+	let winners = [];
+	let bestResult = null;
+	for (let playerIndex of eligiblePlayers) {
+		let result = lowHandResults[playerIndex];
+		if (!result) continue;
+		let comp = bestResult ? lowHandEval.compareLowHandResults(result, bestResult) : -1;
+		if (comp < 0) {
+			bestResult = result;
+			winners = [ playerIndex ];
+		} else if (comp === 0) {
+			winners.push(playerIndex);
+		}
+	}
+	return winners.sort((a, b) => a - b);
+}
+
+/*
+Split an amount of chips evenly between winners, adding each winner's share to winnings (indexed by player).
+When the chips don't divide evenly, the odd chips go one at a time to the winners in seat order starting from
+the first seat after the button, which defaults to the last player.
+*/
+function splitAmount(amount, winners, winnings, button) {
+	if (typeof button !== 'number') button = winnings.length - 1;
+	let orderedWinners = winners.slice().sort((a, b) => {
+		let aSeat = (a - button - 1 + winnings.length) % winnings.length;
+		let bSeat = (b - button - 1 + winnings.length) % winnings.length;
+		return aSeat - bSeat;
+	});
+	let share = Math.floor(amount / winners.length);
+	let oddChips = Math.floor(amount - share * winners.length);
+	for (let i = 0; i < orderedWinners.length; i++) {
+		winnings[orderedWinners[i]] += share + ((i < oddChips) ? 1 : 0);
+	}
+	// Any fraction of a chip left over from fractional amounts goes with the first odd chip
+	winnings[orderedWinners[0]] += amount - share * winners.length - oddChips;
+}
+
+/*
+Award pots (see getPots) to their winners, returning the chips won by each player as an array indexed by
+player. handResults is indexed by player, and must have a result for every player eligible for a contested
+pot. Options can contain:
+- variant: the rule variant to rank results under (see handEval.variants)
+- lowHandResults: for split pot games, each player's qualifying low result or null (see
+  PokerRound.getPlayerLowHandResult). A pot with a qualifying low among its eligible players is split in half
+  between its high and low winners, with any odd chip going to the high half.
+- button: the playerIndex of the button, used to hand out odd chips (see splitAmount)
+*/
+function awardPots(pots, handResults, options) {
+	if (!options) options = {};
+	let winnings = handResults.map(() => 0);
+	for (let pot of pots) {
+		// Uncalled bets and pots nobody contests need no hand results
+		if (pot.eligiblePlayers.length === 1) {
+			winnings[pot.eligiblePlayers[0]] += pot.amount;
+			continue;
+		}
+		let highWinners = getPotWinners(pot.eligiblePlayers, handResults, options.variant);
+		let lowWinners = options.lowHandResults ? getLowPotWinners(pot.eligiblePlayers, options.lowHandResults) : [];
+		let lowAmount = lowWinners.length ? Math.floor(pot.amount / 2) : 0;
+		splitAmount(pot.amount - lowAmount, highWinners, winnings, options.button);
+		if (lowWinners.length) splitAmount(lowAmount, lowWinners, winnings, options.button);
+	}
+	return winnings;
+}
+
+module.exports = {
+	getPots,
+	getPotWinners,
+	getLowPotWinners,
+	splitAmount,
+	awardPots
+};
@@ -0,0 +1,161 @@
+// Simulator that determines the equity of each seat's hand range against the others.
+
+'use strict';
+const XError = require('xerror');
+const HeadToHeadSimulator = require('./head-to-head-simulator');
+const cardUtils = require('./card-utils');
+const handRange = require('./hand-range');
+
+class RangeEquitySimulator extends HeadToHeadSimulator {
+
+	// ranges is an array with one entry per seat; each entry is a HandRange or a string in range notation
+	// (use strings for parallel runs). community is an optional partial board of up to 5 cards, which are
+	// removed from every range. The ranges must leave some way to deal every seat a hand without shared cards.
+	constructor(ranges, community, trials, progressFunc) {
+		if (!Array.isArray(ranges)) {
+			throw new XError(XError.INVALID_ARGUMENT, 'Ranges must be an array');
+		}
+		super(ranges.map(() => null), community, trials, progressFunc);
+		let communityCardIds = this.communityCardIds;
+		this.seatCombos = [];
+		this.seatCumulativeWeights = [];
+		this.comboTotals = [];
+		for (let range of ranges) {
+			if (typeof range === 'string') range = handRange.parseRange(range);
+			if (!(range instanceof handRange.HandRange)) {
+				throw new XError(XError.INVALID_ARGUMENT, 'Range must be a HandRange or range notation');
+			}
+			let combos = range.removeDeadCards(communityCardIds).getCombos();
+			if (combos.length === 0) {
+				throw new XError(XError.INVALID_ARGUMENT, 'Range has no combos that are live with the board');
+			}
+			let cumulativeWeights = [];
+			let totalWeight = 0;
+			for (let combo of combos) {
+				totalWeight += combo.weight;
+				cumulativeWeights.push(totalWeight);
+			}
+			this.seatCombos.push(combos);
+			this.seatCumulativeWeights.push(cumulativeWeights);
+			// Tallies in the same order as the seat's combos, where equity is summed as for seatTotals
+			this.comboTotals.push(combos.map(() => ({ trials: 0, equity: 0 })));
+		}
+		if (!this._canDealSeats(0, {})) {
+			throw new XError(XError.INVALID_ARGUMENT, 'Ranges have no combination of hands without shared cards');
+		}
+	}
+
+	// Returns true if the seats from playerIndex on can be dealt combos that share no card with each other or
+	// with usedCardIds, so that redrawing conflicting deals always finishes.
+	_canDealSeats(playerIndex, usedCardIds) {
+		if (playerIndex === this.seatCombos.length) return true;
+		for (let combo of this.seatCombos[playerIndex]) {
+			let cardIds = combo.cardIds;
+			if (usedCardIds[cardIds[0]] || usedCardIds[cardIds[1]]) continue;
+			usedCardIds[cardIds[0]] = true;
+			usedCardIds[cardIds[1]] = true;
+			let canDeal = this._canDealSeats(playerIndex + 1, usedCardIds);
+			delete usedCardIds[cardIds[0]];
+			delete usedCardIds[cardIds[1]];
+			if (canDeal) return true;
+		}
+		return false;
+	}
+
+	// Pick a combo index from a seat's range in proportion to the combo weights.
+	_sampleComboIndex(playerIndex) {
+		let cumulativeWeights = this.seatCumulativeWeights[playerIndex];
+		let target = this.rng.random() * cumulativeWeights[cumulativeWeights.length - 1];
+		let low = 0;
+		let high = cumulativeWeights.length - 1;
+		while (low < high) {
+			let mid = Math.floor((low + high) / 2);
+			if (cumulativeWeights[mid] > target) {
+				high = mid;
+			} else {
+				low = mid + 1;
+			}
+		}
+		return low;
+	}
+
+	// Deal each seat a combo from its range. If two combos share a card, the whole deal is redrawn, so every
+	// compatible combination of combos keeps its weighted probability. The constructor checked that some deal
+	// has no conflicts.
+	_getDeck(roundContext) {
+		let numPlayers = this.pokerTable.numPlayers;
+		for (;;) {
+			let usedCardIds = {};
+			let comboIndexes = [];
+			let stackConfig = { community: this.communityCardIds };
+			for (let i = 0; i < numPlayers; i++) {
+				let comboIndex = this._sampleComboIndex(i);
+				let cardIds = this.seatCombos[i][comboIndex].cardIds;
+				if (usedCardIds[cardIds[0]] || usedCardIds[cardIds[1]]) break;
+				usedCardIds[cardIds[0]] = true;
+				usedCardIds[cardIds[1]] = true;
+				comboIndexes.push(comboIndex);
+				stackConfig[i] = cardIds;
+			}
+			if (comboIndexes.length === numPlayers) {
+				roundContext.comboIndexes = comboIndexes;
+				let sections = this.pokerTable.getStackedDeckSections(stackConfig);
+				return cardUtils.getPartiallyStackedDeck(sections, this.rng, null, this.pokerTable.deckType);
+			}
+		}
+	}
+
+	_getEnumerationSpace() {
+		return null;
+	}
+
+	_processPokerRound(pokerRound, roundContext) {
+		let potFractions = pokerRound.getPotFractions();
+		this._tallySeats(potFractions);
+		for (let i = 0; i < this.comboTotals.length; i++) {
+			let comboTotal = this.comboTotals[i][roundContext.comboIndexes[i]];
+			comboTotal.trials++;
+			comboTotal.equity += potFractions[i];
+		}
+	}
+
+	_getPartialResult() {
+		let partialResult = super._getPartialResult();
+		partialResult.comboTotals = this.comboTotals;
+		return partialResult;
+	}
+
+	_mergePartialResult(partialResult) {
+		super._mergePartialResult(partialResult);
+		for (let i = 0; i < this.comboTotals.length; i++) {
+			for (let j = 0; j < this.comboTotals[i].length; j++) {
+				this.comboTotals[i][j].trials += partialResult.comboTotals[i][j].trials;
+				this.comboTotals[i][j].equity += partialResult.comboTotals[i][j].equity;
+			}
+		}
+	}
+
+	/*
+	Each seat's result is extended with a per-combo breakdown:
+	combos: [ { hand: 'AhKh', cardIds: [ 39, 38 ], frequency: 0.0312, equity: 0.6541 } ]
+	where frequency is the fraction of trials in which the seat held the combo. Combos that were never dealt
+	have an equity of null.
+	*/
+	_getSeatResult(playerIndex) {
+		let seatResult = super._getSeatResult(playerIndex);
+		let round = (value) => Math.round(value * 10000) / 10000;
+		seatResult.combos = this.seatCombos[playerIndex].map((combo, comboIndex) => {
+			let comboTotal = this.comboTotals[playerIndex][comboIndex];
+			return {
+				hand: cardUtils.getCardString(combo.cardIds[0]) + cardUtils.getCardString(combo.cardIds[1]),
+				cardIds: combo.cardIds,
+				frequency: (this.totalTested !== 0) ? round(comboTotal.trials / this.totalTested) : 0,
+				equity: (comboTotal.trials !== 0) ? round(comboTotal.equity / comboTotal.trials) : null
+			};
+		});
+		return seatResult;
+	}
+
+}
+
+module.exports = RangeEquitySimulator;
@@ -0,0 +1,203 @@
+/*
+Simulator that plays one long session of hands for a player strategy (see playerStrategies) against a table of
+opponents, and reports the hero's win rate, its spread, and how the hero's bankroll moves over the session.
+Each trial is one hand played out in full with a BettingRound; the table's button moves one seat to the left
+after every hand and each player starts every hand with the same stack. Trials run in order as a single session,
+so this simulator can't be run in parallel.
+*/
+
+'use strict';
+const XError = require('xerror');
+const Simulator = require('./simulator');
+const PokerTable = require('./poker-table');
+const BettingRound = require('./betting-round');
+const playerStrategies = require('./player-strategies');
+const randomUtils = require('./random-utils');
+
+// Number of points to keep in the bankroll trajectory by default
+const DEFAULT_TRAJECTORY_POINTS = 1000;
+
+// Round to hundredths of a big blind
+function roundBigBlinds(value) {
+	return (value === null) ? null : Math.round(value * 100) / 100;
+}
+
+class SessionSimulator extends Simulator {
+
+	// strategies is an array with the strategy of each seat, as a function or strategy name. The hero is the
+	// first seat and the rest are opponents. trials is the number of hands in the session. Options can contain:
+	// - seed: seed for the RNG that deals the cards and drives random strategies. Defaults to a random seed.
+	// - game: the game to play (see PokerTable.games), defaults to 'holdem'
+	// - stack: the chips each player starts every hand with, defaults to 100 big blinds
+	// - smallBlind, bigBlind, ante: the forced bets (see BettingRound)
+	// - bankroll: the hero's bankroll at the start of the session in big blinds, used for risk of ruin.
+	//   Defaults to 20 stacks.
+	// - trajectoryInterval: hands between points of the bankroll trajectory, defaults to a 1000th of the trials
+	constructor(strategies, trials, progressFunc, options) {
+		if (!options) options = {};
+		if (!Array.isArray(strategies) || strategies.length < 2) {
+			throw new XError(XError.INVALID_ARGUMENT, 'A strategy is required for each of at least two seats');
+		}
+		let rng = new randomUtils.RNG(options.seed);
+		let pokerTable = new PokerTable(strategies.length, rng, { game: options.game });
+		super(pokerTable, trials);
+		this.strategies = strategies.map((strategy) => playerStrategies.getPlayerStrategy(strategy));
+		this.bettingOptions = {
+			smallBlind: options.smallBlind,
+			bigBlind: options.bigBlind,
+			ante: options.ante
+		};
+		// The big blind as BettingRound defaults it
+		this.bigBlind = (typeof options.bigBlind === 'number') ? options.bigBlind : 2;
+		this.stack = options.stack || this.bigBlind * 100;
+		this.bankroll = options.bankroll || this.stack / this.bigBlind * 20;
+		if (typeof this.bankroll !== 'number' || this.bankroll <= 0) {
+			throw new XError(XError.INVALID_ARGUMENT, 'Bankroll must be a positive number of big blinds');
+		}
+		this.trajectoryInterval = options.trajectoryInterval || Math.ceil(trials / DEFAULT_TRAJECTORY_POINTS);
+		this.progressFunc = progressFunc;
+		// Hands played, and the sum of the hero's net big blinds per hand and its squares
+		this.hands = 0;
+		this.bigBlinds = 0;
+		this.bigBlindsSquares = 0;
+		// The hero's highest total so far, and the current and worst stretch below it
+		this.peak = 0;
+		this.downswing = { hands: 0, bigBlinds: 0 };
+		this.maxDownswing = { hands: 0, bigBlinds: 0 };
+		// Hand on which the hero's total first lost the whole bankroll, or null
+		this.ruinedAt = null;
+		this.trajectory = [ { hands: 0, bigBlinds: 0 } ];
+		// Hands played and net big blinds in each of the hero's positions
+		this.positionTotals = {};
+		for (let position of PokerTable.getPositionNames(strategies.length)) {
+			this.positionTotals[position] = { hands: 0, bigBlinds: 0 };
+		}
+	}
+
+	_processPokerRound(pokerRound) {
+		let stacks = this.strategies.map(() => this.stack);
+		let bettingRound = new BettingRound(pokerRound, stacks, this.bettingOptions);
+		bettingRound.playOut(this.strategies);
+		let bigBlinds = (bettingRound.getWinnings()[0] - bettingRound.contributions[0]) / this.bigBlind;
+		let positionTotal = this.positionTotals[pokerRound.getPlayerPosition(0)];
+		positionTotal.hands++;
+		positionTotal.bigBlinds += bigBlinds;
+		this._tallyHand(bigBlinds);
+	}
+
+	// Record the hero's net big blinds for a hand.
+	_tallyHand(bigBlinds) {
+		this.hands++;
+		this.bigBlinds += bigBlinds;
+		this.bigBlindsSquares += bigBlinds * bigBlinds;
+		if (this.bigBlinds >= this.peak) {
+			this.peak = this.bigBlinds;
+			this.downswing = { hands: 0, bigBlinds: 0 };
+		} else {
+			this.downswing.hands++;
+			this.downswing.bigBlinds = Math.max(this.downswing.bigBlinds, this.peak - this.bigBlinds);
+			this.maxDownswing.hands = Math.max(this.maxDownswing.hands, this.downswing.hands);
+			this.maxDownswing.bigBlinds = Math.max(this.maxDownswing.bigBlinds, this.downswing.bigBlinds);
+		}
+		if (this.ruinedAt === null && this.bigBlinds <= -this.bankroll) this.ruinedAt = this.hands;
+		if (this.hands % this.trajectoryInterval === 0) {
+			this.trajectory.push({ hands: this.hands, bigBlinds: roundBigBlinds(this.bigBlinds) });
+		}
+	}
+
+	_progress(data) {
+		if (this.progressFunc) {
+			this.progressFunc(data);
+		}
+	}
+
+	// Get the standard deviation of the hero's net big blinds per hand, or null with fewer than two hands.
+	_getStandardDeviation() {
+		if (this.hands < 2) return null;
+		let variance = (this.bigBlindsSquares - this.bigBlinds * this.bigBlinds / this.hands) / (this.hands - 1);
+		return Math.sqrt(Math.max(variance, 0));
+	}
+
+	/*
+	Estimate the chance of ever losing the whole bankroll playing on at the session's win rate and standard
+	deviation, using the usual diffusion approximation exp(-2 * winRate * bankroll / variance). Losing and
+	break-even players are always ruined eventually.
+	*/
+	_getRiskOfRuin() {
+		let standardDeviation = this._getStandardDeviation();
+		if (standardDeviation === null) return null;
+		let winRate = this.bigBlinds / this.hands;
+		if (winRate <= 0) return 1;
+		if (standardDeviation === 0) return 0;
+		return Math.exp(-2 * winRate * this.bankroll / (standardDeviation * standardDeviation));
+	}
+
+	// Precision is the width of the bb/100 interval.
+	_getPrecision() {
+		let estimate = this._getMeanEstimate(this.hands, this.bigBlinds, this.bigBlindsSquares);
+		if (estimate.standardError === null) return Infinity;
+		return (estimate.high - estimate.low) * 100;
+	}
+
+	// Get the hero's hands and win rate in each position. See _getResult.
+	_getPositionResults() {
+		let positions = {};
+		for (let position in this.positionTotals) {
+			let positionTotal = this.positionTotals[position];
+			positions[position] = {
+				hands: positionTotal.hands,
+				bbPer100: positionTotal.hands ? roundBigBlinds(positionTotal.bigBlinds / positionTotal.hands * 100) : 0
+			};
+		}
+		return positions;
+	}
+
+	/*
+	Returns the hero's results for the session, in big blinds, e.g.:
+	{
+		hands: 100000,
+		bigBlinds: 4210,  // Net big blinds won
+		bbPer100: 4.21,  // Win rate, with its standard error and confidence interval
+		standardError: 1.02,
+		interval: [ 2.21, 6.21 ],
+		standardDeviation: 102.3,  // Standard deviation per 100 hands
+		riskOfRuin: 0.0191,  // Chance of eventually losing the whole bankroll (see _getRiskOfRuin)
+		ruinedAt: null,  // Hand on which the session lost the whole bankroll, or null if it never did
+		maxDownswing: { hands: 12040, bigBlinds: 850.5 },  // Longest and deepest stretches below a previous high
+		trajectory: [ { hands: 0, bigBlinds: 0 }, { hands: 100, bigBlinds: -12.5 }, ... ],
+		positions: {  // The hero's hands and win rate in each position (see PokerTable.getPositionNames)
+			BTN: { hands: 33334, bbPer100: 31.5 },
+			...
+		}
+	}
+	*/
+	_getResult() {
+		let estimate = this._getMeanEstimate(this.hands, this.bigBlinds, this.bigBlindsSquares);
+		let scale = (value) => (value === null) ? null : roundBigBlinds(value * 100);
+		let standardDeviation = this._getStandardDeviation();
+		let riskOfRuin = this._getRiskOfRuin();
+		let trajectory = this.trajectory.slice();
+		if (trajectory[trajectory.length - 1].hands !== this.hands) {
+			trajectory.push({ hands: this.hands, bigBlinds: roundBigBlinds(this.bigBlinds) });
+		}
+		return {
+			hands: this.hands,
+			bigBlinds: roundBigBlinds(this.bigBlinds),
+			bbPer100: scale(estimate.mean),
+			standardError: scale(estimate.standardError),
+			interval: [ scale(estimate.low), scale(estimate.high) ],
+			standardDeviation: (standardDeviation === null) ? null : roundBigBlinds(standardDeviation * 10),
+			riskOfRuin: (riskOfRuin === null) ? null : Math.round(riskOfRuin * 10000) / 10000,
+			ruinedAt: this.ruinedAt,
+			maxDownswing: {
+				hands: this.maxDownswing.hands,
+				bigBlinds: roundBigBlinds(this.maxDownswing.bigBlinds)
+			},
+			trajectory: trajectory,
+			positions: this._getPositionResults()
+		};
+	}
+
+}
+
+module.exports = SessionSimulator;
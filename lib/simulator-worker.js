@@ -0,0 +1,44 @@
+// Entry point for the worker threads started by parallel-runner. Runs one share of a simulation and posts
+// back its partial result.
+
+'use strict';
+const workerThreads = require('worker_threads');
+const randomUtils = require('./random-utils');
+const parallelRunner = require('./parallel-runner');
+
+const parentPort = workerThreads.parentPort;
+const workerData = workerThreads.workerData;
+
+let simulator;
+function onMessage(message) {
+	if (message.type === 'stop' && simulator) simulator.stop();
+}
+parentPort.on('message', onMessage);
+
+Promise.resolve()
+	.then(() => {
+		let SimulatorClass = parallelRunner.getSimulatorClass(workerData.simulatorModule);
+		simulator = Reflect.construct(SimulatorClass, workerData.args);
+		simulator.trials = workerData.trials;
+		simulator.trialAttempts = workerData.trialAttempts;
+		simulator.setRng(new randomUtils.RNG(workerData.seed));
+		simulator._progress = (data) => {
+			parentPort.postMessage({ type: 'progress', data: data });
+		};
+		return simulator.run({ enumerate: false })
+			.then((simResult) => {
+				parentPort.postMessage({
+					type: 'done',
+					totalTrials: simResult.totalTrials,
+					totalTrialAttempts: simResult.totalTrialAttempts,
+					partial: simResult.partial,
+					partialResult: simulator._getPartialResult()
+				});
+			});
+	})
+	.catch((err) => {
+		parentPort.postMessage({ type: 'error', code: err.code, message: err.message });
+	})
+	.then(() => {
+		parentPort.removeListener('message', onMessage);
+	});
@@ -3,10 +3,75 @@
 'use strict';
 const XError = require('xerror');
 const cardUtils = require('./card-utils');
+const statsUtils = require('./stats-utils');
 const pasync = require('pasync');
 
 const NORMAL_ROUNDS_PER_CYCLE = 100;
 const HIGH_ROUNDS_PER_CYCLE = 500;
+const DEFAULT_ENUMERATION_THRESHOLD = 100000;
+const DEFAULT_CONFIDENCE = 0.95;
+const DEFAULT_PRECISION_MIN_TRIALS = 1000;
+
+// Number of ways to choose k items from n.
+function getCombinationCount(n, k) {
+	if (k < 0 || k > n) return 0;
+	let count = 1;
+	for (let i = 1; i <= k; i++) {
+		count = count * (n - k + i) / i;
+	}
+	return Math.round(count);
+}
+
+// Yields every k-sized combination of the given array, preserving array order within each combination.
+function* enumerateCombinations(arr, k, start) {
+	if (!start) start = 0;
+	if (k === 0) {
+		yield [];
+		return;
+	}
+	for (let i = start; i <= arr.length - k; i++) {
+		for (let rest of enumerateCombinations(arr, k - 1, i + 1)) {
+			yield [ arr[i] ].concat(rest);
+		}
+	}
+}
+
+// Yields every way of assigning the given cards to the groups of deck positions, where the cards within a
+// group are unordered. Each value is { combinations, leftover }, with one combination per group.
+function* enumerateGroupAssignments(groups, cards) {
+	if (groups.length === 0) {
+		yield { combinations: [], leftover: cards };
+		return;
+	}
+	for (let combination of enumerateCombinations(cards, groups[0].length)) {
+		let remaining = cards.filter((cardId) => combination.indexOf(cardId) === -1);
+		for (let rest of enumerateGroupAssignments(groups.slice(1), remaining)) {
+			yield {
+				combinations: [ combination ].concat(rest.combinations),
+				leftover: rest.leftover
+			};
+		}
+	}
+}
+
+// Yields every complete deck described by an enumeration space (see Simulator#_getEnumerationSpace),
+// dealt from the given deck type.
+function* enumerateDecks(space, deckType) {
+	let usedCardIds = {};
+	for (let cardId of space.deck) {
+		if (cardId !== null) usedCardIds[cardId] = true;
+	}
+	let availableCards = cardUtils.getUnshuffledDeck(deckType).filter((cardId) => !usedCardIds[cardId]);
+	for (let assignment of enumerateGroupAssignments(space.groups, availableCards)) {
+		let deck = space.deck.slice();
+		for (let i = 0; i < space.groups.length; i++) {
+			for (let j = 0; j < space.groups[i].length; j++) {
+				deck[space.groups[i][j]] = assignment.combinations[i][j];
+			}
+		}
+		yield deck.concat(assignment.leftover);
+	}
+}
 
 class Simulator {
 
@@ -25,6 +90,10 @@ class Simulator {
 		}
 		this.running = false;
 		this.hasRun = false;
+		this.stopRequested = false;
+		// Confidence level for intervals in results, and whether the last run was fully enumerated
+		this.confidence = DEFAULT_CONFIDENCE;
+		this.exact = false;
 	}
 
 	/*
@@ -32,7 +101,20 @@ class Simulator {
 	it can be overriden if needed to stack the deck.
 	*/
 	_getDeck(roundContext) {
-		return cardUtils.getShuffledDeck(this.rng);
+		return cardUtils.getShuffledDeck(this.rng, this.pokerTable.deckType);
+	}
+
+	/*
+	Describe the space of decks this simulation can be enumerated over, or return null if it can only be
+	sampled (the default). The space is an object in the form:
+	{
+		deck: [ 5, 18, null, null, 40, null ],  // Every deck position that matters, null if unknown
+		groups: [ [ 2, 3 ], [ 5 ] ]  // Unknown positions, grouped so the order of cards within a group is irrelevant
+	}
+	Every assignment of the remaining cards to the groups is enumerated exactly once.
+	*/
+	_getEnumerationSpace() {
+		return null;
 	}
 
 	/*
@@ -50,12 +132,49 @@ class Simulator {
 	}
 
 	/*
-	Return the result of this simulation. Only called when the simulator has run to completion.
+	Return the result of this simulation. Only called when the simulator has run to completion or been stopped.
 	*/
 	_getResult() {
 		return null;
 	}
 
+	/*
+	Return the width of the widest confidence interval in the current result, used by the targetPrecision
+	run option. Return Infinity if there are too few trials to tell, or null if unsupported (the default).
+	*/
+	_getPrecision() {
+		return null;
+	}
+
+	/*
+	Estimate a mean from the count, sum, and sum of squares of its per-trial values, with a standard error and
+	confidence interval at this simulator's confidence level. See statsUtils.getMeanEstimate.
+	Exact (fully enumerated) results have no sampling error.
+	*/
+	_getMeanEstimate(count, sum, sumSquares, bounds) {
+		if (this.exact) {
+			let mean = (count !== 0) ? (sum / count) : 0;
+			return { mean: mean, standardError: 0, low: mean, high: mean };
+		}
+		return statsUtils.getMeanEstimate(count, sum, sumSquares, this.confidence, bounds);
+	}
+
+	/*
+	Return the tallies accumulated so far as a plain object that can be passed between threads, or null if
+	this simulator cannot be run in parallel (the default). Override along with _mergePartialResult().
+	*/
+	_getPartialResult() {
+		return null;
+	}
+
+	/*
+	Add the tallies from another simulator's _getPartialResult() into this one, such that _getResult()
+	reflects both.
+	*/
+	_mergePartialResult(partialResult) {
+		throw new XError(XError.INTERNAL_ERROR, 'Unimplemented');
+	}
+
 	/*
 	Called once per cycle with the current count of trials and trial attempts. Use this for progress reporting.
 	*/
@@ -63,23 +182,120 @@ class Simulator {
 		// Empty by default
 	}
 
-	run() {
+	// Ask a running simulation to end at the next cycle. The run resolves with partial results.
+	stop() {
+		if (this.running) this.stopRequested = true;
+	}
+
+	// Replace the RNG used by this simulator and its table.
+	setRng(rng) {
+		this.rng = rng;
+		this.pokerTable.rng = rng;
+	}
+
+	/*
+	Returns the number of decks in this simulation's enumeration space, or null if it cannot be enumerated.
+	*/
+	getEnumerationCount() {
+		let space = this._getEnumerationSpace();
+		if (!space) return null;
+		let knownCount = space.deck.filter((cardId) => cardId !== null).length;
+		let availableCount = cardUtils.getUnshuffledDeck(this.pokerTable.deckType).length - knownCount;
+		let count = 1;
+		for (let group of space.groups) {
+			count *= getCombinationCount(availableCount, group.length);
+			availableCount -= group.length;
+		}
+		return count;
+	}
+
+	/*
+	Returns true if a run with the given options (see run()) would enumerate rather than sample.
+	*/
+	willEnumerate(options) {
+		if (!options) options = {};
+		let enumerate = (options.enumerate === undefined) ? 'auto' : options.enumerate;
+		if (enumerate === false) return false;
+		let enumerationCount = this.getEnumerationCount();
+		if (enumerationCount === null) {
+			if (enumerate === true) {
+				throw new XError(XError.INVALID_ARGUMENT, 'Simulator does not support enumeration');
+			}
+			return false;
+		}
+		let enumerationThreshold = options.enumerationThreshold || DEFAULT_ENUMERATION_THRESHOLD;
+		return enumerate === true || enumerationCount <= enumerationThreshold;
+	}
+
+	/*
+	Run the simulation. Options can contain:
+	- enumerate: true to walk every deck in the enumeration space exactly once, false to always sample, or
+	  'auto' (default) to enumerate when the number of decks is at most enumerationThreshold
+	- enumerationThreshold: defaults to 100,000
+	- signal: an AbortSignal that stops the simulation like stop(). On Node versions without AbortSignal, any
+	  object with an aborted property and addEventListener/removeEventListener methods for 'abort' works.
+	- confidence: confidence level of intervals in the result, defaults to 0.95
+	- targetPrecision: when sampling, stop once the simulator's widest confidence interval is at most this wide.
+	  Trials and trial attempts become caps on the run.
+	- minTrials: trials to run before targetPrecision is checked, defaults to 1,000
+	Resolves with { totalTrials, totalTrialAttempts, time, exact, partial, result }, where exact is true if
+	the result was fully enumerated rather than sampled, and partial is true if the run was stopped early.
+	*/
+	run(options) {
+		if (!options) options = {};
 		if (this.running) throw new XError(XError.INTERNAL_ERROR, 'Simulator is already running');
 		if (this.hasRun) throw new XError(XError.INTERNAL_ERROR, 'Simulator has already run');
+		if (options.confidence !== undefined) {
+			statsUtils.getZScore(options.confidence);  // Validates
+			this.confidence = options.confidence;
+		}
+		if (options.targetPrecision !== undefined && this._getPrecision() === null) {
+			throw new XError(XError.INVALID_ARGUMENT, 'Simulator does not support targetPrecision');
+		}
+		let minTrials = (options.minTrials !== undefined) ? options.minTrials : DEFAULT_PRECISION_MIN_TRIALS;
+		let deckEnumerator = null;
+		let trials = this.trials;
+		let trialAttempts = this.trialAttempts;
+		if (this.willEnumerate(options)) {
+			deckEnumerator = enumerateDecks(this._getEnumerationSpace(), this.pokerTable.deckType);
+			trials = this.getEnumerationCount();
+			trialAttempts = trials;
+		}
+
 		this.running = true;
 		let trialCount = 0;
 		let trialAttemptCount = 0;
 		let finished = false;
 		let beginTimestamp = Date.now();
+		let onAbort = () => this.stop();
+		if (options.signal) {
+			if (options.signal.aborted) this.stop();
+			options.signal.addEventListener('abort', onAbort);
+		}
+		let cleanup = () => {
+			this.hasRun = true;
+			this.running = false;
+			if (options.signal) options.signal.removeEventListener('abort', onAbort);
+		};
 
 		return pasync.whilst(() => {
-			return !finished;
+			return !finished && !this.stopRequested;
 		}, () => {
 			// Run a synchronous inner loop to relinquish the CPU every several rounds
 			for (let i = 0; i < this.roundsPerCycle; i++) {
+				let roundContext = { trialAttempt: trialAttemptCount + 1 };
+				let deck;
+				if (deckEnumerator) {
+					let next = deckEnumerator.next();
+					if (next.done) {
+						finished = true;
+						break;
+					}
+					deck = next.value;
+				} else {
+					deck = this._getDeck(roundContext);
+				}
 				trialAttemptCount++;
-				let roundContext = { trialAttempt: trialAttemptCount };
-				let deck = this._getDeck(roundContext);
 				let pokerRound = this.pokerTable.playRound(deck);
 				if (this._isPokerRoundRelevant(pokerRound, roundContext)) {
 					trialCount++;
@@ -87,35 +303,45 @@ class Simulator {
 					this._processPokerRound(pokerRound, roundContext);
 				}
 				if (
-					(trialCount >= this.trials) ||
-					(this.trialAttempts && trialAttemptCount >= this.trialAttempts) 
+					!deckEnumerator &&
+					((trialCount >= trials) || (trialAttempts && trialAttemptCount >= trialAttempts))
 				) {
 					finished = true;
 					break;
 				}
 			}
 			this._progress({ 
-				trials: this.trials,
+				trials: trials,
 				trialCount: trialCount,
-				trialAttempts: this.trialAttempts,
+				trialAttempts: trialAttempts,
 				trialAttemptCount: trialAttemptCount
 			});
+			if (
+				!finished &&
+				!deckEnumerator &&
+				options.targetPrecision !== undefined &&
+				trialCount >= minTrials &&
+				this._getPrecision() <= options.targetPrecision
+			) {
+				finished = true;
+			}
 			return pasync.setTimeout(0);
 		})
 			.then(() => {
-				this.hasRun = true;
-				this.running = false;
+				cleanup();
+				this.exact = !!deckEnumerator && finished;
 				let endTimestamp = Date.now();
 				return {
 					totalTrials: trialCount,
 					totalTrialAttempts: trialAttemptCount,
 					time: (endTimestamp - beginTimestamp) / 1000,
+					exact: this.exact,
+					partial: !finished,
 					result: this._getResult()
 				};
 			})
 			.catch((err) => {
-				this.hasRun = true;
-				this.running = false;
+				cleanup();
 				throw err;
 			});
 	}
@@ -0,0 +1,91 @@
+// Utilities for estimating the sampling error of simulation results.
+
+'use strict';
+const XError = require('xerror');
+
+// Coefficients for Wichura's algorithm AS241 for the inverse normal CDF, highest degree first
+const AS241_CENTRAL_NUM = [ 2509.0809287301226727, 33430.575583588128105, 67265.770927008700853,
+	45921.953931549871457, 13731.693765509461125, 1971.5909503065514427, 133.14166789178437745,
+	3.387132872796366608 ];
+const AS241_CENTRAL_DEN = [ 5226.495278852854561, 28729.085735721942674, 39307.89580009271061,
+	21213.794301586595867, 5394.1960214247511077, 687.1870074920579083, 42.313330701600911252, 1 ];
+const AS241_MID_NUM = [ 0.00077454501427834140764, 0.0227238449892691845833, 0.24178072517745061177,
+	1.27045825245236838258, 3.64784832476320460504, 5.7694972214606914055, 4.6303378461565452959,
+	1.42343711074968357734 ];
+const AS241_MID_DEN = [ 1.05075007164441684324e-9, 0.0005475938084995344946, 0.0151986665636164571966,
+	0.14810397642748007459, 0.68976733498510000455, 1.6763848301838038494, 2.05319162663775882187, 1 ];
+const AS241_TAIL_NUM = [ 2.01033439929228813265e-7, 0.0000271155556874348757815, 0.0012426609473880784386,
+	0.026532189526576123093, 0.29656057182850489123, 1.7848265399172913358, 5.4637849111641143699,
+	6.6579046435011037772 ];
+const AS241_TAIL_DEN = [ 2.04426310338993978564e-15, 1.4215117583164458887e-7, 0.000018463183175100546818,
+	0.0007868691311456132591, 0.0148753612908506148525, 0.13692988092273580531, 0.59983220655588793769, 1 ];
+
+// Evaluate a polynomial with coefficients given highest degree first
+function evaluatePolynomial(coefficients, x) {
+	let result = 0;
+	for (let coefficient of coefficients) {
+		result = result * x + coefficient;
+	}
+	return result;
+}
+
+// Get the value x for which the standard normal CDF equals p. Accurate to about 1e-16.
+function getInverseNormal(p) {
+	if (!(p > 0 && p < 1)) throw new XError(XError.INVALID_ARGUMENT, 'Probability must be between 0 and 1');
+	let q = p - 0.5;
+	if (Math.abs(q) <= 0.425) {
+		let r = 0.180625 - q * q;
+		return q * evaluatePolynomial(AS241_CENTRAL_NUM, r) / evaluatePolynomial(AS241_CENTRAL_DEN, r);
+	}
+	let r = Math.sqrt(-Math.log((q < 0) ? p : 1 - p));
+	let x;
+	if (r <= 5) {
+		r -= 1.6;
+		x = evaluatePolynomial(AS241_MID_NUM, r) / evaluatePolynomial(AS241_MID_DEN, r);
+	} else {
+		r -= 5;
+		x = evaluatePolynomial(AS241_TAIL_NUM, r) / evaluatePolynomial(AS241_TAIL_DEN, r);
+	}
+	return (q < 0) ? -x : x;
+}
+
+// Get the two-sided z score for a confidence level, e.g. 0.95 => 1.96
+function getZScore(confidence) {
+	if (!(confidence > 0 && confidence < 1)) {
+		throw new XError(XError.INVALID_ARGUMENT, 'Confidence must be between 0 and 1');
+	}
+	return getInverseNormal(1 - (1 - confidence) / 2);
+}
+
+/*
+Given the count, sum, and sum of squares of a sample of per-trial values, estimate their mean.
+For a proportion, each trial value is 0 or 1, so sum and sumSquares are both the number of successes.
+Returns { mean, standardError, low, high }, where low and high bound the confidence interval. Bounds is an
+optional [ min, max ] to clamp the interval to. The standard error and interval are null for fewer than 2 trials.
+*/
+function getMeanEstimate(count, sum, sumSquares, confidence, bounds) {
+	if (count === 0) {
+		return { mean: 0, standardError: null, low: null, high: null };
+	}
+	let mean = sum / count;
+	if (count < 2) {
+		return { mean: mean, standardError: null, low: null, high: null };
+	}
+	// Unbiased sample variance, guarding against negative values from floating point error
+	let variance = Math.max(0, (sumSquares - count * mean * mean) / (count - 1));
+	let standardError = Math.sqrt(variance / count);
+	let margin = getZScore(confidence) * standardError;
+	let low = mean - margin;
+	let high = mean + margin;
+	if (bounds) {
+		low = Math.max(low, bounds[0]);
+		high = Math.min(high, bounds[1]);
+	}
+	return { mean, standardError, low, high };
+}
+
+module.exports = {
+	getInverseNormal,
+	getZScore,
+	getMeanEstimate
+};
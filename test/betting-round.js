@@ -0,0 +1,215 @@
+'use strict';
+const XError = require('xerror');
+const expect = require('chai').expect;
+const cardUtils = require('../lib/card-utils');
+const PokerTable = require('../lib/poker-table');
+const BettingRound = require('../lib/betting-round');
+
+function createBettingRound(stacks, options, game) {
+	let table = new PokerTable(stacks.length, null, { game: game });
+	return new BettingRound(table.playRound(cardUtils.getUnshuffledDeck()), stacks, options);
+}
+
+function getActionTypes(bettingRound) {
+	return bettingRound.getLegalActions().map((action) => action.type);
+}
+
+describe('BettingRound', function() {
+
+	it('should post blinds and antes', function() {
+		let bettingRound = createBettingRound([ 100, 100, 100, 100 ], { smallBlind: 1, bigBlind: 2, ante: 1 });
+		expect(bettingRound.stacks).to.deep.equal([ 98, 97, 99, 99 ]);
+		expect(bettingRound.streetBets).to.deep.equal([ 1, 2, 0, 0 ]);
+		expect(bettingRound.getPot()).to.equal(7);
+		expect(bettingRound.actingPlayer).to.equal(2);
+		expect(bettingRound.getPlayerView().position).to.equal('CO');
+		expect(bettingRound.getStreet()).to.equal('preflop');
+		expect(bettingRound.getLegalActions()).to.deep.equal([
+			{ type: 'fold' },
+			{ type: 'call', amount: 2 },
+			{ type: 'raise', minAmount: 4, maxAmount: 99 }
+		]);
+	});
+
+	it('should have the button post the small blind heads-up', function() {
+		let bettingRound = createBettingRound([ 100, 100 ], { button: 0 });
+		expect(bettingRound.smallBlindIndex).to.equal(0);
+		expect(bettingRound.bigBlindIndex).to.equal(1);
+		expect(bettingRound.actingPlayer).to.equal(0);
+		bettingRound.act({ type: 'call' });
+		expect(getActionTypes(bettingRound)).to.deep.equal([ 'check', 'raise' ]);
+		bettingRound.act({ type: 'check' });
+		expect(bettingRound.getStreet()).to.equal('flop');
+		expect(bettingRound.getCommunityCards()).to.have.length(3);
+		expect(bettingRound.actingPlayer).to.equal(1);
+		expect(getActionTypes(bettingRound)).to.deep.equal([ 'check', 'bet' ]);
+	});
+
+	it('should advance streets until the river betting completes', function() {
+		let bettingRound = createBettingRound([ 100, 100, 100 ]);
+		bettingRound.act({ type: 'raise', amount: 6 });
+		bettingRound.act({ type: 'fold' });
+		bettingRound.act({ type: 'call' });
+		expect(bettingRound.getStreet()).to.equal('flop');
+		expect(bettingRound.actingPlayer).to.equal(1);
+		bettingRound.act({ type: 'bet', amount: 10 });
+		bettingRound.act({ type: 'raise', amount: 30 });
+		bettingRound.act({ type: 'call' });
+		expect(bettingRound.getStreet()).to.equal('turn');
+		bettingRound.act({ type: 'check' });
+		bettingRound.act({ type: 'check' });
+		expect(bettingRound.getStreet()).to.equal('river');
+		expect(bettingRound.getPlayerAvailableCards(1)).to.have.length(7);
+		bettingRound.act({ type: 'check' });
+		expect(bettingRound.isComplete()).to.be.false;
+		bettingRound.act({ type: 'check' });
+		expect(bettingRound.isComplete()).to.be.true;
+		expect(bettingRound.getLegalActions()).to.deep.equal([]);
+		expect(bettingRound.contributions).to.deep.equal([ 1, 36, 36 ]);
+		expect(bettingRound.getActivePlayers()).to.deep.equal([ 1, 2 ]);
+		expect(() => bettingRound.act({ type: 'check' })).to.throw(XError);
+	});
+
+	it('should end the round when all but one player folds', function() {
+		let bettingRound = createBettingRound([ 100, 100, 100 ]);
+		bettingRound.act({ type: 'fold' });
+		bettingRound.act({ type: 'fold' });
+		expect(bettingRound.isComplete()).to.be.true;
+		expect(bettingRound.getStreet()).to.equal('preflop');
+		expect(bettingRound.getActivePlayers()).to.deep.equal([ 1 ]);
+	});
+
+	it('should give the big blind the option', function() {
+		let bettingRound = createBettingRound([ 100, 100, 100 ]);
+		bettingRound.act({ type: 'call' });
+		bettingRound.act({ type: 'call' });
+		expect(bettingRound.actingPlayer).to.equal(1);
+		expect(getActionTypes(bettingRound)).to.deep.equal([ 'check', 'raise' ]);
+		bettingRound.act({ type: 'raise', amount: 8 });
+		expect(bettingRound.actingPlayer).to.equal(2);
+		expect(bettingRound.getStreet()).to.equal('preflop');
+	});
+
+	it('should enforce minimum bets and raises', function() {
+		let bettingRound = createBettingRound([ 100, 100, 100 ]);
+		expect(() => bettingRound.act({ type: 'raise', amount: 3 })).to.throw(XError);
+		expect(() => bettingRound.act({ type: 'raise', amount: 101 })).to.throw(XError);
+		expect(() => bettingRound.act({ type: 'check' })).to.throw(XError);
+		expect(() => bettingRound.act({ type: 'bet', amount: 10 })).to.throw(XError);
+		bettingRound.act({ type: 'raise', amount: 7 });
+		// The raise was by 5, so the next must be by at least 5 more
+		expect(bettingRound.getLegalActions()[2]).to.deep.equal({ type: 'raise', minAmount: 12, maxAmount: 100 });
+		bettingRound.act({ type: 'call' });
+		bettingRound.act({ type: 'call' });
+		expect(bettingRound.getLegalActions()[1]).to.deep.equal({ type: 'bet', minAmount: 2, maxAmount: 93 });
+	});
+
+	it('should not reopen the betting for a short all in raise', function() {
+		// Player 3 acts first, after the big blind in seat 2
+		let fullRound = createBettingRound([ 100, 100, 100, 100 ], { button: 0 });
+		let shortRound = createBettingRound([ 100, 100, 100, 13 ], { button: 0 });
+		for (let bettingRound of [ fullRound, shortRound ]) {
+			bettingRound.act({ type: 'call' });
+			bettingRound.act({ type: 'raise', amount: 8 });
+			bettingRound.act({ type: 'call' });
+			bettingRound.act({ type: 'call' });
+		}
+		fullRound.act({ type: 'raise', amount: 14 });
+		expect(getActionTypes(fullRound)).to.deep.equal([ 'fold', 'call', 'raise' ]);
+		// Player 3 can only raise to 13 all in, less than the full raise to 14
+		expect(shortRound.getLegalActions()[2]).to.deep.equal({ type: 'raise', minAmount: 13, maxAmount: 13 });
+		shortRound.act({ type: 'raise', amount: 13 });
+		expect(shortRound.actingPlayer).to.equal(0);
+		expect(getActionTypes(shortRound)).to.deep.equal([ 'fold', 'call' ]);
+		shortRound.act({ type: 'call' });
+		shortRound.act({ type: 'call' });
+		shortRound.act({ type: 'call' });
+		expect(shortRound.getStreet()).to.equal('flop');
+		expect(shortRound.actingPlayer).to.equal(1);
+	});
+
+	it('should deal out the board once players are all in', function() {
+		let bettingRound = createBettingRound([ 100, 100, 50 ]);
+		bettingRound.act({ type: 'raise', amount: 50 });
+		expect(bettingRound.stacks[2]).to.equal(0);
+		bettingRound.act({ type: 'fold' });
+		expect(bettingRound.getLegalActions()).to.deep.equal([ { type: 'fold' }, { type: 'call', amount: 48 } ]);
+		bettingRound.act({ type: 'call' });
+		expect(bettingRound.isComplete()).to.be.true;
+		expect(bettingRound.getStreet()).to.equal('river');
+		expect(bettingRound.getPot()).to.equal(101);
+	});
+
+	it('should let a player call all in for less', function() {
+		let bettingRound = createBettingRound([ 30, 100, 100 ]);
+		bettingRound.act({ type: 'raise', amount: 60 });
+		expect(bettingRound.getLegalActions()).to.deep.equal([ { type: 'fold' }, { type: 'call', amount: 29 } ]);
+		bettingRound.act({ type: 'call' });
+		bettingRound.act({ type: 'fold' });
+		expect(bettingRound.isComplete()).to.be.true;
+		expect(bettingRound.contributions).to.deep.equal([ 30, 2, 60 ]);
+	});
+
+	it('should award the pots once the round is complete', function() {
+		let table = new PokerTable(3);
+		let stackedDeckFunc = table.createStackedDeckFunc({
+			0: [ 'As', 'Ad' ],
+			1: [ 'Ks', 'Kd' ],
+			2: [ 'Qs', 'Qd' ],
+			community: [ '2c', '7h', '9d', 'Jc', '3s' ]
+		});
+		let bettingRound = new BettingRound(table.playRound(stackedDeckFunc()), [ 100, 40, 200 ]);
+		expect(() => bettingRound.getWinnings()).to.throw(XError);
+		bettingRound.act({ type: 'raise', amount: 150 });
+		bettingRound.act({ type: 'fold' });
+		bettingRound.act({ type: 'call' });
+		expect(bettingRound.isComplete()).to.be.true;
+		expect(bettingRound.getPots()).to.deep.equal([
+			{ amount: 81, eligiblePlayers: [ 1, 2 ] },
+			{ amount: 110, eligiblePlayers: [ 2 ] }
+		]);
+		// The short stack wins the main pot, and the uncalled part of the raise goes back
+		expect(bettingRound.getWinnings()).to.deep.equal([ 0, 81, 110 ]);
+		expect(bettingRound.getFinalStacks()).to.deep.equal([ 99, 81, 160 ]);
+
+		bettingRound = new BettingRound(table.playRound(stackedDeckFunc()), [ 100, 100, 100 ]);
+		// The button has moved on to player 0, so player 1 posts the small blind
+		expect(bettingRound.button).to.equal(0);
+		bettingRound.act({ type: 'raise', amount: 10 });
+		bettingRound.act({ type: 'fold' });
+		bettingRound.act({ type: 'fold' });
+		expect(bettingRound.getFinalStacks()).to.deep.equal([ 103, 99, 98 ]);
+	});
+
+	it('should bet through every street of other games', function() {
+		let bettingRound = createBettingRound([ 100, 100 ], null, 'stud');
+		for (let i = 0; i < 10 && !bettingRound.isComplete(); i++) {
+			bettingRound.act({ type: getActionTypes(bettingRound).indexOf('check') !== -1 ? 'check' : 'call' });
+		}
+		expect(bettingRound.isComplete()).to.be.true;
+		expect(bettingRound.getStreet()).to.equal('seventh-street');
+		expect(bettingRound.getPlayerAvailableCards(0)).to.have.length(7);
+	});
+
+	it('should play out a round with player strategies', function() {
+		let bettingRound = createBettingRound([ 100, 100, 100 ]);
+		let actingPlayers = [];
+		let checkOrCall = (view) => {
+			actingPlayers.push(view.playerIndex);
+			return view.legalActions.some((action) => action.type === 'check') ? { type: 'check' } : { type: 'call' };
+		};
+		bettingRound.playOut([ checkOrCall, checkOrCall, checkOrCall ]);
+		expect(bettingRound.isComplete()).to.be.true;
+		expect(bettingRound.contributions).to.deep.equal([ 2, 2, 2 ]);
+		expect(actingPlayers.slice(0, 3)).to.deep.equal([ 2, 0, 1 ]);
+	});
+
+	it('should do input sanity checking', function() {
+		expect(() => createBettingRound([ 100 ])).to.throw(XError);
+		expect(() => createBettingRound([ 100, 0 ])).to.throw(XError);
+		expect(() => createBettingRound([ 100, 100 ], { button: 2 })).to.throw(XError);
+		expect(() => createBettingRound([ 100, 100 ], { bigBlind: 0 })).to.throw(XError);
+		expect(() => createBettingRound([ 100, 100 ]).act({ type: 'shove' })).to.throw(XError);
+	});
+
+});
@@ -6,6 +6,8 @@ const getCardComponents = cardUtils.getCardComponents;
 const getCardIdFromComponents = cardUtils.getCardIdFromComponents;
 const getCardString = cardUtils.getCardString;
 const getCardComponentsFromString = cardUtils.getCardComponentsFromString;
+const getPartiallyStackedDeck = cardUtils.getPartiallyStackedDeck;
+const PokerTable = require('../lib/poker-table');
 
 describe('cardUtils', function() {
 
@@ -28,7 +30,10 @@ describe('cardUtils', function() {
 			expect(getCardComponents(52)).to.deep.equal(
 				{ cardId: 52, value: 14, suit: 4 }
 			);
-			expect(() => getCardComponents(53)).to.throw(XError);
+			expect(getCardComponents(53)).to.deep.equal(
+				{ cardId: 53, value: null, suit: null, joker: true }
+			);
+			expect(() => getCardComponents(55)).to.throw(XError);
 		});
 
 	});
@@ -56,6 +61,8 @@ describe('cardUtils', function() {
 		it('should return correct values', function() {
 			expect(getCardString(2)).to.equal('3c');
 			expect(getCardString(2, true)).to.equal('Three of Clubs');
+			expect(getCardString(53)).to.equal('Jk');
+			expect(getCardString(54, true)).to.equal('Second Joker');
 		});
 
 		it('should accept cardId and cardComponents', function() {
@@ -78,6 +85,79 @@ describe('cardUtils', function() {
 				value: 5,
 				suit: 2
 			});
+			expect(getCardComponentsFromString('Jk').cardId).to.equal(53);
+			expect(getCardComponentsFromString('JK2').cardId).to.equal(54);
+		});
+
+	});
+
+	describe('#getUnshuffledDeck', function() {
+
+		it('should build reduced decks', function() {
+			expect(cardUtils.getUnshuffledDeck()).to.have.length(52);
+			let shortDeck = cardUtils.getUnshuffledDeck('short');
+			expect(shortDeck).to.have.length(36);
+			for (let cardId of shortDeck) {
+				let value = getCardComponents(cardId).value;
+				expect(value === cardUtils.ACE || value >= cardUtils.SIX).to.be.true;
+			}
+			expect(cardUtils.isCardInDeck(getCardComponentsFromString('Ah').cardId, 'short')).to.be.true;
+			expect(cardUtils.isCardInDeck(getCardComponentsFromString('5h').cardId, 'short')).to.be.false;
+			expect(() => cardUtils.getUnshuffledDeck('tiny')).to.throw(XError);
+		});
+
+		it('should add jokers to joker decks', function() {
+			expect(cardUtils.getUnshuffledDeck('joker')).to.have.length(53);
+			expect(cardUtils.getUnshuffledDeck('two-joker').slice(-2)).to.deep.equal(cardUtils.jokerCardIds);
+			expect(cardUtils.isCardInDeck(53, 'joker')).to.be.true;
+			expect(cardUtils.isCardInDeck(54, 'joker')).to.be.false;
+			expect(cardUtils.isCardInDeck(53)).to.be.false;
+		});
+
+	});
+
+	describe('#getPartiallyStackedDeck', function() {
+
+		it('should place stacked cards at their indexes', function() {
+			let deck = getPartiallyStackedDeck({ 0: [ 5, 6 ], 4: [ 7 ] });
+			expect(deck.length).to.equal(52);
+			expect(deck.slice(0, 2)).to.deep.equal([ 5, 6 ]);
+			expect(deck[4]).to.equal(7);
+			expect(deck.slice().sort((a, b) => a - b)).to.deep.equal(cardUtils.getUnshuffledDeck());
+		});
+
+		it('should leave dead cards out of the deck', function() {
+			let deck = getPartiallyStackedDeck({ 0: [ 5, 6 ] }, null, [ 40, 41, 42 ]);
+			expect(deck.length).to.equal(49);
+			expect(deck.slice(0, 2)).to.deep.equal([ 5, 6 ]);
+			for (let cardId of [ 40, 41, 42 ]) {
+				expect(deck).to.not.include(cardId);
+			}
+			expect(() => getPartiallyStackedDeck({ 0: [ 5, 6 ] }, null, [ 6 ])).to.throw(XError);
+		});
+
+		it('should build from reduced decks', function() {
+			let sixOfClubs = getCardComponentsFromString('6c').cardId;
+			let deck = getPartiallyStackedDeck({ 0: [ sixOfClubs ] }, null, null, 'short');
+			expect(deck.length).to.equal(36);
+			expect(deck[0]).to.equal(sixOfClubs);
+			expect(() => getPartiallyStackedDeck({ 0: [ 1 ] }, null, null, 'short')).to.throw(XError);
+		});
+
+		it('should support dead cards in stacked deck configs', function() {
+			let table = new PokerTable(2);
+			let dead = [ '2s', '3s', '4s', '5s', '6s', '7s', '8s', '9s', 'Ts', 'Js', 'Qs' ];
+			let stackedDeckFunc = table.createStackedDeckFunc({ 0: [ 'As', 'Ks' ], dead: dead });
+			let deadCardIds = dead.map((str) => getCardComponentsFromString(str).cardId);
+			for (let i = 0; i < 20; i++) {
+				let round = table.playRound(stackedDeckFunc());
+				let dealtCards = round.getPlayerAvailableCards(0).concat(round.getPocketCards(1));
+				for (let cardId of deadCardIds) {
+					expect(dealtCards).to.not.include(cardId);
+				}
+			}
+			expect(() => table.createStackedDeckFunc({ 0: [ 'As', 'Ks' ], dead: [ 'Ks' ] })).to.throw(XError);
+			expect(() => table.createStackedDeckFunc({ dead: [ 'Ks', 'Ks' ] })).to.throw(XError);
 		});
 
 	});
@@ -0,0 +1,63 @@
+'use strict';
+const XError = require('xerror');
+const expect = require('chai').expect;
+const cardUtils = require('../lib/card-utils');
+const discardStrategies = require('../lib/discard-strategies');
+
+function makeHand(strArr) {
+	return strArr.map((str) => cardUtils.getCardComponentsFromString(str).cardId);
+}
+
+describe('discardStrategies', function() {
+
+	describe('#getDiscardStrategy', function() {
+
+		it('should look up strategies by name', function() {
+			expect(discardStrategies.getDiscardStrategy('keep-pairs')).to.equal(discardStrategies.keepPairs);
+			let custom = (hand) => hand.slice(0, 1);
+			expect(discardStrategies.getDiscardStrategy(custom)).to.equal(custom);
+			expect(() => discardStrategies.getDiscardStrategy('fold')).to.throw(XError);
+		});
+
+	});
+
+	describe('#keepPairs', function() {
+
+		it('should discard every unpaired card', function() {
+			let hand = makeHand([ '9h', '9c', 'Ad', '3s', '3c' ]);
+			expect(discardStrategies.keepPairs(hand)).to.deep.equal(makeHand([ 'Ad' ]));
+			hand = makeHand([ '9h', 'Tc', 'Ad', '3s', '4c' ]);
+			expect(discardStrategies.keepPairs(hand)).to.deep.equal(hand);
+		});
+
+	});
+
+	describe('#standard', function() {
+
+		it('should stand pat with a made hand', function() {
+			expect(discardStrategies.standard(makeHand([ '9h', 'Tc', 'Jd', 'Qs', 'Kc' ]))).to.deep.equal([]);
+			expect(discardStrategies.standard(makeHand([ '2h', '7h', 'Jh', 'Qh', 'Kh' ]))).to.deep.equal([]);
+		});
+
+		it('should keep pairs ahead of draws', function() {
+			let hand = makeHand([ '9h', '9c', 'Jh', 'Qh', 'Kh' ]);
+			expect(discardStrategies.standard(hand)).to.deep.equal(makeHand([ 'Jh', 'Qh', 'Kh' ]));
+		});
+
+		it('should draw to four-flushes and open-ended straights', function() {
+			let hand = makeHand([ '2h', '7h', 'Jh', 'Kh', '8c' ]);
+			expect(discardStrategies.standard(hand)).to.deep.equal(makeHand([ '8c' ]));
+			hand = makeHand([ '5c', '6d', '7h', '8s', 'Kc' ]);
+			expect(discardStrategies.standard(hand)).to.deep.equal(makeHand([ 'Kc' ]));
+		});
+
+		it('should not draw to one-ended or inside straights', function() {
+			expect(discardStrategies.standard(makeHand([ 'Jc', 'Qd', 'Kh', 'As', '3c' ])).length).to.equal(4);
+			expect(discardStrategies.standard(makeHand([ '5c', '6d', '8h', '9s', 'Kc' ])).length).to.equal(4);
+			expect(discardStrategies.standard(makeHand([ '5c', '6d', '8h', '9s', 'Kc' ])))
+				.to.not.include(makeHand([ 'Kc' ])[0]);
+		});
+
+	});
+
+});
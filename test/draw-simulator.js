@@ -0,0 +1,39 @@
+'use strict';
+const XError = require('xerror');
+const expect = require('chai').expect;
+const DrawSimulator = require('../lib/draw-simulator');
+
+describe('DrawSimulator', function() {
+
+	it('should do input sanity checking', function() {
+		expect(() => new DrawSimulator([], 100)).to.throw(XError);
+		expect(() => new DrawSimulator([ 'fold' ], 100)).to.throw(XError);
+	});
+
+	it('should report final hand distributions per strategy', function() {
+		let simulator = new DrawSimulator([ 'stand-pat', 'standard' ], 2000);
+		return simulator.run()
+			.then((simResult) => {
+				let standPat = simResult.result['stand-pat'];
+				let standard = simResult.result.standard;
+				expect(standPat.averageCardsDrawn).to.equal(0);
+				expect(standard.averageCardsDrawn).to.be.within(2, 4);
+				for (let strategyResult of [ standPat, standard ]) {
+					let total = Object.keys(strategyResult.distribution)
+						.reduce((sum, evalType) => sum + strategyResult.distribution[evalType], 0);
+					expect(total).to.be.closeTo(1, 0.001);
+				}
+				// Drawing should make high-card hands much less likely
+				expect(standard.distribution['high-cards']).to.be.below(standPat.distribution['high-cards'] - 0.1);
+			});
+	});
+
+	it('should accept custom strategy functions', function() {
+		let simulator = new DrawSimulator({ 'draw-five': (hand) => hand }, 100);
+		return simulator.run()
+			.then((simResult) => {
+				expect(simResult.result['draw-five'].averageCardsDrawn).to.equal(5);
+			});
+	});
+
+});
@@ -0,0 +1,70 @@
+'use strict';
+const XError = require('xerror');
+const expect = require('chai').expect;
+const EquitySimulator = require('../lib/equity-simulator');
+
+describe('EquitySimulator', function() {
+
+	it('should do input sanity checking', function() {
+		expect(() => new EquitySimulator([ 'As' ], null, 1, 100)).to.throw(XError);
+		expect(() => new EquitySimulator([ 'As', 'Ks' ], null, 0, 100)).to.throw(XError);
+		expect(() => new EquitySimulator([ 'As', 'Ks' ], [ '2c', '3c', '4c', '5c', '6c', '7c' ], 1, 100))
+			.to.throw(XError);
+	});
+
+	it('should report a certain win', function() {
+		let simulator = new EquitySimulator([ 'Ah', 'As' ], [ 'Ac', 'Ad', 'Kh', '2c', '7d' ], 3, 200);
+		return simulator.run()
+			.then((simResult) => {
+				expect(simResult.totalTrials).to.equal(200);
+				expect(simResult.result).to.deep.equal({
+					win: 1, tie: 0, loss: 0, equity: 1, standardError: 0, interval: [ 1, 1 ]
+				});
+			});
+	});
+
+	it('should split ties fractionally', function() {
+		let simulator = new EquitySimulator([ '2c', '3d' ], [ 'Ah', 'Kh', 'Qh', 'Jh', 'Th' ], 1, 200);
+		return simulator.run()
+			.then((simResult) => {
+				expect(simResult.result).to.deep.equal({
+					win: 0, tie: 1, loss: 0, equity: 0.5, standardError: 0, interval: [ 0.5, 0.5 ]
+				});
+			});
+	});
+
+	it('should produce equities that sum to one', function() {
+		let simulator = new EquitySimulator([ 'Kh', 'Kd' ], [ '7c', '8c', '9c' ], 2, 500);
+		return simulator.run()
+			.then((simResult) => {
+				let result = simResult.result;
+				expect(result.win + result.tie + result.loss).to.be.closeTo(1, 0.0005);
+				expect(result.equity).to.be.at.least(result.win);
+				expect(result.equity).to.be.at.most(result.win + result.tie);
+				expect(result.standardError).to.be.above(0);
+				expect(result.interval[0]).to.be.below(result.equity);
+				expect(result.interval[1]).to.be.above(result.equity);
+			});
+	});
+
+	it('should run until the target precision is reached', function() {
+		let simulator = new EquitySimulator([ 'Kh', 'Kd' ], [ '7c', '8c', '9c' ], 1, 1000000);
+		return simulator.run({ targetPrecision: 0.02, confidence: 0.9, enumerate: false })
+			.then((simResult) => {
+				let result = simResult.result;
+				expect(simResult.partial).to.equal(false);
+				expect(simResult.totalTrials).to.be.below(1000000);
+				expect(result.interval[1] - result.interval[0]).to.be.at.most(0.0201);
+			});
+	});
+
+	it('should stop at the trials cap if the target precision is not reached', function() {
+		let simulator = new EquitySimulator([ 'Kh', 'Kd' ], [ '7c', '8c', '9c' ], 1, 300);
+		return simulator.run({ targetPrecision: 0.0001, minTrials: 100, enumerate: false })
+			.then((simResult) => {
+				expect(simResult.partial).to.equal(false);
+				expect(simResult.totalTrials).to.equal(300);
+			});
+	});
+
+});
@@ -0,0 +1,16 @@
+// A simulator that fails in the worker given an odd number of trials, for testing parallel runs.
+
+'use strict';
+const XError = require('xerror');
+const HeadToHeadSimulator = require('../../lib/head-to-head-simulator');
+
+class FailingSimulator extends HeadToHeadSimulator {
+
+	_processPokerRound(pokerRound) {
+		if (this.trials % 2 === 1) throw new XError(XError.INTERNAL_ERROR, 'Failing simulator failed');
+		super._processPokerRound(pokerRound);
+	}
+
+}
+
+module.exports = FailingSimulator;
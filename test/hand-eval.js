@@ -12,6 +12,7 @@ const compareHandResults = handEval.compareHandResults;
 const getPocketEvaluation = handEval.getPocketEvaluation;
 const getResultEvaluation = handEval.getResultEvaluation;
 const getFullEvaluation = handEval.getFullEvaluation;
+const getOmahaHandResult = handEval.getOmahaHandResult;
 
 function makeHand(strArr) {
 	return strArr.map((str) => {
@@ -723,6 +724,51 @@ describe('handEval', function() {
 
 	});
 
+	describe('#describeHandResult', function() {
+
+		function describeHand(strArr, longhand, variant) {
+			return handEval.describeHandResult(getHandResult(makeHand(strArr), variant), longhand);
+		}
+
+		it('should describe results in short and long forms', function() {
+			// Each hand with its short and long descriptions
+			let descriptions = [
+				[ [ 'Kc', 'Kd', 'Kh', 'Ks', '2c' ], 'Five of a kind, Kings', 'Five of a kind, Kings', 'deuces-wild' ],
+				[ [ 'As', 'Ks', 'Qs', 'Js', 'Ts' ], 'Royal flush', 'Royal flush in Spades' ],
+				[
+					[ '9d', '8d', '7d', '6d', '5d' ],
+					'Straight flush, Nine-high',
+					'Straight flush, Nine-high in Diamonds'
+				],
+				[ [ '6c', '6d', '6h', '6s', 'Jc' ], 'Four of a kind, Sixes', 'Four of a kind, Sixes (J)' ],
+				[
+					[ '8c', '8d', '8h', 'As', 'Ac' ],
+					'Full house, Eights full of Aces',
+					'Full house, Eights full of Aces'
+				],
+				[ [ 'Ah', 'Qh', '9h', '6h', '4h', '2c' ], 'Flush, Ace-high', 'Flush, Ace-high (A Q 9 6 4)' ],
+				[ [ 'Ac', '2d', '3h', '4s', '5c' ], 'Straight, Five-high', 'Straight, Five-high' ],
+				[ [ '7c', '7d', '7h', 'Ks', '9c' ], 'Three of a kind, Sevens', 'Three of a kind, Sevens (K 9)' ],
+				[ [ 'Kc', 'Kd', '9h', '9s', 'Jc' ], 'Two pair, Kings and Nines', 'Two pair, Kings and Nines (J)' ],
+				[ [ 'Qc', 'Qd', 'Ah', '9s', '7c' ], 'Pair of Queens', 'Pair of Queens (A 9 7)' ],
+				[ [ 'Ac', 'Kd', '9h', '7s', '4c' ], 'Ace-high', 'Ace-high (A K 9 7 4)' ]
+			];
+			for (let description of descriptions) {
+				let hand = description[0];
+				let variant = description[3];
+				expect(describeHand(hand, false, variant)).to.equal(description[1]);
+				expect(describeHand(hand, true, variant)).to.equal(description[2]);
+			}
+		});
+
+		it('should reject non-results', function() {
+			let flushDraw = getEvaluationByType(makeHand([ 'Ah', 'Qh', '9h', '6h', '4c' ]), 'flush-draw');
+			expect(() => handEval.describeHandResult(flushDraw)).to.throw(XError);
+			expect(() => handEval.describeHandResult(null)).to.throw(XError);
+		});
+
+	});
+
 	describe('#getResultEvaluation', function() {
 
 		it('should do input sanity checking', function() {
@@ -926,4 +972,235 @@ describe('handEval', function() {
 
 	});
 
+	describe('#extendEvalContext', function() {
+
+		it('should extend a context to match the context of the whole hand', function() {
+			let hands = [
+				[ '9c', '9d', 'Kh', '2s', '7c', '9h', 'Kc' ],
+				[ 'Ah', 'Kh', 'Qh', 'Jh', '2h', 'Th', '2c' ],
+				[ '2c', '5d', '8h', 'Js', 'Ac', '3d', '6h' ]
+			].map(makeHand);
+			for (let hand of hands) {
+				let context = handEval.getEvalContext(hand.slice(0, 5));
+				let turnContext = handEval.extendEvalContext(context, hand.slice(5, 6));
+				let riverContext = handEval.getEvalContext(hand);
+				expect(handEval.extendEvalContext(turnContext, hand.slice(6))).to.deep.equal(riverContext);
+				expect(handEval.extendEvalContext(context, hand.slice(5))).to.deep.equal(riverContext);
+				expect(context).to.deep.equal(handEval.getEvalContext(hand.slice(0, 5)));
+			}
+			let wildHand = makeHand([ 'Kc', 'Kd', '7h', '4s', 'Ac', '2d', '2h' ]);
+			let wildContext = handEval.getEvalContext(wildHand.slice(0, 5), 'deuces-wild');
+			expect(handEval.extendEvalContext(wildContext, wildHand.slice(5)))
+				.to.deep.equal(handEval.getEvalContext(wildHand, 'deuces-wild'));
+		});
+
+		it('should reject impossible hands', function() {
+			let context = handEval.getEvalContext(makeHand([ '9c', '9d', 'Kh', '2s', '7c' ]));
+			expect(() => handEval.extendEvalContext(context, makeHand([ '9c' ]))).to.throw(XError);
+			expect(() => handEval.extendEvalContext(context, makeHand([ 'Ac', 'Ad', 'Ah' ]))).to.throw(XError);
+			expect(() => handEval.extendEvalContext(context, [ 60 ])).to.throw(XError);
+		});
+
+	});
+
+	describe('#getOmahaHands', function() {
+
+		it('should list every hand with two pocket and three community cards', function() {
+			let pocket = makeHand([ 'Ah', 'Kh', 'Qh', 'Jh', 'Th' ]);
+			let community = makeHand([ '2c', '3c', '4c', '5c' ]);
+			let hands = handEval.getOmahaHands(pocket, community);
+			expect(hands).to.have.length(10 * 4);
+			expect(hands[0]).to.deep.equal(makeHand([ 'Ah', 'Kh', '2c', '3c', '4c' ]));
+			for (let hand of hands) {
+				expect(hand.filter((cardId) => pocket.indexOf(cardId) !== -1)).to.have.length(2);
+			}
+			expect(() => handEval.getOmahaHands(pocket, community.slice(0, 2))).to.throw(XError);
+		});
+
+	});
+
+	describe('#getOmahaHandResult', function() {
+
+		it('should do input sanity checking', function() {
+			expect(() => getOmahaHandResult(
+				makeHand([ 'Ah', 'Kh' ]),
+				makeHand([ '2c', '3c', '4c' ])
+			)).to.throw(XError);
+			expect(() => getOmahaHandResult(
+				makeHand([ 'Ah', 'Kh', 'Qh', 'Jh' ]),
+				makeHand([ '2c', '3c' ])
+			)).to.throw(XError);
+			expect(() => getOmahaHandResult(
+				makeHand([ 'Ah', 'Kh', 'Qh', 'Jh' ]),
+				makeHand([ 'Ah', '3c', '4c' ])
+			)).to.throw(XError);
+		});
+
+		it('should use exactly two pocket cards', function() {
+			checkHandResult(
+				getOmahaHandResult(makeHand([ 'Ah', 'Kh', 'Qh', 'Jh' ]), makeHand([ 'Th', '2c', '3d', '4s', '9s' ])),
+				{
+					evalType: 'high-cards',
+					kickerValues: [ 14, 13, 10, 9, 4 ]
+				}
+			);
+			checkHandResult(
+				getOmahaHandResult(makeHand([ 'As', 'Ad', 'Ac', '3c' ]), makeHand([ '2h', '5h', '8h', 'Jh', 'Kh' ])),
+				{
+					evalType: 'pair',
+					value: cardUtils.ACE,
+					kickerValues: [ 13, 11, 8 ]
+				}
+			);
+		});
+
+		it('should use exactly three community cards', function() {
+			checkHandResult(
+				getOmahaHandResult(makeHand([ 'Ah', '2h', 'Kd', 'Qc' ]), makeHand([ '3h', '4h', '5h', '9c', 'Tc' ])),
+				{
+					evalType: 'straight-flush',
+					highValue: 5,
+					hand: [ 'Ah', '2h', '3h', '4h', '5h' ]
+				}
+			);
+			checkHandResult(
+				getOmahaHandResult(makeHand([ '9s', '9d', '2c', '3d' ]), makeHand([ '9h', 'Qs', 'Qd', 'Qc' ])),
+				{
+					evalType: 'full-house',
+					threeValue: cardUtils.QUEEN,
+					twoValue: 9
+				}
+			);
+		});
+
+	});
+
+	describe('short-deck variant', function() {
+
+		it('should reject cards that are not in the short deck', function() {
+			expect(() => getHandResult(makeHand([ 'Ah', 'Kh', 'Qh', 'Jh', '5c' ]), 'short-deck')).to.throw(XError);
+			expect(() => getPocketEvaluation(makeHand([ 'Ah', '2h' ]), 'short-deck')).to.throw(XError);
+			expect(() => getHandResult(makeHand([ 'Ah', 'Kh', 'Qh', 'Jh', 'Th' ]), 'pinochle')).to.throw(XError);
+		});
+
+		it('should treat A-6-7-8-9 as the lowest straight', function() {
+			checkHandResult(
+				getHandResult(makeHand([ 'Ac', '6d', '7h', '8s', '9c', 'Kd', 'Kh' ]), 'short-deck'),
+				{
+					evalType: 'straight',
+					highValue: 9,
+					hand: [ 'Ac', '6d', '7h', '8s', '9c' ]
+				}
+			);
+			checkHandResult(
+				getHandResult(makeHand([ 'Ah', '6h', '7h', '8h', '9h' ]), 'short-deck'),
+				{
+					evalType: 'straight-flush',
+					highValue: 9
+				}
+			);
+			let wheel = getHandResult(makeHand([ 'Ac', '6d', '7h', '8s', '9c' ]), 'short-deck');
+			let sixHigh = getHandResult(makeHand([ 'Tc', '6d', '7h', '8s', '9c' ]), 'short-deck');
+			expect(compareHandResults(wheel, sixHigh, 'short-deck')).to.equal(1);
+			// A-6-7-8-9 is not a straight in standard poker
+			expect(getHandResult(makeHand([ 'Ac', '6d', '7h', '8s', '9c' ])).evalType).to.equal('high-cards');
+		});
+
+		it('should rank a flush above a full house', function() {
+			let flush = getHandResult(makeHand([ 'Qs', 'Ts', '8s', '7s', '6s' ]), 'short-deck');
+			let fullHouse = getHandResult(makeHand([ 'Ah', 'As', 'Ad', 'Kc', 'Kd' ]), 'short-deck');
+			expect(compareHandResults(flush, fullHouse, 'short-deck')).to.equal(-1);
+			expect(compareHandResults(flush, fullHouse)).to.equal(1);
+		});
+
+		it('should find straight draws to the lowest straight', function() {
+			let hand = makeHand([ 'Ac', '6d', '7h', '8s', 'Kd' ]);
+			let evaluation = getEvaluationByType(hand, 'straight-draw', 'short-deck');
+			expect(evaluation.highestCardsToStraight).to.equal(4);
+			expect(evaluation.draws[0]).to.deep.equal({ cardsToStraight: 4, highValue: 9, neededValues: [ 9 ] });
+			let pocketEval = getPocketEvaluation(makeHand([ 'Ah', '6h' ]), 'short-deck');
+			expect(pocketEval.valueSpread).to.equal(1);
+			expect(pocketEval.inclusiveStraightCount).to.equal(1);
+		});
+
+	});
+
+	describe('wild cards', function() {
+
+		it('should only allow jokers from joker decks', function() {
+			expect(() => getHandResult(makeHand([ 'Jk', 'Kh', 'Qh', 'Jh', '5c' ]))).to.throw(XError);
+			expect(() => getHandResult(makeHand([ 'Jk2', 'Kh', 'Qh', 'Jh', '5c' ]), 'joker-wild')).to.throw(XError);
+			expect(() => getPocketEvaluation(makeHand([ 'Jk', 'Kh' ]), 'joker-wild')).to.throw(XError);
+		});
+
+		it('should make five of a kind the top category', function() {
+			checkHandResult(
+				getHandResult(makeHand([ 'Kc', 'Kd', 'Kh', 'Ks', 'Jk', 'Ah', 'Ad' ]), 'joker-wild'),
+				{ evalType: 'five-of-a-kind', value: 13, hand: [ 'Kc', 'Kd', 'Kh', 'Ks', 'Jk' ] }
+			);
+			let fiveTwos = getHandResult(makeHand([ '2c', '2d', '2h', '2s', '7c' ]), 'deuces-wild');
+			let royalFlush = getHandResult(makeHand([ 'Ah', 'Kh', 'Qh', 'Jh', 'Th' ]), 'deuces-wild');
+			expect(fiveTwos.evalType).to.equal('five-of-a-kind');
+			expect(fiveTwos.value).to.equal(7);
+			expect(compareHandResults(fiveTwos, royalFlush, 'deuces-wild')).to.equal(-1);
+			expect(getHandResult(makeHand([ 'Kc', 'Kd', 'Kh', 'Ks', '2c' ])).evalType).to.equal('four-of-a-kind');
+		});
+
+		it('should play wild cards as the best value and suit', function() {
+			checkHandResult(
+				getHandResult(makeHand([ 'Jk', 'Th', 'Jh', 'Kh', '9h', '3c', '2d' ]), 'joker-wild'),
+				{ evalType: 'straight-flush', suit: 3, highValue: 13, hand: [ 'Jk', 'Th', 'Jh', 'Kh', '9h' ] }
+			);
+			checkHandResult(
+				getHandResult(makeHand([ '2c', '9h', '4h', '6h', 'Jh' ]), 'deuces-wild'),
+				{ evalType: 'flush', suit: 3, kickerValues: [ 14, 11, 9, 6, 4 ] }
+			);
+			checkHandResult(
+				getHandResult(makeHand([ '2c', '2s', 'Qh', 'Qd', '8c', '8d', '3s' ]), 'deuces-wild'),
+				{ evalType: 'four-of-a-kind', value: 12, kickerValues: [ 8 ] }
+			);
+			checkHandResult(
+				getHandResult(makeHand([ 'Jk', 'Qh', 'Qd', '8c', '8d' ]), 'joker-wild'),
+				{ evalType: 'full-house', threeValue: 12, twoValue: 8 }
+			);
+			checkHandResult(
+				getHandResult(makeHand([ 'Jk', 'Ah', '3d', '4c', '5d', 'Kc', 'Kd' ]), 'joker-wild'),
+				{ evalType: 'straight', highValue: 5, hand: [ 'Jk', 'Ah', '3d', '4c', '5d' ] }
+			);
+			checkHandResult(
+				getHandResult(makeHand([ 'Jk', 'Qh', '9d', '7c', '4d' ]), 'joker-wild'),
+				{ evalType: 'pair', value: 12, kickerValues: [ 9, 7, 4 ] }
+			);
+		});
+
+		it('should give unused wild cards the highest kicker values', function() {
+			checkHandResult(
+				getEvaluationByType(makeHand([ '2d', '9c', '9d', '7c', '4d' ]), 'pair', 'deuces-wild'),
+				{ value: 9, kickerValues: [ 14, 7, 4 ], hand: [ '2d', '9c', '9d', '7c', '4d' ] }
+			);
+			checkHandResult(
+				getEvaluationByType(makeHand([ '2c', 'Ad', '9d', '7c', '4d' ]), 'high-cards', 'deuces-wild'),
+				{ kickerValues: [ 14, 13, 9, 7, 4 ] }
+			);
+		});
+
+		it('should support custom wild variants', function() {
+			let variant = handEval.addVariant('sevens-wild', { wildValues: [ cardUtils.SEVEN ] });
+			expect(handEval.getVariant('sevens-wild')).to.equal(variant);
+			expect(handEval.isWildCard(makeHand([ '7d' ])[0], variant)).to.be.true;
+			expect(getHandResult(makeHand([ '7c', '7d', 'Ah', 'Kd', 'Qh' ]), variant).evalType).to.equal('straight');
+			expect(() => handEval.addVariant('sevens-wild', {})).to.throw(XError);
+		});
+
+		it('should leave draws and pocket evaluations out of wild evaluations', function() {
+			let fullEval = getFullEvaluation(makeHand([ '2c', 'Ah' ]), makeHand([ 'Kh', '9h', '4c' ]), 'best-five',
+				'deuces-wild');
+			expect(fullEval.pocketEval).to.equal(undefined);
+			expect(fullEval.resultEval.result.evalType).to.equal('pair');
+			expect(fullEval.resultEval.evaluations.map((evaluation) => evaluation.evalType))
+				.to.deep.equal([ 'pair' ]);
+		});
+
+	});
+
 });
@@ -115,6 +115,53 @@ describe('handMatch', function() {
 			expect(processPokerRoundMatches(round, badMatch)).to.equal(false);
 		});
 
+		it('should match stud hands by street', function() {
+			let table = new PokerTable(1, null, { game: 'stud' });
+			let stackedDeckFunc = table.createStackedDeckFunc({
+				0: [ 'Kc', 'Ks', 'Kh', '7h', '8h', '9h', 'Th' ]
+			});
+			let round = table.playRound(stackedDeckFunc());
+			let tripsMatch = {
+				roundPart: 'fifth-street',
+				query: {
+					'resultEval.result.evalType': 'three-of-a-kind'
+				}
+			};
+			let thirdStreetMatch = {
+				roundPart: 'third-street',
+				query: {
+					pocket: { $size: 3 }
+				}
+			};
+			expect(processPokerRoundMatches(round, tripsMatch)).to.equal(true);
+			expect(processPokerRoundMatches(round, thirdStreetMatch)).to.equal(true);
+			tripsMatch.roundPart = 'seventh-street';
+			expect(processPokerRoundMatches(round, tripsMatch)).to.equal(false);
+		});
+
+		it('should match on position', function() {
+			let table = new PokerTable(6, null, { button: 5 });
+			let stackedDeckFunc = table.createStackedDeckFunc({ 0: [ 'As', 'Ks' ] });
+			let lateMatch = {
+				roundPart: 'preflop',
+				position: [ 'CO', 'BTN' ],
+				query: { pocket: { $elemMatch: { value: 'Ace' } } }
+			};
+			// Matches on position alone don't need a street
+			let smallBlindMatch = { playerIndex: 5, position: 'SB' };
+			// Player 0 is in the small blind, then on the button and in each earlier position in turn
+			let matched = [];
+			for (let i = 0; i < 6; i++) {
+				let round = table.playRound(stackedDeckFunc());
+				if (processPokerRoundMatches(round, lateMatch)) matched.push(round.getPlayerPosition());
+				if (i === 5) expect(processPokerRoundMatches(round, smallBlindMatch)).to.equal(true);
+			}
+			expect(matched).to.deep.equal([ 'BTN', 'CO' ]);
+			expect(() => handMatch.normalizePokerRoundMatches({ roundPart: 'flop', position: 'MP' })).to.throw(XError);
+			let queryWithoutStreet = { position: 'BTN', query: lateMatch.query };
+			expect(() => handMatch.normalizePokerRoundMatches(queryWithoutStreet)).to.throw(XError);
+		});
+
 		it('should support $minStrength and $maxStrength', function() {
 			let table = new PokerTable(1);
 			let stackedDeckFunc = table.createStackedDeckFunc({
@@ -225,6 +272,35 @@ describe('handMatch', function() {
 
 		});
 
+		it('should compare strength under the table\'s variant', function() {
+			let table = new PokerTable(1, null, { game: 'short-deck' });
+			let stackedDeckFunc = table.createStackedDeckFunc({
+				0: [ 'Ah', '9h' ],
+				community: [ 'Kh', '7h', '6h', 'Ks', 'Kd' ]
+			});
+			let round = table.playRound(stackedDeckFunc());
+			// A flush beats a full house in short-deck
+			let fullHouseOrBetter = {
+				roundPart: 'river',
+				query: { 'resultEval.result': { $minStrength: { evalType: 'full-house' } } }
+			};
+			let tripsOrWorse = {
+				roundPart: 'river',
+				query: { 'resultEval.result': { $maxStrength: { evalType: 'three-of-a-kind' } } }
+			};
+			let flushOrWorse = {
+				roundPart: 'river',
+				query: { 'resultEval.result': { $maxStrength: { evalType: 'flush' } } }
+			};
+			expect(processPokerRoundMatches(round, fullHouseOrBetter)).to.equal(true);
+			expect(processPokerRoundMatches(round, tripsOrWorse)).to.equal(false);
+			expect(processPokerRoundMatches(round, flushOrWorse)).to.equal(true);
+			let fullEval = round.getPlayerFullEvaluation(0, 'river');
+			let query = handMatch.getNormalizedEvalQuery(fullHouseOrBetter.query);
+			expect(query.matches(fullEval)).to.equal(false);
+			expect(query.matches(fullEval, { variant: 'short-deck' })).to.equal(true);
+		});
+
 	});
 
 });
@@ -0,0 +1,112 @@
+'use strict';
+const XError = require('xerror');
+const expect = require('chai').expect;
+const cardUtils = require('../lib/card-utils');
+const handRange = require('../lib/hand-range');
+const HandRange = handRange.HandRange;
+const parseRange = handRange.parseRange;
+
+function getComboStrings(range) {
+	return range.getCombos()
+		.map((combo) => cardUtils.getCardString(combo.cardIds[0]) + cardUtils.getCardString(combo.cardIds[1]))
+		.sort();
+}
+
+describe('handRange', function() {
+
+	describe('#parseRange', function() {
+
+		it('should do input sanity checking', function() {
+			expect(() => parseRange('AKx')).to.throw(XError);
+			expect(() => parseRange('AAs')).to.throw(XError);
+			expect(() => parseRange('AKs-QJo')).to.throw(XError);
+			expect(() => parseRange('AKs-QTs')).to.throw(XError);
+			expect(() => parseRange('AKs:2')).to.throw(XError);
+			expect(() => parseRange('AsAs')).to.throw(XError);
+			expect(() => parseRange('AKs:0.5abc')).to.throw(XError);
+			expect(() => parseRange('AKs:')).to.throw(XError);
+			expect(() => parseRange('AKs:1e-1')).to.throw(XError);
+		});
+
+		it('should count combos in single hand classes', function() {
+			expect(parseRange('TT').getComboCount()).to.equal(6);
+			expect(parseRange('AKs').getComboCount()).to.equal(4);
+			expect(parseRange('AKo').getComboCount()).to.equal(12);
+			expect(parseRange('AK').getComboCount()).to.equal(16);
+			expect(parseRange('KA').getComboCount()).to.equal(16);
+			expect(getComboStrings(parseRange('AhKh'))).to.deep.equal([ 'AhKh' ]);
+			expect(getComboStrings(parseRange('KhAh'))).to.deep.equal([ 'AhKh' ]);
+		});
+
+		it('should expand plus and dash notation', function() {
+			expect(parseRange('TT+').getComboCount()).to.equal(30);
+			expect(parseRange('TT-66').getComboCount()).to.equal(30);
+			expect(parseRange('KTs+').getComboCount()).to.equal(12);
+			expect(parseRange('A5s-A2s').getComboCount()).to.equal(16);
+			expect(parseRange('A2s-A5s').getComboCount()).to.equal(16);
+			expect(parseRange('76s-T9s').getComboCount()).to.equal(16);
+			let connectors = parseRange('76s+');
+			expect(connectors.getComboCount()).to.equal(32);
+			expect(connectors.getComboWeight([ 'Ah', 'Kh' ])).to.equal(1);
+			expect(connectors.getComboWeight([ '6h', '7h' ])).to.equal(1);
+			expect(connectors.getComboWeight([ '7h', '5h' ])).to.equal(0);
+		});
+
+		it('should merge overlapping tokens', function() {
+			let range = parseRange('AKs, TT+, A5s-A2s, KQo, 76s+');
+			expect(range.getComboCount()).to.equal(4 + 30 + 16 + 12 + 28);
+		});
+
+		it('should support weights', function() {
+			let range = parseRange('AK:0.5, AKs');
+			expect(range.getComboWeight([ 'As', 'Ks' ])).to.equal(1);
+			expect(range.getComboWeight([ 'As', 'Kd' ])).to.equal(0.5);
+			expect(range.getTotalWeight()).to.equal(4 + 6);
+			expect(parseRange('QQ+, KK:0').getComboCount()).to.equal(12);
+			expect(parseRange('AKs: .25').getComboWeight([ 'As', 'Ks' ])).to.equal(0.25);
+		});
+
+	});
+
+	describe('HandRange', function() {
+
+		it('should remove dead cards', function() {
+			let range = parseRange('AA, AKs');
+			let liveRange = range.removeDeadCards([ 'As', cardUtils.getCardComponentsFromString('Kh') ]);
+			expect(liveRange.getComboCount()).to.equal(3 + 2);
+			expect(liveRange.getComboWeight([ 'As', 'Ah' ])).to.equal(0);
+			expect(range.getComboCount()).to.equal(10);
+		});
+
+		it('should serialize to compact notation', function() {
+			expect(parseRange('AKs, TT+, A5s-A2s, KQo, KQs').toString())
+				.to.equal('TT+, AKs, A5s-A2s, KQ');
+			expect(parseRange('99-66, KTo+, 72o:0.25').toString())
+				.to.equal('99-66, KTo+, 72o:0.25');
+			expect(parseRange('AhKh, QQ').toString()).to.equal('QQ, AhKh');
+			expect(parseRange('76s+').toString()).to.equal('76s+');
+			expect(parseRange('T9o-65o:0.5, K9s-J7s, AJs+, KQs').toString())
+				.to.equal('AJs+, KQs, K9s-J7s, T9o-65o:0.5');
+			expect(new HandRange().toString()).to.equal('');
+		});
+
+		it('should round trip through notation', function() {
+			let notations = [
+				'AKs, TT+, A5s-A2s, KQo, 76s+',
+				'22+, A2+, K9s+, QTo-Q8o:0.5, JhTh, 5c4c:0.75',
+				'AsKd, AsKc, 32',
+				'54s+, T8o-64o, A2s+, 98:0.5'
+			];
+			for (let notation of notations) {
+				let range = parseRange(notation);
+				let roundTripped = parseRange(range.toString());
+				expect(getComboStrings(roundTripped)).to.deep.equal(getComboStrings(range));
+				for (let combo of range.getCombos()) {
+					expect(roundTripped.getComboWeight(combo.cardIds)).to.equal(combo.weight);
+				}
+			}
+		});
+
+	});
+
+});
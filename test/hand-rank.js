@@ -0,0 +1,198 @@
+'use strict';
+const XError = require('xerror');
+const expect = require('chai').expect;
+const cardUtils = require('../lib/card-utils');
+const randomUtils = require('../lib/random-utils');
+const handEval = require('../lib/hand-eval');
+const handRank = require('../lib/hand-rank');
+const getHandRank = handRank.getHandRank;
+const getRankResult = handRank.getRankResult;
+const getResultRank = handRank.getResultRank;
+
+function makeHand(strArr) {
+	return strArr.map((str) => cardUtils.getCardComponentsFromString(str).cardId);
+}
+
+// Check that a hand has the same rank and expanded result as the hand-eval evaluators give it.
+function checkEquivalent(hand, variant) {
+	let result = handEval.getHandResult(hand, variant);
+	let rank = getHandRank(hand, variant);
+	expect(rank).to.equal(getResultRank(result, variant));
+	let rankResult = getRankResult(rank, hand, variant);
+	rankResult.cardIds.sort();
+	result.cardIds.sort();
+	expect(rankResult).to.deep.equal(result);
+}
+
+/*
+Call func with a hand for every multiset of numCards card values from minValue up to ace, with at most four of a
+value. Repeated values always get different suits. Each multiset is dealt once with its values spread across the
+suits, and once more with one card of each value in the same suit when that makes a flush, so every hand class
+comes up.
+*/
+function forEachValueHand(numCards, minValue, func) {
+	let counts = [];
+	function dealValues(value, remaining) {
+		if (remaining === 0) {
+			let spread = [];
+			let suited = [];
+			counts.forEach((count, index) => {
+				for (let occurrence = 0; occurrence < count; occurrence++) {
+					let cardValue = minValue + index;
+					spread.push(cardUtils.getCardIdFromComponents(cardValue, (occurrence + index) % 4 + 1));
+					suited.push(cardUtils.getCardIdFromComponents(cardValue, occurrence + 1));
+				}
+			});
+			func(spread);
+			if (counts.filter((count) => count > 0).length >= 5) func(suited);
+			return;
+		}
+		if (value > cardUtils.ACE_HIGH) return;
+		for (let count = 0; count <= Math.min(4, remaining); count++) {
+			counts[value - minValue] = count;
+			dealValues(value + 1, remaining - count);
+		}
+		counts.length = value - minValue;
+	}
+	dealValues(minValue, numCards);
+}
+
+describe('handRank', function() {
+
+	describe('#getHandRank', function() {
+
+		it('should do input sanity checking', function() {
+			expect(() => getHandRank(makeHand([ 'Ah', 'Kh', 'Qh', 'Jh' ]))).to.throw(XError);
+			expect(() => getHandRank(makeHand([ 'Ah', 'Kh', 'Qh', 'Jh', 'Th', '9h', '8h', '7h' ]))).to.throw(XError);
+			expect(() => getHandRank(makeHand([ 'Ah', 'Kh', 'Qh', 'Jh', 'Ah' ]))).to.throw(XError);
+			expect(() => getHandRank([ 1, 2, 3, 4, 60 ])).to.throw(XError);
+			expect(() => getHandRank(makeHand([ 'Ah', 'Kh', 'Qh', 'Jh', '5h' ]), 'short-deck')).to.throw(XError);
+			expect(() => getHandRank(makeHand([ 'Ah', 'Kh', 'Qh', 'Jh', 'Th' ]), 'deuces-wild')).to.throw(XError);
+			expect(handRank.supportsVariant('short-deck')).to.be.true;
+			expect(handRank.supportsVariant('joker-wild')).to.be.false;
+		});
+
+		it('should rank stronger hands higher', function() {
+			let hands = [
+				[ 'Ah', 'Kh', 'Qh', 'Jh', 'Th' ],
+				[ '5d', '4d', '3d', '2d', 'Ad' ],
+				[ '9c', '9d', '9h', '9s', 'Ac' ],
+				[ '9c', '9d', '9h', '9s', '8c' ],
+				[ '3c', '3d', '3h', 'As', 'Ac' ],
+				[ 'Ks', 'Js', '9s', '6s', '4s' ],
+				[ 'Ac', '2d', '3h', '4s', '5c' ],
+				[ 'Qc', 'Qd', 'Qh', '4s', '3c' ],
+				[ 'Qc', 'Qd', '4h', '4s', '3c' ],
+				[ 'Qc', 'Qd', '4h', '3s', '2c' ],
+				[ 'Ac', 'Kd', 'Qh', 'Js', '9c' ]
+			].map(makeHand);
+			for (let i = 0; i < hands.length - 1; i++) {
+				expect(getHandRank(hands[i])).to.be.above(getHandRank(hands[i + 1]));
+				expect(handRank.compareHandRanks(getHandRank(hands[i]), getHandRank(hands[i + 1]))).to.equal(-1);
+			}
+			let clubs = getHandRank(makeHand([ 'Ac', 'Kc', 'Qc', 'Jc', '9c', '2d', '3h' ]));
+			let spades = getHandRank(makeHand([ 'As', 'Ks', 'Qs', 'Js', '9s' ]));
+			expect(handRank.compareHandRanks(clubs, spades)).to.equal(0);
+		});
+
+		it('should rank hands under the variant\'s rules', function() {
+			let flush = makeHand([ 'Qs', 'Ts', '8s', '7s', '6s' ]);
+			let fullHouse = makeHand([ 'Ah', 'As', 'Ad', 'Kc', 'Kd' ]);
+			expect(getHandRank(flush)).to.be.below(getHandRank(fullHouse));
+			expect(getHandRank(flush, 'short-deck')).to.be.above(getHandRank(fullHouse, 'short-deck'));
+			expect(getRankResult(getHandRank(makeHand([ 'Ac', '6d', '7h', '8s', '9c' ]), 'short-deck'), null,
+				'short-deck')).to.deep.equal({ evalType: 'straight', highValue: 9 });
+		});
+
+	});
+
+	describe('#getRankResult, #getResultRank', function() {
+
+		it('should expand ranks into comparable results', function() {
+			let rank = getHandRank(makeHand([ '8c', '8d', '8h', 'As', 'Ac', 'Kd', 'Kh' ]));
+			let result = getRankResult(rank);
+			expect(result).to.deep.equal({ evalType: 'full-house', threeValue: 8, twoValue: 14 });
+			expect(handEval.describeHandResult(result)).to.equal('Full house, Eights full of Aces');
+			expect(getResultRank(result)).to.equal(rank);
+			expect(() => getRankResult(0)).to.throw(XError);
+		});
+
+		it('should rank wild card results', function() {
+			let fiveKings = handEval.getHandResult(makeHand([ 'Kc', 'Kd', 'Kh', 'Ks', '2c' ]), 'deuces-wild');
+			let royalFlush = handEval.getHandResult(makeHand([ 'Ah', 'Kh', 'Qh', 'Jh', 'Th' ]), 'deuces-wild');
+			expect(getResultRank(fiveKings, 'deuces-wild')).to.be.above(getResultRank(royalFlush, 'deuces-wild'));
+			expect(getRankResult(getResultRank(fiveKings, 'deuces-wild'), null, 'deuces-wild'))
+				.to.deep.equal({ evalType: 'five-of-a-kind', value: 13 });
+		});
+
+	});
+
+	describe('#getGameHandRank', function() {
+
+		it('should use exactly two pocket cards under the omaha rule', function() {
+			let pocket = makeHand([ 'Ah', 'Kc', '7d', '2s' ]);
+			let community = makeHand([ 'Qh', 'Jh', 'Th', '9h', '3c' ]);
+			let rank = handRank.getGameHandRank(pocket, community, 'omaha');
+			expect(getRankResult(rank)).to.deep.equal({ evalType: 'straight', highValue: 14 });
+			expect(rank).to.equal(getResultRank(handEval.getOmahaHandResult(pocket, community)));
+		});
+
+	});
+
+	describe('equivalence with hand-eval', function() {
+
+		it('should match hand-eval for a sample of hands', function() {
+			let rng = new randomUtils.RNG(19);
+			for (let variant of [ 'standard', 'short-deck' ]) {
+				let deckType = handEval.getVariant(variant).deckType;
+				for (let i = 0; i < 6000; i++) {
+					let hand = cardUtils.getShuffledDeck(rng, deckType).slice(0, 5 + (i % 3));
+					checkEquivalent(hand, variant);
+				}
+			}
+		});
+
+		it('should give every distinct 5 card hand its own rank', function() {
+			let ranks = new Set();
+			forEachValueHand(5, cardUtils.TWO, (hand) => {
+				checkEquivalent(hand);
+				ranks.add(getHandRank(hand));
+			});
+			expect(ranks.size).to.equal(7462);
+		});
+
+		it('should match hand-eval for every combination of 7 card values', function() {
+			this.timeout(30000);
+			for (let variant of [ 'standard', 'short-deck' ]) {
+				let minValue = cardUtils.deckTypes[handEval.getVariant(variant).deckType].minValue;
+				forEachValueHand(7, minValue, (hand) => checkEquivalent(hand, variant));
+			}
+		});
+
+		// Enumerating every hand takes the best part of an hour, so only runs when asked for
+		it('should match hand-eval for all 7 card hands', function() {
+			if (!process.env.EXHAUSTIVE_TESTS) this.skip();
+			this.timeout(0);
+			let hand = [ 0, 0, 0, 0, 0, 0, 0 ];
+			let count = 0;
+			function enumerate(index, minCardId) {
+				if (index === hand.length) {
+					let rank = getHandRank(hand);
+					if (rank !== getResultRank(handEval.getHandResult(hand))) {
+						throw new Error('Rank mismatch for hand ' + hand.join(','));
+					}
+					count++;
+					return;
+				}
+				for (let cardId = minCardId; cardId <= 52 - (hand.length - index - 1); cardId++) {
+					hand[index] = cardId;
+					enumerate(index + 1, cardId + 1);
+				}
+			}
+			enumerate(0, 1);
+			expect(count).to.equal(133784560);
+		});
+
+	});
+
+});
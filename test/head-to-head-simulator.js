@@ -0,0 +1,99 @@
+'use strict';
+const XError = require('xerror');
+const expect = require('chai').expect;
+const HeadToHeadSimulator = require('../lib/head-to-head-simulator');
+
+describe('HeadToHeadSimulator', function() {
+
+	it('should do input sanity checking', function() {
+		expect(() => new HeadToHeadSimulator([ [ 'As', 'Ks' ] ], null, 100)).to.throw(XError);
+		expect(() => new HeadToHeadSimulator([ [ 'As', 'Ks' ], [ 'Qd' ] ], null, 100)).to.throw(XError);
+		expect(() => new HeadToHeadSimulator([ [ 'As', 'Ks' ], [ 'As', 'Qd' ] ], null, 100)).to.throw(XError);
+	});
+
+	it('should report exact results for a complete board', function() {
+		let simulator = new HeadToHeadSimulator([
+			[ 'Ah', 'Kh' ],
+			[ 'Qs', 'Qd' ],
+			[ '7c', '8c' ]
+		], [ 'Qh', '2h', '5h', '9c', 'Kd' ], 50);
+		return simulator.run()
+			.then((simResult) => {
+				expect(simResult.exact).to.equal(true);
+				expect(simResult.result.seats).to.deep.equal([
+					{ win: 1, tie: 0, loss: 0, equity: 1, standardError: 0, interval: [ 1, 1 ] },
+					{ win: 0, tie: 0, loss: 1, equity: 0, standardError: 0, interval: [ 0, 0 ] },
+					{ win: 0, tie: 0, loss: 1, equity: 0, standardError: 0, interval: [ 0, 0 ] }
+				]);
+			});
+	});
+
+	it('should report per-seat equities that sum to one', function() {
+		let simulator = new HeadToHeadSimulator([
+			[ 'Ah', 'Kh' ],
+			[ 'Qs', 'Qd' ],
+			null,
+			[ '7c', '8c' ]
+		], [ '9c', 'Td', '2h' ], 500);
+		return simulator.run()
+			.then((simResult) => {
+				let seats = simResult.result.seats;
+				expect(seats.length).to.equal(4);
+				let totalEquity = seats.reduce((sum, seat) => sum + seat.equity, 0);
+				expect(totalEquity).to.be.closeTo(1, 0.001);
+				for (let seat of seats) {
+					expect(seat.win + seat.tie + seat.loss).to.be.closeTo(1, 0.0005);
+				}
+			});
+	});
+
+	it('should count split pots in hi/lo games', function() {
+		let simulator = new HeadToHeadSimulator([
+			[ '4c', '5d', 'Kc', 'Kd' ],
+			[ '4h', '5h', 'Jc', 'Jd' ]
+		], [ 'Ah', '2d', '3c', 'Ks', 'Kh' ], 50, null, { game: 'omaha-hi-lo' });
+		expect(() => new HeadToHeadSimulator([ [ 'As', 'Ks' ], null ], null, 100, null, { game: 'omaha-hi-lo' }))
+			.to.throw(XError);
+		return simulator.run()
+			.then((simResult) => {
+				expect(simResult.result.seats[0].tie).to.equal(1);
+				expect(simResult.result.seats[0].equity).to.equal(0.75);
+				expect(simResult.result.seats[1].equity).to.equal(0.25);
+			});
+	});
+
+	it('should enumerate small runout spaces exactly', function() {
+		let simulator = new HeadToHeadSimulator([
+			[ 'Ah', 'Ad' ],
+			[ 'Kc', 'Kd' ]
+		], [ '2s', '7h', '9c' ], 10);
+		expect(simulator.getEnumerationCount()).to.equal(990);
+		return simulator.run()
+			.then((simResult) => {
+				expect(simResult.exact).to.equal(true);
+				expect(simResult.totalTrials).to.equal(990);
+				let seats = simResult.result.seats;
+				// Kings need one of the two remaining kings, or runner-runner straight/flush help
+				expect(seats[1].win).to.be.above(0.08);
+				expect(seats[1].win).to.be.below(0.1);
+				expect(seats[0].equity + seats[1].equity).to.be.closeTo(1, 0.001);
+			});
+	});
+
+	it('should sample when enumeration is disabled or too large', function() {
+		let pockets = [ [ 'Ah', 'Ad' ], [ 'Kc', 'Kd' ] ];
+		let simulator = new HeadToHeadSimulator(pockets, [ '2s', '7h', '9c' ], 100);
+		return simulator.run({ enumerate: false })
+			.then((simResult) => {
+				expect(simResult.exact).to.equal(false);
+				expect(simResult.totalTrials).to.equal(100);
+				simulator = new HeadToHeadSimulator(pockets, null, 100);
+				return simulator.run({ enumerationThreshold: 1000 });
+			})
+			.then((simResult) => {
+				expect(simResult.exact).to.equal(false);
+				expect(simResult.totalTrials).to.equal(100);
+			});
+	});
+
+});
@@ -0,0 +1,74 @@
+'use strict';
+const XError = require('xerror');
+const expect = require('chai').expect;
+const cardUtils = require('../lib/card-utils');
+const randomUtils = require('../lib/random-utils');
+const handEval = require('../lib/hand-eval');
+const IncrementalEvaluation = require('../lib/incremental-evaluation');
+
+function makeHand(strArr) {
+	return strArr.map((str) => cardUtils.getCardComponentsFromString(str).cardId);
+}
+
+describe('IncrementalEvaluation', function() {
+
+	it('should evaluate each street as getFullEvaluation does', function() {
+		let rng = new randomUtils.RNG(20);
+		for (let variant of [ 'standard', 'short-deck', 'deuces-wild', 'joker-wild' ]) {
+			let deckType = handEval.getVariant(variant).deckType;
+			for (let i = 0; i < 300; i++) {
+				let deck = cardUtils.getShuffledDeck(rng, deckType);
+				let pocket = deck.slice(0, 2);
+				let incrementalEvaluation = new IncrementalEvaluation(pocket, [], 'best-five', variant);
+				expect(incrementalEvaluation.getFullEvaluation())
+					.to.deep.equal(handEval.getFullEvaluation(pocket, undefined, 'best-five', variant));
+				expect(incrementalEvaluation.getHandResult()).to.equal(null);
+				for (let communityLength of [ 3, 4, 5 ]) {
+					let community = deck.slice(2, 2 + communityLength);
+					incrementalEvaluation.advanceTo(pocket, community);
+					expect(incrementalEvaluation.getFullEvaluation())
+						.to.deep.equal(handEval.getFullEvaluation(pocket, community, 'best-five', variant));
+					expect(incrementalEvaluation.getHandResult())
+						.to.deep.equal(handEval.getHandResult(pocket.concat(community), variant));
+				}
+			}
+		}
+	});
+
+	it('should add cards to the pocket', function() {
+		let pocket = makeHand([ '9c', '9d', 'Kh' ]);
+		let incrementalEvaluation = new IncrementalEvaluation(pocket, undefined, 'best-five');
+		expect(incrementalEvaluation.evalContext).to.equal(null);
+		for (let card of [ '9h', 'Kc', '2s', 'Ks' ]) {
+			pocket = pocket.concat(makeHand([ card ]));
+			incrementalEvaluation.addCard(pocket[pocket.length - 1], true);
+			expect(incrementalEvaluation.getFullEvaluation())
+				.to.deep.equal(handEval.getFullEvaluation(pocket, undefined, 'best-five'));
+		}
+		expect(incrementalEvaluation.getHandResult()).to.deep.include({ evalType: 'full-house', threeValue: 13 });
+	});
+
+	it('should evaluate omaha hands', function() {
+		let pocket = makeHand([ 'Ah', 'Kc', '7d', '2s' ]);
+		let incrementalEvaluation = new IncrementalEvaluation(pocket, undefined, 'omaha');
+		expect(incrementalEvaluation.getHandResult()).to.equal(null);
+		incrementalEvaluation.addCards(makeHand([ 'Qh', 'Jh', 'Th' ]));
+		incrementalEvaluation.addCards(makeHand([ '9h', '3c' ]));
+		expect(incrementalEvaluation.getHandResult()).to.deep.include({ evalType: 'straight', highValue: 14 });
+		expect(incrementalEvaluation.getFullEvaluation().resultEval.result.evalType).to.equal('straight');
+	});
+
+	it('should only advance by adding cards', function() {
+		let pocket = makeHand([ 'Ah', 'Kh' ]);
+		let community = makeHand([ 'Qh', 'Jh', '2c' ]);
+		let incrementalEvaluation = new IncrementalEvaluation(pocket, community, 'best-five');
+		expect(incrementalEvaluation.canAdvanceTo(pocket, community.concat(makeHand([ 'Th' ])))).to.be.true;
+		expect(incrementalEvaluation.canAdvanceTo(pocket, makeHand([ 'Qh', 'Jh' ]))).to.be.false;
+		expect(incrementalEvaluation.canAdvanceTo(makeHand([ 'Ah', 'Ks' ]), community)).to.be.false;
+		expect(() => incrementalEvaluation.advanceTo(pocket, makeHand([ 'Qh', 'Jh', '3c' ]))).to.throw(XError);
+		expect(() => incrementalEvaluation.addCard(pocket[0])).to.throw(XError);
+		incrementalEvaluation.advanceTo(pocket, community.concat(makeHand([ 'Th' ])));
+		expect(incrementalEvaluation.getHandResult().evalType).to.equal('straight-flush');
+	});
+
+});
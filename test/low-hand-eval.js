@@ -0,0 +1,120 @@
+'use strict';
+const XError = require('xerror');
+const expect = require('chai').expect;
+const cardUtils = require('../lib/card-utils');
+const lowHandEval = require('../lib/low-hand-eval');
+const getLowHandResult = lowHandEval.getLowHandResult;
+const compareLowHandResults = lowHandEval.compareLowHandResults;
+const getGameLowHandResult = lowHandEval.getGameLowHandResult;
+
+function makeHand(strArr) {
+	return strArr.map((str) => cardUtils.getCardComponentsFromString(str).cardId);
+}
+
+describe('lowHandEval', function() {
+
+	describe('#getLowHandResult', function() {
+
+		it('should do input sanity checking', function() {
+			expect(() => getLowHandResult(makeHand([ 'Ah', '2c', '3d', '4s' ]), 'ace-to-five')).to.throw(XError);
+			expect(() => getLowHandResult(makeHand([ 'Ah', '2c', '3d', '4s', '4s' ]), 'ace-to-five')).to.throw(XError);
+			expect(() => getLowHandResult(makeHand([ 'Ah', '2c', '3d', '4s', '5s' ]), 'lowest')).to.throw(XError);
+		});
+
+		it('should evaluate ace-to-five lows', function() {
+			let result = getLowHandResult(makeHand([ 'Ah', '2h', '3h', '4h', '5h' ]), 'ace-to-five');
+			expect(result.category).to.equal('high-cards');
+			expect(result.values).to.deep.equal([ 5, 4, 3, 2, 1 ]);
+			result = getLowHandResult(makeHand([ 'Kh', '8c', '5d', '3s', '2s', '3d', 'Kd' ]), 'ace-to-five');
+			expect(result.category).to.equal('high-cards');
+			expect(result.values).to.deep.equal([ 13, 8, 5, 3, 2 ]);
+			result = getLowHandResult(makeHand([ '9h', '9c', '3d', '3s', '3h', 'Ad', '9d' ]), 'ace-to-five');
+			expect(result.category).to.equal('two-pair');
+			expect(result.values).to.deep.equal([ 9, 3, 1 ]);
+		});
+
+		it('should play the fewest pairs in ace-to-five', function() {
+			let result = getLowHandResult(makeHand([ 'Ah', 'Ac', '2d', '2s', '3h', '3d', 'Kd' ]), 'ace-to-five');
+			expect(result.category).to.equal('pair');
+			expect(result.values).to.deep.equal([ 1, 13, 3, 2 ]);
+			result = getLowHandResult(makeHand([ '7h', '7c', '7d', '7s', '8h' ]), 'ace-to-five');
+			expect(result.category).to.equal('four-of-a-kind');
+			expect(result.values).to.deep.equal([ 7, 8 ]);
+		});
+
+		it('should evaluate deuce-to-seven lows', function() {
+			let result = getLowHandResult(makeHand([ '7h', '5c', '4d', '3s', '2s' ]), 'deuce-to-seven');
+			expect(result.category).to.equal('high-cards');
+			expect(result.values).to.deep.equal([ 7, 5, 4, 3, 2 ]);
+			// The ace is high, so this is not a straight
+			result = getLowHandResult(makeHand([ 'Ah', '2c', '3d', '4s', '5s' ]), 'deuce-to-seven');
+			expect(result.category).to.equal('high-cards');
+			expect(result.values).to.deep.equal([ 14, 5, 4, 3, 2 ]);
+			result = getLowHandResult(makeHand([ '6h', '5c', '4d', '3s', '2s' ]), 'deuce-to-seven');
+			expect(result.category).to.equal('straight');
+			result = getLowHandResult(makeHand([ '8h', '5h', '4h', '3h', '2h' ]), 'deuce-to-seven');
+			expect(result.category).to.equal('flush');
+			result = getLowHandResult(makeHand([ '6h', '5h', '4h', '3h', '2h', '8c', 'Kd' ]), 'deuce-to-seven');
+			expect(result.category).to.equal('high-cards');
+			expect(result.values).to.deep.equal([ 8, 5, 4, 3, 2 ]);
+		});
+
+	});
+
+	describe('#compareLowHandResults', function() {
+
+		function compare(lowType, a, b) {
+			return compareLowHandResults(
+				getLowHandResult(makeHand(a), lowType),
+				getLowHandResult(makeHand(b), lowType)
+			);
+		}
+
+		it('should rank ace-to-five lows', function() {
+			const A5 = 'ace-to-five';
+			expect(compare(A5, [ 'Ah', '2h', '3h', '4h', '5h' ], [ '6c', '4d', '3s', '2s', 'Ac' ])).to.equal(-1);
+			expect(compare(A5, [ '8c', '5d', '4s', '3s', '2c' ], [ '8h', '6d', '3s', '2s', 'Ac' ])).to.equal(-1);
+			expect(compare(A5, [ 'Kc', 'Qd', 'Js', '9s', '8c' ], [ 'Ah', 'Ad', '2s', '3s', '4c' ])).to.equal(-1);
+			expect(compare(A5, [ '8c', '5d', '4s', '3s', '2c' ], [ '8h', '5h', '4h', '3h', '2h' ])).to.equal(0);
+		});
+
+		it('should rank deuce-to-seven lows', function() {
+			const D7 = 'deuce-to-seven';
+			expect(compare(D7, [ '7h', '5c', '4d', '3s', '2s' ], [ '7c', '6d', '4s', '3s', '2c' ])).to.equal(-1);
+			expect(compare(D7, [ 'Ah', '5c', '4d', '3s', '2s' ], [ 'Kc', 'Qd', 'Js', '9s', '8c' ])).to.equal(1);
+			expect(compare(D7, [ '6h', '5c', '4d', '3s', '2s' ], [ '2c', '2d', '4s', '3s', '5c' ])).to.equal(1);
+			expect(compare(D7, [ '8h', '5h', '4h', '3h', '2h' ], [ 'Ac', 'Ad', 'Ks', 'Kh', 'Qc' ])).to.equal(1);
+		});
+
+		it('should not compare results of different low types', function() {
+			let a = getLowHandResult(makeHand([ '7h', '5c', '4d', '3s', '2s' ]), 'ace-to-five');
+			let b = getLowHandResult(makeHand([ '7h', '5c', '4d', '3s', '2s' ]), 'deuce-to-seven');
+			expect(() => compareLowHandResults(a, b)).to.throw(XError);
+		});
+
+	});
+
+	describe('#getGameLowHandResult', function() {
+
+		it('should only return qualifying lows', function() {
+			let pocket = makeHand([ '4c', '9d' ]);
+			let community = makeHand([ 'Ah', '2d', '3c', 'Ks', 'Qh' ]);
+			expect(getGameLowHandResult(pocket, community, 'best-five', 'ace-to-five', 8)).to.equal(null);
+			expect(getGameLowHandResult(pocket, community, 'best-five', 'ace-to-five', 9).values)
+				.to.deep.equal([ 9, 4, 3, 2, 1 ]);
+			expect(getGameLowHandResult(pocket, community, 'best-five', 'ace-to-five').category).to.equal('high-cards');
+		});
+
+		it('should use exactly two pocket cards under the omaha rule', function() {
+			let community = makeHand([ 'Ah', '2d', '3c', '5h', 'Js' ]);
+			// A single low card in the pocket can't make a low, even with four low cards on the board
+			let pocket = makeHand([ '4c', 'Kc', 'Kd', 'Qd' ]);
+			expect(getGameLowHandResult(pocket, community, 'omaha', 'ace-to-five', 8)).to.equal(null);
+			pocket = makeHand([ '4c', '6d', 'Kd', 'Qd' ]);
+			expect(getGameLowHandResult(pocket, community, 'omaha', 'ace-to-five', 8).values)
+				.to.deep.equal([ 6, 4, 3, 2, 1 ]);
+		});
+
+	});
+
+});
@@ -0,0 +1,55 @@
+'use strict';
+const XError = require('xerror');
+const expect = require('chai').expect;
+const MatchRunner = require('../lib/match-runner');
+
+describe('MatchRunner', function() {
+
+	it('should play hands between strategies', function() {
+		let strategies = [ 'tight-aggressive', 'always-call', 'random' ];
+		let matchRunner = new MatchRunner(strategies, { seed: 23 });
+		let result = matchRunner.run(300);
+		expect(result.handsPlayed).to.equal(300);
+		expect(result.seats.map((seat) => seat.strategy)).to.deep.equal(strategies);
+		// Chips only change hands
+		let netChips = result.seats.reduce((total, seat) => total + seat.netChips, 0);
+		expect(netChips).to.equal(0);
+		expect(result.seats[0].bbPer100).to.equal(Math.round(result.seats[0].netChips / 2 / 300 * 100 * 100) / 100);
+		for (let seat of result.seats) {
+			expect(seat.showdownsWon).to.be.at.most(seat.showdowns);
+			expect(seat.handsWon).to.be.above(0);
+		}
+		expect(matchRunner.pokerTable.button).to.equal(2);
+	});
+
+	it('should replay the same match from the same seed', function() {
+		let options = { seed: 7, game: 'omaha', smallBlind: 5, bigBlind: 10, ante: 1, stack: 500 };
+		let strategies = [ 'random', 'tight-aggressive' ];
+		let result = new MatchRunner(strategies, options).run(100);
+		expect(new MatchRunner(strategies, options).run(100)).to.deep.equal(result);
+		expect(result.seats[0].netChips).to.equal(-result.seats[1].netChips);
+	});
+
+	it('should play hands with custom strategies', function() {
+		let decisions = 0;
+		function checkOrFold(view) {
+			decisions++;
+			expect(view.legalActions).to.not.be.empty;
+			return view.legalActions.some((action) => action.type === 'check') ? { type: 'check' } : { type: 'fold' };
+		}
+		let matchRunner = new MatchRunner([ checkOrFold, 'always-call' ], { seed: 3 });
+		let bettingRound = matchRunner.playHand();
+		expect(bettingRound.isComplete()).to.be.true;
+		let result = matchRunner.run(9);
+		expect(result.seats[0].strategy).to.equal('checkOrFold');
+		expect(result.seats[0].netChips).to.equal(-result.seats[1].netChips);
+		expect(decisions).to.be.at.least(10);
+	});
+
+	it('should do input sanity checking', function() {
+		expect(() => new MatchRunner([ 'random' ])).to.throw(XError);
+		expect(() => new MatchRunner([ 'random', 'loose-passive' ])).to.throw(XError);
+		expect(() => new MatchRunner([ 'random', 'random' ]).run(0)).to.throw(XError);
+	});
+
+});
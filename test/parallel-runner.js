@@ -0,0 +1,94 @@
+'use strict';
+const XError = require('xerror');
+const expect = require('chai').expect;
+const runParallel = require('../lib/parallel-runner').runParallel;
+
+describe('parallelRunner', function() {
+
+	this.timeout(20000);
+
+	const pockets = [ [ 'Ah', 'Kh' ], [ 'Qs', 'Qd' ] ];
+
+	describe('#runParallel', function() {
+
+		it('should reject simulators that cannot be merged', function() {
+			expect(() => runParallel('Simulator', [])).to.throw(XError);
+			expect(() => runParallel('cardUtils', [])).to.throw(XError);
+		});
+
+		it('should split trials across workers and merge results', function() {
+			return runParallel('HeadToHeadSimulator', [ pockets, null, 301 ], { workers: 2, seed: 42 })
+				.then((simResult) => {
+					expect(simResult.workers).to.equal(2);
+					expect(simResult.exact).to.equal(false);
+					expect(simResult.totalTrials).to.equal(301);
+					let seats = simResult.result.seats;
+					expect(seats[0].equity + seats[1].equity).to.be.closeTo(1, 0.001);
+				});
+		});
+
+		it('should be reproducible for a given seed and worker count', function() {
+			let firstResult;
+			return runParallel('HeadToHeadSimulator', [ pockets, null, 200 ], { workers: 2, seed: 1234 })
+				.then((simResult) => {
+					firstResult = simResult.result;
+					return runParallel('HeadToHeadSimulator', [ pockets, null, 200 ], { workers: 2, seed: 1234 });
+				})
+				.then((simResult) => {
+					expect(simResult.result).to.deep.equal(firstResult);
+				});
+		});
+
+		it('should stop workers when the signal is aborted', function() {
+			let controller = new AbortController();
+			let options = {
+				workers: 2,
+				signal: controller.signal,
+				progressFunc: () => controller.abort()
+			};
+			return runParallel('HeadToHeadSimulator', [ pockets, null, 10000000 ], options)
+				.then((simResult) => {
+					expect(simResult.partial).to.equal(true);
+					expect(simResult.totalTrials).to.be.below(10000000);
+					let seats = simResult.result.seats;
+					expect(seats[0].equity + seats[1].equity).to.be.closeTo(1, 0.001);
+				});
+		});
+
+		it('should terminate every worker when one fails', function() {
+			let Worker = require('worker_threads').Worker;
+			let terminate = Worker.prototype.terminate;
+			let terminated = 0;
+			Worker.prototype.terminate = function() {
+				terminated++;
+				return terminate.apply(this, arguments);
+			};
+			let simulatorPath = require.resolve('./fixtures/failing-simulator');
+			// The worker with the odd share of trials fails while the other has millions left to run
+			return runParallel(simulatorPath, [ pockets, null, 10000001 ], { workers: 2 })
+				.then(() => {
+					throw new Error('Expected the run to fail');
+				}, (err) => {
+					expect(err.message).to.equal('Failing simulator failed');
+					expect(terminated).to.equal(2);
+				})
+				.then(() => {
+					Worker.prototype.terminate = terminate;
+				}, (err) => {
+					Worker.prototype.terminate = terminate;
+					throw err;
+				});
+		});
+
+		it('should run enumerable simulations on the calling thread', function() {
+			return runParallel('HeadToHeadSimulator', [ pockets, [ '2s', '7h', '9c', 'Td' ], 10 ], { workers: 2 })
+				.then((simResult) => {
+					expect(simResult.workers).to.equal(0);
+					expect(simResult.exact).to.equal(true);
+					expect(simResult.totalTrials).to.equal(44);
+				});
+		});
+
+	});
+
+});
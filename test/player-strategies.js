@@ -0,0 +1,96 @@
+'use strict';
+const XError = require('xerror');
+const expect = require('chai').expect;
+const PokerTable = require('../lib/poker-table');
+const BettingRound = require('../lib/betting-round');
+const playerStrategies = require('../lib/player-strategies');
+
+// Get the view of the first player to act in a heads-up round where player 0 holds the given pocket.
+function getView(pocket, community, game) {
+	let table = new PokerTable(2, null, { game: game });
+	let stackedDeckFunc = table.createStackedDeckFunc({ 0: pocket, community: community || [] });
+	let bettingRound = new BettingRound(table.playRound(stackedDeckFunc()), [ 100, 100 ], { button: 0 });
+	return bettingRound.getPlayerView();
+}
+
+describe('playerStrategies', function() {
+
+	describe('#alwaysCall', function() {
+
+		it('should check or call', function() {
+			let view = getView([ '7c', '2d' ]);
+			expect(playerStrategies.alwaysCall(view)).to.deep.equal({ type: 'call' });
+			view.legalActions = [ { type: 'check' }, { type: 'bet', minAmount: 2, maxAmount: 98 } ];
+			expect(playerStrategies.alwaysCall(view)).to.deep.equal({ type: 'check' });
+		});
+
+	});
+
+	describe('#random', function() {
+
+		it('should only take legal actions', function() {
+			let view = getView([ '7c', '2d' ]);
+			let types = {};
+			for (let i = 0; i < 200; i++) {
+				let action = playerStrategies.random(view);
+				types[action.type] = true;
+				if (action.type === 'raise') {
+					expect(action.amount).to.be.within(4, 100);
+					expect(action.amount % 1).to.equal(0);
+				}
+			}
+			expect(Object.keys(types).sort()).to.deep.equal([ 'call', 'fold', 'raise' ]);
+		});
+
+	});
+
+	describe('#tightAggressive', function() {
+
+		it('should raise strong pockets and fold weak ones', function() {
+			let view = getView([ 'Qs', 'Qd' ]);
+			expect(view.pocket.length).to.equal(2);
+			expect(playerStrategies.tightAggressive(view)).to.deep.equal({ type: 'raise', amount: 6 });
+			expect(playerStrategies.tightAggressive(getView([ 'As', 'Kd' ])).type).to.equal('raise');
+			expect(playerStrategies.tightAggressive(getView([ '3s', '3d' ]))).to.deep.equal({ type: 'call' });
+			expect(playerStrategies.tightAggressive(getView([ 'As', '5s' ]))).to.deep.equal({ type: 'call' });
+			expect(playerStrategies.tightAggressive(getView([ 'As', '5d' ]))).to.deep.equal({ type: 'fold' });
+			expect(playerStrategies.tightAggressive(getView([ '7c', '2d' ]))).to.deep.equal({ type: 'fold' });
+			expect(playerStrategies.tightAggressive(getView([ '7c', '2d', '3h', '9s' ], [], 'omaha')))
+				.to.deep.equal({ type: 'call' });
+		});
+
+		it('should bet made hands and call with draws', function() {
+			let table = new PokerTable(2);
+			let stackedDeckFunc = table.createStackedDeckFunc({
+				0: [ '7c', '2d' ],
+				1: [ '8h', '9h' ],
+				community: [ '7h', '2c', 'Th', 'As', '3s' ]
+			});
+			let bettingRound = new BettingRound(table.playRound(stackedDeckFunc()), [ 100, 100 ], { button: 0 });
+			bettingRound.act({ type: 'call' });
+			bettingRound.act({ type: 'check' });
+			// Player 1 has an open-ended straight and flush draw on the flop, and player 0 two pair
+			expect(playerStrategies.tightAggressive(bettingRound.getPlayerView())).to.deep.equal({ type: 'check' });
+			bettingRound.act({ type: 'bet', amount: 2 });
+			expect(playerStrategies.tightAggressive(bettingRound.getPlayerView())).to.deep.equal({
+				type: 'raise',
+				amount: 10
+			});
+			bettingRound.act({ type: 'raise', amount: 10 });
+			expect(playerStrategies.tightAggressive(bettingRound.getPlayerView())).to.deep.equal({ type: 'call' });
+		});
+
+	});
+
+	describe('#getPlayerStrategy', function() {
+
+		it('should get strategies by name', function() {
+			expect(playerStrategies.getPlayerStrategy('random')).to.equal(playerStrategies.random);
+			let strategy = () => ({ type: 'fold' });
+			expect(playerStrategies.getPlayerStrategy(strategy)).to.equal(strategy);
+			expect(() => playerStrategies.getPlayerStrategy('loose-passive')).to.throw(XError);
+		});
+
+	});
+
+});
@@ -0,0 +1,391 @@
+'use strict';
+const XError = require('xerror');
+const expect = require('chai').expect;
+const cardUtils = require('../lib/card-utils');
+const handEval = require('../lib/hand-eval');
+const PokerTable = require('../lib/poker-table');
+const randomUtils = require('../lib/random-utils');
+
+function makeHand(strArr) {
+	return strArr.map((str) => cardUtils.getCardComponentsFromString(str).cardId);
+}
+
+describe('PokerRound', function() {
+
+	describe('#getPocketCards, #getCommunityCards', function() {
+
+		it('should deal pockets two at a time by default', function() {
+			let table = new PokerTable(3);
+			let round = table.playRound(cardUtils.getUnshuffledDeck());
+			expect(round.getPocketCards(0)).to.deep.equal([ 1, 2 ]);
+			expect(round.getPocketCards(2)).to.deep.equal([ 5, 6 ]);
+			expect(round.getCommunityCards('preflop')).to.deep.equal([]);
+			expect(round.getCommunityCards('flop')).to.deep.equal([ 7, 8, 9 ]);
+			expect(round.getCommunityCards()).to.deep.equal([ 7, 8, 9, 10, 11 ]);
+			expect(round.getBurnCards()).to.deep.equal([]);
+			expect(() => round.getCommunityCards('fourth-street')).to.throw(XError);
+			expect(() => round.getPocketCards(3)).to.throw(XError);
+		});
+
+	});
+
+	describe('#getPlayerFullEvaluation', function() {
+
+		it('should evaluate each street as getFullEvaluation does', function() {
+			for (let game of [ 'holdem', 'omaha', 'stud', 'draw' ]) {
+				let table = new PokerTable(2, new randomUtils.RNG(20), { game: game });
+				for (let i = 0; i < 20; i++) {
+					let round = table.playRound();
+					for (let street of table.streets) {
+						let fullEval = round.getPlayerFullEvaluation(1, street.name);
+						let community = round.getCommunityCards(street.name);
+						expect(fullEval).to.deep.equal(handEval.getFullEvaluation(
+							round.getPocketCards(1, street.name),
+							community.length ? community : undefined,
+							table.handRule
+						));
+					}
+				}
+			}
+		});
+
+	});
+
+	describe('#getPlayerPosition', function() {
+
+		it('should name positions for every table size', function() {
+			expect(PokerTable.getPositionNames(1)).to.deep.equal([ 'BTN' ]);
+			expect(PokerTable.getPositionNames(2)).to.deep.equal([ 'BTN', 'BB' ]);
+			expect(PokerTable.getPositionNames(6)).to.deep.equal([ 'UTG', 'HJ', 'CO', 'BTN', 'SB', 'BB' ]);
+			expect(PokerTable.getPositionNames(9)).to.deep.equal([
+				'UTG', 'UTG+1', 'UTG+2', 'UTG+3', 'HJ', 'CO', 'BTN', 'SB', 'BB'
+			]);
+		});
+
+		it('should move the button after every round', function() {
+			let table = new PokerTable(6, null, { button: 4 });
+			let positions = [];
+			for (let i = 0; i < 3; i++) {
+				let round = table.playRound();
+				positions.push(round.getPlayerPosition());
+			}
+			expect(positions).to.deep.equal([ 'BB', 'SB', 'BTN' ]);
+			expect(table.button).to.equal(1);
+			let round = table.playRound();
+			expect(round.button).to.equal(1);
+			expect([ 0, 1, 2, 3, 4, 5 ].map((playerIndex) => round.getPlayerPosition(playerIndex)))
+				.to.deep.equal([ 'CO', 'BTN', 'SB', 'BB', 'UTG', 'HJ' ]);
+			let headsUpRound = new PokerTable(2).playRound();
+			expect(headsUpRound.getPlayerPosition(1)).to.equal('BTN');
+			expect(headsUpRound.getPlayerPosition(0)).to.equal('BB');
+			expect(() => new PokerTable(3, null, { button: 3 })).to.throw(XError);
+			expect(() => round.getPlayerPosition(6)).to.throw(XError);
+		});
+
+	});
+
+	describe('realistic dealing', function() {
+
+		it('should deal round the table and burn before each street', function() {
+			let table = new PokerTable(3, null, { realisticDealing: true });
+			let round = table.playRound(cardUtils.getUnshuffledDeck());
+			expect(round.getPocketCards(0)).to.deep.equal([ 1, 4 ]);
+			expect(round.getPocketCards(1)).to.deep.equal([ 2, 5 ]);
+			expect(round.getPocketCards(2)).to.deep.equal([ 3, 6 ]);
+			expect(round.getBurnCards('preflop')).to.deep.equal([]);
+			expect(round.getBurnCards('flop')).to.deep.equal([ 7 ]);
+			expect(round.getCommunityCards('flop')).to.deep.equal([ 8, 9, 10 ]);
+			expect(round.getBurnCards('turn')).to.deep.equal([ 7, 11 ]);
+			expect(round.getCommunityCards('turn')).to.deep.equal([ 8, 9, 10, 12 ]);
+			expect(round.getBurnCards()).to.deep.equal([ 7, 11, 13 ]);
+			expect(round.getCommunityCards()).to.deep.equal([ 8, 9, 10, 12, 14 ]);
+		});
+
+		it('should deal the first card to the player after the button', function() {
+			let table = new PokerTable(3, null, { realisticDealing: true, button: 0 });
+			let round = table.playRound(cardUtils.getUnshuffledDeck());
+			expect(round.getPocketCards(1)).to.deep.equal([ 1, 4 ]);
+			expect(round.getPocketCards(2)).to.deep.equal([ 2, 5 ]);
+			expect(round.getPocketCards(0)).to.deep.equal([ 3, 6 ]);
+			round = table.playRound(cardUtils.getUnshuffledDeck());
+			expect(round.getPocketCards(2)).to.deep.equal([ 1, 4 ]);
+			expect(round.getPocketCards(0)).to.deep.equal([ 2, 5 ]);
+			expect(round.getCommunityCards('flop')).to.deep.equal([ 8, 9, 10 ]);
+		});
+
+		it('should stack decks in dealing order', function() {
+			let table = new PokerTable(2, null, { realisticDealing: true });
+			let stackedDeckFunc = table.createStackedDeckFunc({
+				1: [ 'Ah', 'Ad' ],
+				community: [ '2c', '3c', '4c', '5c', '6c' ]
+			});
+			for (let i = 0; i < 10; i++) {
+				let round = table.playRound(stackedDeckFunc());
+				expect(round.getPocketCards(1)).to.deep.equal(makeHand([ 'Ah', 'Ad' ]));
+				expect(round.getCommunityCards()).to.deep.equal(makeHand([ '2c', '3c', '4c', '5c', '6c' ]));
+				expect(round.getBurnCards().length).to.equal(3);
+			}
+		});
+
+	});
+
+	describe('omaha', function() {
+
+		it('should deal four pocket cards per player', function() {
+			let table = new PokerTable(2, null, { game: 'omaha' });
+			let round = table.playRound(cardUtils.getUnshuffledDeck());
+			expect(round.getPocketCards(0)).to.deep.equal([ 1, 2, 3, 4 ]);
+			expect(round.getPocketCards(1)).to.deep.equal([ 5, 6, 7, 8 ]);
+			expect(round.getCommunityCards()).to.deep.equal([ 9, 10, 11, 12, 13 ]);
+			let realisticTable = new PokerTable(2, null, { game: 'omaha', realisticDealing: true });
+			round = realisticTable.playRound(cardUtils.getUnshuffledDeck());
+			expect(round.getPocketCards(0)).to.deep.equal([ 1, 3, 5, 7 ]);
+			expect(round.getCommunityCards('flop')).to.deep.equal([ 10, 11, 12 ]);
+			expect(() => new PokerTable(2, null, { game: 'pinochle' })).to.throw(XError);
+		});
+
+		it('should pick winners under Omaha rules', function() {
+			let table = new PokerTable(2, null, { game: 'omaha' });
+			let stackedDeckFunc = table.createStackedDeckFunc({
+				// A hold'em player would have a flush here
+				0: [ 'Ah', '7c', '7d', '2s' ],
+				1: [ 'Kc', 'Ks', '3d', '4d' ],
+				community: [ 'Kh', 'Qh', 'Jh', '9h', '2c' ]
+			});
+			let round = table.playRound(stackedDeckFunc());
+			expect(round.getPlayerHandResult(0).evalType).to.equal('pair');
+			expect(round.getPlayerHandResult(1).evalType).to.equal('three-of-a-kind');
+			expect(round.getWinningPlayers()).to.deep.equal([ 1 ]);
+		});
+
+	});
+
+	describe('short-deck', function() {
+
+		it('should deal from a 36 card deck', function() {
+			let table = new PokerTable(9, null, { game: 'short-deck' });
+			for (let i = 0; i < 10; i++) {
+				let round = table.playRound();
+				expect(round.deck).to.have.length(36);
+				for (let cardId of round.deck) {
+					expect(cardUtils.isCardInDeck(cardId, 'short')).to.be.true;
+				}
+			}
+			expect(() => table.createStackedDeckFunc({ 0: [ 'Ah', '2h' ] })).to.throw(XError);
+		});
+
+		it('should pick winners under short-deck rankings', function() {
+			let table = new PokerTable(2, null, { game: 'short-deck' });
+			let stackedDeckFunc = table.createStackedDeckFunc({
+				0: [ 'Ah', '7h' ],
+				1: [ 'Kc', 'Ks' ],
+				community: [ 'Kh', 'Qh', '9h', '9c', '6d' ]
+			});
+			let round = table.playRound(stackedDeckFunc());
+			expect(round.getPlayerHandResult(0).evalType).to.equal('flush');
+			expect(round.getPlayerHandResult(1).evalType).to.equal('full-house');
+			expect(round.getWinningPlayers()).to.deep.equal([ 0 ]);
+		});
+
+	});
+
+	describe('hi/lo split pots', function() {
+
+		function playHiLoRound(config) {
+			let table = new PokerTable(Object.keys(config).length - 1, null, { game: 'omaha-hi-lo' });
+			return table.playRound(table.createStackedDeckFunc(config)());
+		}
+
+		it('should give the whole pot to the high hand without a qualifying low', function() {
+			let round = playHiLoRound({
+				0: [ 'As', 'Ad', '3c', '4c' ],
+				1: [ 'Kc', 'Ks', '7d', '8d' ],
+				community: [ 'Kh', 'Qd', '9c', '9s', '2h' ]
+			});
+			expect(round.getPlayerLowHandResult(0)).to.equal(null);
+			expect(round.getLowWinningPlayers()).to.deep.equal([]);
+			expect(round.getWinningPlayers()).to.deep.equal([ 1 ]);
+			expect(round.getPotFractions()).to.deep.equal([ 0, 1 ]);
+		});
+
+		it('should let one player scoop both halves', function() {
+			let round = playHiLoRound({
+				0: [ '4c', '5d', 'Kc', 'Kd' ],
+				1: [ '6c', '7c', '8c', 'Jd' ],
+				community: [ 'Ah', '2d', '3c', 'Ks', 'Qh' ]
+			});
+			expect(round.getPlayerHandResult(0).evalType).to.equal('straight');
+			expect(round.getPlayerLowHandResult(1).values).to.deep.equal([ 7, 6, 3, 2, 1 ]);
+			expect(round.getWinningPlayers()).to.deep.equal([ 0 ]);
+			expect(round.getLowWinningPlayers()).to.deep.equal([ 0 ]);
+			expect(round.getPotFractions()).to.deep.equal([ 1, 0 ]);
+		});
+
+		it('should split and quarter the pot', function() {
+			let round = playHiLoRound({
+				0: [ '4c', '5d', 'Kc', 'Kd' ],
+				1: [ '4h', '5h', 'Jc', 'Jd' ],
+				2: [ '7c', '8c', 'Td', '9d' ],
+				community: [ 'Ah', '2d', '3c', 'Ks', 'Kh' ]
+			});
+			expect(round.getWinningPlayers()).to.deep.equal([ 0 ]);
+			expect(round.getLowWinningPlayers()).to.deep.equal([ 0, 1 ]);
+			expect(round.getPotFractions()).to.deep.equal([ 0.75, 0.25, 0 ]);
+		});
+
+		it('should have no low half in high-only games', function() {
+			let table = new PokerTable(2);
+			let round = table.playRound(cardUtils.getUnshuffledDeck());
+			expect(round.getPlayerLowHandResult(0)).to.equal(null);
+			expect(round.getLowWinningPlayers()).to.deep.equal([]);
+		});
+
+	});
+
+	describe('stud', function() {
+
+		it('should deal up and down cards by street', function() {
+			let table = new PokerTable(2, null, { game: 'stud' });
+			let round = table.playRound(cardUtils.getUnshuffledDeck());
+			expect(round.getPocketCards(0)).to.deep.equal([ 1, 2, 3, 4, 5, 6, 7 ]);
+			expect(round.getPocketCards(1, 'third-street')).to.deep.equal([ 8, 9, 10 ]);
+			expect(round.getDownCards(0)).to.deep.equal([ 1, 2, 7 ]);
+			expect(round.getDownCards(0, 'sixth-street')).to.deep.equal([ 1, 2 ]);
+			expect(round.getUpCards(1, 'fifth-street')).to.deep.equal([ 10, 11, 12 ]);
+			expect(round.getCommunityCards()).to.deep.equal([]);
+			expect(round.getPlayerAvailableCards(0, 'fourth-street')).to.deep.equal([ 1, 2, 3, 4 ]);
+			expect(() => round.getPlayerAvailableCards(0, 'flop')).to.throw(XError);
+			expect(table.getDealtCardCount()).to.equal(14);
+		});
+
+		it('should deal one street at a time when dealing realistically', function() {
+			let table = new PokerTable(2, null, { game: 'stud', realisticDealing: true });
+			let round = table.playRound(cardUtils.getUnshuffledDeck());
+			expect(round.getPocketCards(0)).to.deep.equal([ 1, 3, 5, 8, 11, 14, 17 ]);
+			expect(round.getPocketCards(1)).to.deep.equal([ 2, 4, 6, 9, 12, 15, 18 ]);
+			expect(round.getBurnCards()).to.deep.equal([ 7, 10, 13, 16 ]);
+			expect(round.getBurnCards('fourth-street')).to.deep.equal([ 7 ]);
+			expect(table.getDealtCardCount()).to.equal(18);
+		});
+
+		it('should not seat more players than the deck can deal to', function() {
+			expect(() => new PokerTable(7, null, { game: 'stud' })).to.not.throw();
+			expect(() => new PokerTable(8, null, { game: 'stud' })).to.throw(XError);
+			expect(() => new PokerTable(7, null, { game: 'stud', realisticDealing: true })).to.throw(XError);
+		});
+
+		it('should pick winners from each player\'s seven cards', function() {
+			let table = new PokerTable(2, null, { game: 'stud-hi-lo' });
+			let stackedDeckFunc = table.createStackedDeckFunc({
+				0: [ 'Ah', '2h', '3c', '4d', '8s', 'Kc', 'Kd' ],
+				1: [ 'Qc', 'Qd', 'Qs', '9c', '9d', '6h', 'Th' ]
+			});
+			let round = table.playRound(stackedDeckFunc());
+			expect(round.getWinningPlayers()).to.deep.equal([ 1 ]);
+			expect(round.getLowWinningPlayers()).to.deep.equal([ 0 ]);
+			expect(round.getPotFractions()).to.deep.equal([ 0.5, 0.5 ]);
+		});
+
+	});
+
+	describe('draw', function() {
+
+		it('should replace discards from the remaining deck', function() {
+			let table = new PokerTable(2, null, { game: 'draw', discardStrategies: [ 'keep-pairs', 'stand-pat' ] });
+			let stackedDeckFunc = table.createStackedDeckFunc({
+				0: [ 'Ah', 'Ad', '7c', '8d', '2s' ],
+				1: [ 'Kc', 'Qd', 'Js', '9c', '2d' ],
+				draw: [ 'Ac', '3h', '4h' ]
+			});
+			let round = table.playRound(stackedDeckFunc());
+			expect(round.getDiscards(0)).to.deep.equal(makeHand([ '7c', '8d', '2s' ]));
+			expect(round.getDrawnCards(0)).to.deep.equal(makeHand([ 'Ac', '3h', '4h' ]));
+			expect(round.getPocketCards(0)).to.deep.equal(makeHand([ 'Ah', 'Ad', 'Ac', '3h', '4h' ]));
+			expect(round.getPocketCards(0, 'predraw')).to.deep.equal(makeHand([ 'Ah', 'Ad', '7c', '8d', '2s' ]));
+			expect(round.getDiscards(1)).to.deep.equal([]);
+			expect(round.getPlayerHandResult(0).evalType).to.equal('three-of-a-kind');
+			expect(round.getWinningPlayers()).to.deep.equal([ 0 ]);
+		});
+
+		it('should reject invalid discards', function() {
+			let table = new PokerTable(1, null, { game: 'draw', discardStrategies: () => [ 52, 52 ] });
+			expect(() => table.playRound()).to.throw(XError);
+			expect(() => new PokerTable(2, null, { game: 'draw', discardStrategies: [ 'standard' ] })).to.throw(XError);
+			expect(() => new PokerTable(11, null, { game: 'draw' })).to.throw(XError);
+		});
+
+		it('should reshuffle discards when the deck runs out', function() {
+			// Everyone draws five at a table of eight, with twelve cards left after the deal
+			let table = new PokerTable(8, new randomUtils.RNG(8), { game: 'draw', discardStrategies: (hand) => hand });
+			for (let i = 0; i < 20; i++) {
+				let round = table.playRound();
+				let seen = {};
+				for (let playerIndex = 0; playerIndex < 8; playerIndex++) {
+					expect(round.getDrawnCards(playerIndex)).to.have.length(5);
+					// Nobody draws back their own discards or a card someone else holds
+					for (let cardId of round.getPocketCards(playerIndex)) {
+						expect(round.getDiscards(playerIndex)).to.not.include(cardId);
+						expect(seen[cardId]).to.equal(undefined);
+						seen[cardId] = true;
+					}
+				}
+			}
+			table = new PokerTable(10, null, { game: 'draw', discardStrategies: 'stand-pat' });
+			expect(table.playRound().getPocketCards(9)).to.have.length(5);
+			// The first to draw has only the two cards left after the deal
+			table = new PokerTable(10, null, { game: 'draw', discardStrategies: (hand) => hand });
+			expect(() => table.playRound()).to.throw(XError);
+		});
+
+		it('should draw in turn from the player after the button', function() {
+			let table = new PokerTable(8, null, { game: 'draw', discardStrategies: (hand) => hand, button: 3 });
+			let round = table.playRound(cardUtils.getUnshuffledDeck());
+			// Players 4 and 5 draw the last ten cards of the deck, so player 6 runs it out
+			expect(round.getDrawnCards(4)).to.deep.equal([ 41, 42, 43, 44, 45 ]);
+			expect(round.getDrawnCards(5)).to.deep.equal([ 46, 47, 48, 49, 50 ]);
+			let drawnCards = round.getDrawnCards(6);
+			expect(drawnCards.slice(0, 2)).to.deep.equal([ 51, 52 ]);
+			let reshuffled = round.getDiscards(4).concat(round.getDiscards(5));
+			for (let cardId of drawnCards.slice(2)) {
+				expect(reshuffled).to.include(cardId);
+			}
+		});
+
+	});
+
+	describe('wild cards', function() {
+
+		it('should deal and rank hands under a wild card variant', function() {
+			let table = new PokerTable(2, null, { variant: 'joker-wild' });
+			expect(cardUtils.getShuffledDeck(null, table.deckType)).to.have.length(53);
+			let stackedDeckFunc = table.createStackedDeckFunc({
+				0: [ 'Jk', 'Ah' ],
+				1: [ 'Kc', 'Kd' ],
+				community: [ 'As', 'Ad', 'Kh', '7c', '3d' ]
+			});
+			let round = table.playRound(stackedDeckFunc());
+			expect(round.getPlayerHandResult(0).evalType).to.equal('four-of-a-kind');
+			expect(round.getWinningPlayers()).to.deep.equal([ 0 ]);
+			expect(() => new PokerTable(2, null, { game: 'omaha-hi-lo', variant: 'deuces-wild' })).to.throw(XError);
+		});
+
+	});
+
+	describe('fast evaluation', function() {
+
+		it('should pick the same winners by rank', function() {
+			for (let game of [ 'holdem', 'omaha', 'stud' ]) {
+				let table = new PokerTable(4, new randomUtils.RNG(5), { game: game });
+				let fastTable = new PokerTable(4, null, { game: game, fastEval: true });
+				for (let i = 0; i < 200; i++) {
+					let round = table.playRound();
+					let fastRound = fastTable.playRound(round.deck);
+					expect(fastRound.getWinningPlayers()).to.deep.equal(round.getWinningPlayers());
+				}
+			}
+			expect(() => new PokerTable(2, null, { variant: 'deuces-wild', fastEval: true })).to.throw(XError);
+		});
+
+	});
+
+});
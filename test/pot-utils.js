@@ -0,0 +1,95 @@
+'use strict';
+const XError = require('xerror');
+const expect = require('chai').expect;
+const cardUtils = require('../lib/card-utils');
+const handEval = require('../lib/hand-eval');
+const lowHandEval = require('../lib/low-hand-eval');
+const potUtils = require('../lib/pot-utils');
+
+function makeHand(strArr) {
+	return strArr.map((str) => cardUtils.getCardComponentsFromString(str).cardId);
+}
+
+function getHandResult(strArr) {
+	return handEval.getHandResult(makeHand(strArr));
+}
+
+function getLowHandResult(strArr) {
+	return lowHandEval.getLowHandResult(makeHand(strArr), 'ace-to-five');
+}
+
+describe('potUtils', function() {
+
+	describe('#getPots', function() {
+
+		it('should make a side pot for each all in level', function() {
+			expect(potUtils.getPots([ 50, 100, 200, 200 ], [ false, false, false, false ])).to.deep.equal([
+				{ amount: 200, eligiblePlayers: [ 0, 1, 2, 3 ] },
+				{ amount: 150, eligiblePlayers: [ 1, 2, 3 ] },
+				{ amount: 200, eligiblePlayers: [ 2, 3 ] }
+			]);
+		});
+
+		it('should add folded players\' chips without making them eligible', function() {
+			expect(potUtils.getPots([ 20, 50, 80, 80 ], [ true, false, true, false ])).to.deep.equal([
+				{ amount: 170, eligiblePlayers: [ 1, 3 ] },
+				{ amount: 60, eligiblePlayers: [ 3 ] }
+			]);
+			expect(potUtils.getPots([ 1, 2, 6 ], [ true, true, false ])).to.deep.equal([
+				{ amount: 9, eligiblePlayers: [ 2 ] }
+			]);
+			expect(potUtils.getPots([ 100, 40, 30 ], [ true, false, false ])).to.deep.equal([
+				{ amount: 90, eligiblePlayers: [ 1, 2 ] },
+				{ amount: 80, eligiblePlayers: [ 1 ] }
+			]);
+		});
+
+		it('should do input sanity checking', function() {
+			expect(() => potUtils.getPots([ 10, 10 ], [ true, true ])).to.throw(XError);
+			expect(() => potUtils.getPots([ 10, 10 ], [ false ])).to.throw(XError);
+		});
+
+	});
+
+	describe('#awardPots', function() {
+
+		it('should award each pot among its eligible players', function() {
+			let pots = potUtils.getPots([ 50, 100, 100 ], [ false, false, false ]);
+			let handResults = [
+				getHandResult([ 'As', 'Ad', 'Ac', 'Kd', '2c' ]),
+				getHandResult([ 'Qs', 'Qd', '7c', 'Kd', '2c' ]),
+				getHandResult([ 'Js', 'Jd', '7c', 'Kd', '2c' ])
+			];
+			expect(potUtils.getPotWinners([ 1, 2 ], handResults)).to.deep.equal([ 1 ]);
+			expect(potUtils.awardPots(pots, handResults)).to.deep.equal([ 150, 100, 0 ]);
+			expect(() => potUtils.awardPots(pots, [ null, null, handResults[2] ])).to.throw(XError);
+		});
+
+		it('should give odd chips to the first winners after the button', function() {
+			let pots = [ { amount: 11, eligiblePlayers: [ 0, 1, 2 ] } ];
+			let handResults = [ 0, 1, 2 ].map(() => getHandResult([ 'As', 'Kd', 'Qc', 'Jd', '9c' ]));
+			expect(potUtils.awardPots(pots, handResults)).to.deep.equal([ 4, 4, 3 ]);
+			expect(potUtils.awardPots(pots, handResults, { button: 0 })).to.deep.equal([ 3, 4, 4 ]);
+			let winnings = [ 0, 0, 0, 0 ];
+			potUtils.splitAmount(7.5, [ 1, 3 ], winnings, 1);
+			expect(winnings).to.deep.equal([ 0, 3, 0, 4.5 ]);
+		});
+
+		it('should split pots with a qualifying low', function() {
+			let pots = potUtils.getPots([ 20, 41, 41 ], [ false, false, false ]);
+			let handResults = [
+				getHandResult([ 'As', '2d', '3c', '4d', '5c' ]),
+				getHandResult([ 'Ks', 'Kd', '9c', '8d', '6c' ]),
+				getHandResult([ 'Qs', 'Qd', '7c', '8d', '6c' ])
+			];
+			let options = { lowHandResults: [ getLowHandResult([ 'As', '2d', '3c', '4d', '5c' ]), null, null ] };
+			// The wheel scoops the main pot, and the side pot has no qualifying low
+			expect(potUtils.awardPots(pots, handResults, options)).to.deep.equal([ 60, 42, 0 ]);
+			handResults[0] = getHandResult([ 'As', '2d', '3c', '4d', '7c' ]);
+			options.lowHandResults[0] = getLowHandResult([ 'As', '2d', '3c', '4d', '7c' ]);
+			expect(potUtils.awardPots(pots, handResults, options)).to.deep.equal([ 30, 72, 0 ]);
+		});
+
+	});
+
+});
@@ -0,0 +1,86 @@
+'use strict';
+const XError = require('xerror');
+const expect = require('chai').expect;
+const RangeEquitySimulator = require('../lib/range-equity-simulator');
+const parseRange = require('../lib/hand-range').parseRange;
+
+describe('RangeEquitySimulator', function() {
+
+	it('should do input sanity checking', function() {
+		expect(() => new RangeEquitySimulator([ 'AA' ], null, 100)).to.throw(XError);
+		expect(() => new RangeEquitySimulator([ 'AA', 'NOTARANGE' ], null, 100)).to.throw(XError);
+		expect(() => new RangeEquitySimulator([ 'AhKh', 'QQ' ], [ 'Ah', '2c', '3d' ], 100)).to.throw(XError);
+		// Each range is live on its own, but there aren't enough aces to deal all three
+		expect(() => new RangeEquitySimulator([ 'AsAh', 'AsAd, AhAd', 'AsAc, AhAc, AdAc' ], null, 100))
+			.to.throw(XError);
+	});
+
+	it('should only deal combos from each range', function() {
+		let simulator = new RangeEquitySimulator([ 'AA', parseRange('KK, QQ') ], null, 300);
+		return simulator.run()
+			.then((simResult) => {
+				let seats = simResult.result.seats;
+				expect(seats[0].combos.length).to.equal(6);
+				expect(seats[1].combos.length).to.equal(12);
+				for (let seat of seats) {
+					let totalFrequency = seat.combos.reduce((sum, combo) => sum + combo.frequency, 0);
+					expect(totalFrequency).to.be.closeTo(1, 0.001);
+				}
+				expect(seats[0].equity).to.be.above(0.7);
+				expect(seats[0].equity + seats[1].equity).to.be.closeTo(1, 0.001);
+			});
+	});
+
+	it('should handle card conflicts between tight ranges', function() {
+		let simulator = new RangeEquitySimulator([ 'AA', 'AA' ], [ 'Kc', '7d', '2h' ], 200);
+		return simulator.run()
+			.then((simResult) => {
+				expect(simResult.totalTrials).to.equal(200);
+				expect(simResult.totalTrialAttempts).to.equal(200);
+				let seats = simResult.result.seats;
+				expect(seats[0].tie).to.be.above(0.9);
+			});
+	});
+
+	it('should deal ranges that only fit together one way', function() {
+		// Both of seat 1's combos hold the ace of spades, so seat 0 must hold AdAc and seat 1 AsAh
+		let simulator = new RangeEquitySimulator([ 'AsAh:0.01, AdAc', 'AsAh, AsAd' ], null, 200);
+		return simulator.run()
+			.then((simResult) => {
+				expect(simResult.totalTrialAttempts).to.equal(200);
+				let seats = simResult.result.seats;
+				expect(seats[0].combos.map((combo) => combo.frequency)).to.deep.equal([ 0, 1 ]);
+				expect(seats[1].combos.map((combo) => combo.frequency)).to.deep.equal([ 1, 0 ]);
+			});
+	});
+
+	it('should deal every combination of combos without shared cards equally often', function() {
+		this.timeout(20000);
+		// AsKs and AsAh can't be dealt together, which leaves three equally likely deals
+		let simulator = new RangeEquitySimulator([ 'AsKs, QsQh', 'AsAh, 2c2d' ], null, 30000);
+		return simulator.run({ enumerate: false })
+			.then((simResult) => {
+				let frequencies = simResult.result.seats.map((seat) => {
+					let seatFrequencies = {};
+					for (let combo of seat.combos) seatFrequencies[combo.hand] = combo.frequency;
+					return seatFrequencies;
+				});
+				expect(frequencies[0].AsKs).to.be.closeTo(1 / 3, 0.015);
+				expect(frequencies[0].QsQh).to.be.closeTo(2 / 3, 0.015);
+				expect(frequencies[1].AsAh).to.be.closeTo(1 / 3, 0.015);
+				expect(frequencies[1]['2d2c']).to.be.closeTo(2 / 3, 0.015);
+			});
+	});
+
+	it('should respect combo weights and dead board cards', function() {
+		let simulator = new RangeEquitySimulator([ 'AsKs, AdKd:0.01', '22' ], [ 'Ah', 'Kh', '2c' ], 400);
+		return simulator.run()
+			.then((simResult) => {
+				let combos = simResult.result.seats[0].combos;
+				expect(combos.map((combo) => combo.hand)).to.deep.equal([ 'AsKs', 'AdKd' ]);
+				expect(combos[0].frequency).to.be.above(0.9);
+				expect(simResult.result.seats[1].combos.length).to.equal(3);
+			});
+	});
+
+});
@@ -0,0 +1,81 @@
+'use strict';
+const XError = require('xerror');
+const expect = require('chai').expect;
+const SessionSimulator = require('../lib/session-simulator');
+const randomUtils = require('../lib/random-utils');
+
+describe('SessionSimulator', function() {
+
+	it('should do input sanity checking', function() {
+		expect(() => new SessionSimulator([ 'always-call' ], 100)).to.throw(XError);
+		expect(() => new SessionSimulator([ 'always-call', 'bluff' ], 100)).to.throw(XError);
+		expect(() => new SessionSimulator([ 'always-call', 'random' ], 0)).to.throw(XError);
+		expect(() => new SessionSimulator([ 'always-call', 'random' ], 100, null, { bankroll: -10 })).to.throw(XError);
+	});
+
+	it('should track the hero over a session', function() {
+		let progressCalls = 0;
+		let simulator = new SessionSimulator([ 'tight-aggressive', 'random', 'always-call' ], 1000, () => {
+			progressCalls++;
+		}, { seed: 11, trajectoryInterval: 300 });
+		return simulator.run()
+			.then((simResult) => {
+				let result = simResult.result;
+				expect(simResult.totalTrials).to.equal(1000);
+				expect(progressCalls).to.equal(10);
+				expect(result.hands).to.equal(1000);
+				expect(result.bbPer100).to.be.closeTo(result.bigBlinds / 10, 0.01);
+				expect(result.interval[0]).to.be.below(result.bbPer100);
+				expect(result.interval[1]).to.be.above(result.bbPer100);
+				expect(result.standardDeviation).to.be.above(0);
+				expect(result.riskOfRuin).to.be.within(0, 1);
+				expect(result.trajectory.map((point) => point.hands)).to.deep.equal([ 0, 300, 600, 900, 1000 ]);
+				expect(result.trajectory[4].bigBlinds).to.equal(result.bigBlinds);
+				expect(result.maxDownswing.hands).to.be.within(1, 1000);
+				expect(result.maxDownswing.bigBlinds).to.be.above(0);
+				// The button moves every hand, so the hero plays each position in turn
+				expect(Object.keys(result.positions)).to.deep.equal([ 'BTN', 'SB', 'BB' ]);
+				expect(result.positions.BTN.hands).to.equal(333);
+				expect(result.positions.SB.hands).to.equal(334);
+				let positionBigBlinds = 0;
+				for (let position in result.positions) {
+					positionBigBlinds += result.positions[position].bbPer100 * result.positions[position].hands / 100;
+				}
+				expect(positionBigBlinds).to.be.closeTo(result.bigBlinds, 0.1);
+			});
+	});
+
+	it('should replay the same session from the same seed', function() {
+		let options = { seed: 5, game: 'omaha', smallBlind: 5, bigBlind: 10, ante: 1 };
+		let strategies = [ 'random', 'tight-aggressive' ];
+		let simulator = new SessionSimulator(strategies, 200, null, options);
+		let otherSimulator = new SessionSimulator(strategies, 200, null, { seed: 6, game: 'omaha', bigBlind: 10 });
+		otherSimulator.setRng(new randomUtils.RNG(5));
+		return Promise.all([ simulator.run(), otherSimulator.run() ])
+			.then((simResults) => {
+				expect(simResults[1].result).to.not.deep.equal(simResults[0].result);
+				return new SessionSimulator(strategies, 200, null, options).run()
+					.then((simResult) => {
+						expect(simResult.result).to.deep.equal(simResults[0].result);
+					});
+			});
+	});
+
+	it('should measure downswings and ruin', function() {
+		// The hero gives up the blinds every hand
+		function fold(view) {
+			return view.legalActions.some((action) => action.type === 'check') ? { type: 'check' } : { type: 'fold' };
+		}
+		let simulator = new SessionSimulator([ fold, 'always-call' ], 100, null, { seed: 2, bankroll: 10 });
+		return simulator.run()
+			.then((simResult) => {
+				let result = simResult.result;
+				expect(result.bbPer100).to.be.below(0);
+				expect(result.riskOfRuin).to.equal(1);
+				expect(result.ruinedAt).to.be.a('number');
+				expect(result.maxDownswing.hands).to.equal(100);
+				expect(result.maxDownswing.bigBlinds).to.equal(-result.bigBlinds);
+			});
+	});
+
+});
@@ -0,0 +1,88 @@
+'use strict';
+const XError = require('xerror');
+const expect = require('chai').expect;
+const Simulator = require('../lib/simulator');
+const PokerTable = require('../lib/poker-table');
+
+// Simulator that counts the rounds it processes
+class CountingSimulator extends Simulator {
+
+	constructor(trials) {
+		super(new PokerTable(2), trials);
+		this.totalProcessed = 0;
+	}
+
+	_processPokerRound() {
+		this.totalProcessed++;
+	}
+
+	_getResult() {
+		return { processed: this.totalProcessed };
+	}
+
+}
+
+describe('Simulator', function() {
+
+	describe('#run', function() {
+
+		it('should require trials', function() {
+			expect(() => new CountingSimulator()).to.throw(XError);
+		});
+
+		it('should run to completion', function() {
+			let simulator = new CountingSimulator(250);
+			return simulator.run()
+				.then((simResult) => {
+					expect(simResult.totalTrials).to.equal(250);
+					expect(simResult.partial).to.equal(false);
+					expect(simResult.exact).to.equal(false);
+					expect(simResult.result).to.deep.equal({ processed: 250 });
+					expect(() => simulator.run()).to.throw(XError);
+				});
+		});
+
+	});
+
+	describe('#stop', function() {
+
+		it('should end the run at the next cycle with partial results', function() {
+			let simulator = new CountingSimulator(1000000);
+			simulator._progress = (data) => {
+				if (data.trialCount >= 300) simulator.stop();
+			};
+			return simulator.run()
+				.then((simResult) => {
+					expect(simResult.partial).to.equal(true);
+					expect(simResult.totalTrials).to.equal(300);
+					expect(simResult.result).to.deep.equal({ processed: 300 });
+				});
+		});
+
+		it('should be triggered by an AbortSignal', function() {
+			let controller = new AbortController();
+			let simulator = new CountingSimulator(1000000);
+			simulator._progress = (data) => {
+				if (data.trialCount >= 200) controller.abort();
+			};
+			return simulator.run({ signal: controller.signal })
+				.then((simResult) => {
+					expect(simResult.partial).to.equal(true);
+					expect(simResult.totalTrials).to.equal(200);
+				});
+		});
+
+		it('should not run at all if the signal is already aborted', function() {
+			let controller = new AbortController();
+			controller.abort();
+			let simulator = new CountingSimulator(100);
+			return simulator.run({ signal: controller.signal })
+				.then((simResult) => {
+					expect(simResult.partial).to.equal(true);
+					expect(simResult.totalTrials).to.equal(0);
+				});
+		});
+
+	});
+
+});
@@ -0,0 +1,47 @@
+'use strict';
+const XError = require('xerror');
+const expect = require('chai').expect;
+const statsUtils = require('../lib/stats-utils');
+const getZScore = statsUtils.getZScore;
+const getMeanEstimate = statsUtils.getMeanEstimate;
+
+describe('statsUtils', function() {
+
+	describe('#getZScore', function() {
+
+		it('should return correct values', function() {
+			expect(getZScore(0.95)).to.be.closeTo(1.959964, 0.000001);
+			expect(getZScore(0.99)).to.be.closeTo(2.575829, 0.000001);
+			expect(getZScore(0.5)).to.be.closeTo(0.674490, 0.000001);
+			expect(() => getZScore(1)).to.throw(XError);
+			expect(() => getZScore(0)).to.throw(XError);
+		});
+
+	});
+
+	describe('#getMeanEstimate', function() {
+
+		it('should estimate a proportion', function() {
+			let estimate = getMeanEstimate(100, 50, 50, 0.95);
+			expect(estimate.mean).to.equal(0.5);
+			expect(estimate.standardError).to.be.closeTo(Math.sqrt(0.25 * 100 / 99 / 100), 1e-9);
+			expect(estimate.low).to.be.closeTo(0.5 - 1.959964 * estimate.standardError, 1e-6);
+			expect(estimate.high).to.be.closeTo(0.5 + 1.959964 * estimate.standardError, 1e-6);
+		});
+
+		it('should clamp the interval to the given bounds', function() {
+			let estimate = getMeanEstimate(10, 1, 1, 0.95, [ 0, 1 ]);
+			expect(estimate.low).to.equal(0);
+			expect(estimate.high).to.be.above(0.1);
+		});
+
+		it('should not report an error for fewer than two trials', function() {
+			expect(getMeanEstimate(0, 0, 0, 0.95)).to.deep.equal(
+				{ mean: 0, standardError: null, low: null, high: null }
+			);
+			expect(getMeanEstimate(1, 1, 1, 0.95).standardError).to.equal(null);
+		});
+
+	});
+
+});